@@ -0,0 +1,43 @@
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Verificación de API keys contra user-service (POST /internal/api-keys/verify).
+ *
+ * El resultado (válida o no) se cachea cacheMs por réplica, indexado por el hash del key para no tener
+ * keys en claro en memoria. Eso acota cuánto tarda una revocación en llegar a todas las réplicas
+ * y evita un round trip por request. Si user-service no responde, verify tira: no es lo mismo que una key inválida.
+ */
+
+function createApiKeyVerifier({ userServiceUrl, cacheMs = 5000, maxEntries = 10000, timeoutMs = 2000 }) {
+  const cache = new Map();
+
+  async function verify(key) {
+    const cacheKey = crypto.createHash('sha256').update(key).digest('hex');
+    const cached = cache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) return cached.apiKey;
+
+    let apiKey;
+    try {
+      const response = await axios.post(`${userServiceUrl}/internal/api-keys/verify`, { key }, { timeout: timeoutMs });
+      apiKey = response.data;
+    } catch (err) {
+      if (err.response?.status !== 401) throw err;
+      apiKey = null;
+    }
+
+    // Map conserva el orden de inserción: al llenarse, descartamos la entrada más vieja
+    cache.delete(cacheKey);
+    if (cache.size >= maxEntries) cache.delete(cache.keys().next().value);
+    cache.set(cacheKey, { apiKey, expiresAt: Date.now() + cacheMs });
+
+    return apiKey;
+  }
+
+  return { verify, clear: () => cache.clear() };
+}
+
+module.exports = { createApiKeyVerifier };
@@ -0,0 +1,166 @@
+'use strict';
+
+const fs = require('fs');
+const { jwtVerify, createLocalJWKSet, createRemoteJWKSet } = require('jose');
+
+/**
+ * Autenticación con bearer JWT y autorización por scopes.
+ *
+ * Las claves salen de un JWKS remoto (JWKS_URL, con cache y rotación que maneja jose) o de un archivo
+ * (JWKS_FILE, útil en local y en tests). Se valida firma, issuer, audience y expiración.
+ * Los scopes vienen en el claim "scope" (string separado por espacios, OAuth2) o "scp" (array).
+ * users:admin incluye users:write, y users:write incluye users:read.
+ *
+ * Los clientes máquina pueden autenticarse con una API key en X-API-Key en lugar del token.
+ */
+
+const API_KEY_HEADER = 'X-API-Key';
+
+const SCOPE_IMPLIES = {
+  'users:admin': ['users:write', 'users:read'],
+  'users:write': ['users:read'],
+};
+
+function scopesOf(payload) {
+  const raw = payload.scope !== undefined ? String(payload.scope).split(' ') : [].concat(payload.scp || []);
+  const scopes = new Set(raw.filter(Boolean));
+
+  [...scopes].forEach((scope) => (SCOPE_IMPLIES[scope] || []).forEach((implied) => scopes.add(implied)));
+
+  return scopes;
+}
+
+function loadKeySet({ jwksUrl, jwksFile }) {
+  if (jwksUrl) return createRemoteJWKSet(new URL(jwksUrl));
+  if (jwksFile) return createLocalJWKSet(JSON.parse(fs.readFileSync(jwksFile, 'utf8')));
+  throw new Error('falta JWKS_URL o JWKS_FILE para validar tokens');
+}
+
+function bearerChallenge(error, description, extra = '') {
+  return `Bearer realm="api", error="${error}", error_description="${description}"${extra}`;
+}
+
+/**
+ * Crea los middlewares. scopeFor(req) decide qué scope necesita cada request (o null si ninguno).
+ * verifyApiKey(key), si se pasa, habilita X-API-Key: devuelve { id, scopes, tenant } o null, y tira si no pudo verificar.
+ * Con enabled = false no se valida nada y los requests pasan sin identidad.
+ */
+
+function createAuthenticator({
+  enabled = true,
+  issuer,
+  audience,
+  jwksUrl,
+  jwksFile,
+  algorithms = ['RS256', 'ES256'],
+  clockToleranceSec = 30,
+  scopeFor,
+  verifyApiKey,
+  onFailure = () => {},
+}) {
+  const keySet = enabled ? loadKeySet({ jwksUrl, jwksFile }) : null;
+
+  function reject(req, res, status, body, challenge) {
+    onFailure(body.error);
+    req.logger.warn('request rechazado por autenticación', { status, reason: body.error });
+    if (challenge) res.set('WWW-Authenticate', challenge);
+    res.status(status).json({ ...body, request_id: req.requestId });
+  }
+
+  // Cada identify* devuelve la identidad, o null si ya respondió con el error
+
+  async function identifyBearer(req, res) {
+    const [type, token] = (req.get('authorization') || '').split(' ');
+
+    if (type !== 'Bearer' || !token) {
+      reject(req, res, 401, {
+        error: 'unauthorized',
+        message: verifyApiKey
+          ? 'Falta el header Authorization: Bearer <token> o X-API-Key'
+          : 'Falta el header Authorization: Bearer <token>',
+      }, 'Bearer realm="api"');
+      return null;
+    }
+
+    let payload;
+    try {
+      ({ payload } = await jwtVerify(token, keySet, { issuer, audience, algorithms, clockTolerance: clockToleranceSec }));
+    } catch (err) {
+      reject(req, res, 401, {
+        error: 'invalid_token',
+        message: err.code === 'ERR_JWT_EXPIRED' ? 'El token expiró' : 'El token no es válido',
+      }, bearerChallenge('invalid_token', err.code || 'invalid'));
+      return null;
+    }
+
+    if (!payload.sub) {
+      reject(req, res, 401, {
+        error: 'invalid_token',
+        message: 'El token no tiene subject (sub)',
+      }, bearerChallenge('invalid_token', 'missing sub'));
+      return null;
+    }
+
+    return { subject: payload.sub, scopes: scopesOf(payload), claims: payload };
+  }
+
+  async function identifyApiKey(req, res) {
+    let apiKey;
+    try {
+      apiKey = await verifyApiKey(req.get(API_KEY_HEADER));
+    } catch (err) {
+      req.logger.error('no se pudo verificar la API key', { error: err.message });
+      onFailure('auth_unavailable');
+      res.status(503).json({
+        error: 'auth_unavailable',
+        message: 'No se pudo verificar la API key, reintentar más tarde',
+        request_id: req.requestId,
+      });
+      return null;
+    }
+
+    if (!apiKey) {
+      reject(req, res, 401, {
+        error: 'invalid_api_key',
+        message: 'La API key no existe, fue revocada o venció',
+      });
+      return null;
+    }
+
+    return {
+      subject: `apikey:${apiKey.id}`,
+      scopes: scopesOf({ scp: apiKey.scopes }),
+      apiKeyId: apiKey.id,
+      tenant: apiKey.tenant,
+    };
+  }
+
+  async function authenticate(req, res, next) {
+    if (!enabled) return next();
+
+    const auth = verifyApiKey && req.get(API_KEY_HEADER) !== undefined
+      ? await identifyApiKey(req, res)
+      : await identifyBearer(req, res);
+
+    if (!auth) return;
+
+    req.auth = auth;
+    req.logger = req.logger.child({ subject: auth.subject });
+
+    const required = scopeFor(req);
+
+    if (required && !auth.scopes.has(required)) {
+      return reject(req, res, 403, {
+        error: 'insufficient_scope',
+        message: `Se necesita el scope ${required}`,
+        required_scope: required,
+      }, bearerChallenge('insufficient_scope', 'missing scope', `, scope="${required}"`));
+    }
+
+    next();
+  }
+
+  return { authenticate };
+}
+
+module.exports = { createAuthenticator, scopesOf, API_KEY_HEADER };
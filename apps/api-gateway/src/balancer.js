@@ -0,0 +1,258 @@
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns');
+
+/**
+ * Instancias de un upstream y balanceo entre ellas del lado del gateway.
+ *
+ * Las instancias salen de una lista fija de URLs, de DNS (registros SRV, o registros A del servicio headless
+ * con un puerto fijo) o de las dos. DNS se vuelve a consultar cada refreshMs; si falla, se sigue con la última lista.
+ *
+ * Estrategias: round_robin, least_outstanding (la instancia con menos requests en curso) y consistent_hash
+ * (la misma clave va a la misma instancia mientras esté disponible; si una cae, solo se mueven sus claves).
+ *
+ * Una instancia está disponible si pasa el health check activo y no está expulsada. La expulsión es pasiva:
+ * consecutiveFailures fallas seguidas en requests reales (sin respuesta o 5xx) la sacan por ejectionMs, sin expulsar
+ * nunca más de maxEjectionPercent de las instancias. Si no queda ninguna disponible se usan todas:
+ * mejor intentar que fallar seguro.
+ */
+
+const BALANCING_STRATEGIES = ['round_robin', 'least_outstanding', 'consistent_hash'];
+
+// Puntos de cada instancia en el anillo del consistent hash: con más puntos las claves se reparten más parejo
+
+const VIRTUAL_NODES = 100;
+
+function hash32(value) {
+  return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+}
+
+/**
+ * Resuelve las URLs de las instancias por DNS. SRV trae host y puerto; A trae IPs y el puerto sale de la config.
+ */
+
+async function resolveInstances({ dns: name, type = 'a', port, protocol = 'http' }, resolver = dns.promises) {
+  if (type === 'srv') {
+    const records = await resolver.resolveSrv(name);
+    return records.map((record) => `${protocol}://${record.name}:${record.port}`);
+  }
+
+  const addresses = await resolver.resolve4(name);
+  return addresses.map((address) => `${protocol}://${address}:${port}`);
+}
+
+function noInstancesError(name) {
+  const err = new Error(`${name} no tiene instancias`);
+  err.code = 'NO_INSTANCES';
+  err.retryAfterMs = 1000;
+  return err;
+}
+
+/**
+ * probe(url, timeoutMs) hace el health check activo (rechaza si la instancia no está lista).
+ * healthCheck es null para no hacer checks activos.
+ */
+
+function createUpstreamPool({
+  name,
+  urls = [],
+  discovery = null,
+  balancing = 'round_robin',
+  healthCheck = null,
+  outlierDetection = {},
+  probe,
+  resolve = resolveInstances,
+  logger,
+  onRequest = () => {},
+  onEjection = () => {},
+}) {
+  const {
+    consecutiveFailures = 5,
+    ejectionMs = 30000,
+    maxEjectionPercent = 50,
+  } = outlierDetection;
+
+  const instances = new Map();
+  const timers = [];
+  let ring = [];
+  let cursor = 0;
+
+  function setInstances(list) {
+    const found = new Set(list);
+
+    [...instances.keys()].filter((url) => !found.has(url)).forEach((url) => instances.delete(url));
+    found.forEach((url) => {
+      if (!instances.has(url)) {
+        instances.set(url, { url, healthy: true, checkFailures: 0, checkSuccesses: 0, failures: 0, ejectedUntil: 0, outstanding: 0 });
+      }
+    });
+
+    ring = [...instances.keys()]
+      .flatMap((url) => Array.from({ length: VIRTUAL_NODES }, (_, i) => ({ point: hash32(`${url}#${i}`), url })))
+      .sort((a, b) => a.point - b.point);
+  }
+
+  const isAvailable = (instance, now) => instance.healthy && instance.ejectedUntil <= now;
+
+  // Primer punto del anillo desde el hash de la clave, avanzando hasta una instancia candidata
+
+  function fromRing(key, candidates) {
+    const point = hash32(String(key));
+    let low = 0;
+    let high = ring.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (ring[mid].point < point) low = mid + 1;
+      else high = mid;
+    }
+
+    for (let i = 0; i < ring.length; i += 1) {
+      const { url } = ring[(low + i) % ring.length];
+      const instance = candidates.find((candidate) => candidate.url === url);
+      if (instance) return instance;
+    }
+
+    return candidates[0];
+  }
+
+  /**
+   * Elige la instancia para un request y la cuenta como en curso. Hay que devolverla con release.
+   * key solo se usa con consistent_hash.
+   */
+
+  function acquire(key, now = Date.now()) {
+    const all = [...instances.values()];
+    if (!all.length) throw noInstancesError(name);
+
+    const available = all.filter((instance) => isAvailable(instance, now));
+    const candidates = available.length ? available : all;
+    const start = cursor;
+    cursor += 1;
+
+    let instance;
+    if (balancing === 'consistent_hash') {
+      instance = fromRing(key, candidates);
+    } else if (balancing === 'least_outstanding') {
+      // Recorremos desde el cursor para que los empates también roten
+      instance = candidates
+        .map((_, i) => candidates[(start + i) % candidates.length])
+        .reduce((best, candidate) => (candidate.outstanding < best.outstanding ? candidate : best));
+    } else {
+      instance = candidates[start % candidates.length];
+    }
+
+    instance.outstanding += 1;
+    return instance;
+  }
+
+  function ejectedCount(now) {
+    return [...instances.values()].filter((instance) => instance.ejectedUntil > now).length;
+  }
+
+  /**
+   * Devuelve la instancia después del request. ok es false si no hubo respuesta o fue un 5xx.
+   */
+
+  function release(instance, ok, now = Date.now()) {
+    instance.outstanding = Math.max(0, instance.outstanding - 1);
+    onRequest({ upstream: name, instance: instance.url, outcome: ok ? 'success' : 'failure' });
+
+    if (ok) {
+      instance.failures = 0;
+      return;
+    }
+
+    instance.failures += 1;
+    if (instance.failures < consecutiveFailures || instance.ejectedUntil > now) return;
+
+    const maxEjected = Math.floor((instances.size * maxEjectionPercent) / 100);
+    if (ejectedCount(now) >= maxEjected) return;
+
+    instance.failures = 0;
+    instance.ejectedUntil = now + ejectionMs;
+    logger.warn('instancia expulsada del balanceo', { upstream: name, instance: instance.url, ejection_ms: ejectionMs });
+    onEjection({ upstream: name, instance: instance.url });
+  }
+
+  async function checkInstance(instance) {
+    try {
+      await probe(`${instance.url}${healthCheck.path}`, healthCheck.timeoutMs);
+      instance.checkFailures = 0;
+      instance.checkSuccesses += 1;
+
+      if (!instance.healthy && instance.checkSuccesses >= healthCheck.healthyThreshold) {
+        instance.healthy = true;
+        logger.info('instancia sana de nuevo', { upstream: name, instance: instance.url });
+      }
+    } catch (err) {
+      instance.checkSuccesses = 0;
+      instance.checkFailures += 1;
+
+      if (instance.healthy && instance.checkFailures >= healthCheck.unhealthyThreshold) {
+        instance.healthy = false;
+        logger.warn('instancia no pasa el health check', { upstream: name, instance: instance.url, error: err.message });
+      }
+    }
+  }
+
+  async function checkHealth() {
+    await Promise.all([...instances.values()].map(checkInstance));
+  }
+
+  async function refresh() {
+    try {
+      setInstances([...urls, ...(await resolve(discovery))]);
+    } catch (err) {
+      logger.warn('no se pudieron resolver las instancias del upstream', { upstream: name, error: err.message });
+    }
+  }
+
+  function every(ms, fn) {
+    const timer = setInterval(fn, ms);
+    timer.unref();
+    timers.push(timer);
+  }
+
+  /**
+   * Arranca la resolución por DNS y los health checks. La promesa termina con la primera ronda de los dos.
+   */
+
+  async function start() {
+    if (discovery) {
+      await refresh();
+      every(discovery.refreshMs, refresh);
+    }
+
+    if (healthCheck) {
+      await checkHealth();
+      every(healthCheck.intervalMs, checkHealth);
+    }
+  }
+
+  function stop() {
+    timers.splice(0).forEach(clearInterval);
+  }
+
+  setInstances(urls);
+
+  return {
+    name,
+    acquire,
+    release,
+    start,
+    stop,
+    refresh,
+    checkHealth,
+    instances: (now = Date.now()) => [...instances.values()].map((instance) => ({
+      url: instance.url,
+      healthy: instance.healthy,
+      ejected: instance.ejectedUntil > now,
+      available: isAvailable(instance, now),
+      outstanding: instance.outstanding,
+    })),
+  };
+}
+
+module.exports = { createUpstreamPool, resolveInstances, BALANCING_STRATEGIES };
@@ -4,11 +4,32 @@ if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
+// Tracing primero: las instrumentaciones de OpenTelemetry tienen que cargarse antes que http y express
+
+const { tracer, currentTraceIds, injectTraceHeaders, traceRequests, shutdownTracing } = require('./tracing');
+
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const axios = require('axios');
+const { createClient } = require('redis');
 const client = require('prom-client');
+const { SpanKind, SpanStatusCode } = require('@opentelemetry/api');
 const { createLogger, format, transports } = require('winston');
+const { pipeline } = require('stream');
+const { createSchemaValidator } = require('./schema-validation');
+const { limitBody, readJson } = require('./streaming');
+const { createAuthenticator } = require('./auth');
+const { createApiKeyVerifier } = require('./api-keys');
+const { createRateLimiter, createAuthFailureLimiter, identityOf, parseTrustProxy } = require('./rate-limit');
+const { BREAKER_STATES, createCircuitBreaker, callUpstream, isTimeout, isUpstreamFailure } = require('./upstream');
+const { createMemoryStore, createRedisStore, createResponseCache } = require('./response-cache');
+const { loadRoutes, watchRoutes, scopeFor, routeTemplateFor, resourcesChangedBy, cacheTagsFor } = require('./routing');
+const { createUpstreamPool } = require('./balancer');
+const { createCardinalityGuard, createLabelValueCap, OTHER_ROUTE } = require('@devops-challenge/observability/metric-labels');
+const { loadSlo, createSloTracker } = require('@devops-challenge/observability/slo');
+const { createLogControl, redactFormat } = require('@devops-challenge/observability/logging');
+const { createTenantResolver, parseTenantHosts, TENANT_HEADER } = require('./tenancy');
 
 /**
  * Logger básico con winston.
@@ -17,11 +38,33 @@ const { createLogger, format, transports } = require('winston');
  *                                                                                                                   Se cumple con LOGS en fomrato JSON, Timestamp automatico, level automatico y messsage automatico. Esto es fundamental para poder analizar los logs de forma eficiente, especialmente cuando el servicio corre en contenedores o en la nube, donde los logs suelen ser consumidos por sistemas de monitoreo centralizados. Al tener un formato estructurado, es mucho más fácil filtrar, buscar y correlacionar eventos en los logs, lo que mejora significativamente la capacidad de debugging y monitoreo del servicio.
  */
 
+// trace_id y span_id del span activo en cada línea, para saltar del log a la traza
+
+const traceContext = format((info) => Object.assign(info, currentTraceIds()));
+
+// Nivel por módulo que se cambia en runtime (PUT /admin/log-levels) y vuelve solo a LOG_LEVEL pasado el TTL
+
+const logControl = createLogControl({
+  defaultLevel: process.env.LOG_LEVEL || 'info',
+  defaultTtlMs: parseInt(process.env.LOG_LEVEL_TTL_MS || '900000', 10),
+  onChange: (level) => {
+    logger.level = level;
+  },
+  onExpire: (module) => logger.warn('nivel de log restaurado por TTL', { log_module: module }),
+});
+
+// Campos extra a enmascarar en los logs, además de passwords, tokens, emails y credenciales en URLs
+
+const LOG_REDACT_FIELDS = (process.env.LOG_REDACT_FIELDS || '').split(',').map((field) => field.trim()).filter(Boolean);
+
 const logger = createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: logControl.level(),
   format: format.combine(
     format.timestamp(),
+    traceContext(),
+    logControl.filter(),
     format.errors({ stack: true }),
+    redactFormat({ fields: LOG_REDACT_FIELDS }),
     format.json()
   ),
   defaultMeta: { service: 'api-gateway', version: process.env.APP_VERSION || '1.0.0' },
@@ -35,7 +78,9 @@ const logger = createLogger({
  *                                                                                                                     Se definen las metricas custom con cada uno de los const y eso cumple con expose default and custom metrics
  */
 
-const register = new client.Registry();
+// Formato OpenMetrics: es el que lleva exemplars (el trace_id de un request de ejemplo por bucket)
+
+const register = new client.Registry(client.Registry.OPENMETRICS_CONTENT_TYPE);
 client.collectDefaultMetrics({ register });
 
 // Tiempo que tardan las peticiones HTTP que recibe este servicio
@@ -45,6 +90,7 @@ const httpRequestDuration = new client.Histogram({
   help: 'Duration of HTTP requests in seconds',
   labelNames: ['method', 'route', 'status_code'],
   buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  enableExemplars: true,
   registers: [register],
 });
 
@@ -67,6 +113,167 @@ const upstreamRequestDuration = new client.Histogram({
   registers: [register],
 });
 
+// Requests rechazados por autenticación o autorización, por motivo
+
+const authFailuresTotal = new client.Counter({
+  name: 'auth_failures_total',
+  help: 'Total number of requests rejected by authentication or authorization',
+  labelNames: ['reason'],
+  registers: [register],
+});
+
+// Requests autenticados con API key, por id de key (nunca el secret)
+
+const apiKeyRequestsTotal = new client.Counter({
+  name: 'api_key_requests_total',
+  help: 'Total number of requests authenticated with an API key',
+  labelNames: ['key_id'],
+  registers: [register],
+});
+
+// Requests rechazados por rate limit, por clase (read/write, o auth por autenticaciones fallidas de la IP)
+
+const rateLimitRejectionsTotal = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Total number of requests rejected by the rate limiter',
+  labelNames: ['class'],
+  registers: [register],
+});
+
+// Estado del circuit breaker por upstream (0 closed, 1 half_open, 2 open) y sus transiciones
+
+const circuitBreakerState = new client.Gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state per upstream (0 closed, 1 half_open, 2 open)',
+  labelNames: ['upstream'],
+  registers: [register],
+});
+
+const circuitBreakerTransitionsTotal = new client.Counter({
+  name: 'circuit_breaker_transitions_total',
+  help: 'Total number of circuit breaker state transitions',
+  labelNames: ['upstream', 'from', 'to'],
+  registers: [register],
+});
+
+// Reintentos hacia upstreams (sin contar el primer intento)
+
+const upstreamRetriesTotal = new client.Counter({
+  name: 'upstream_retries_total',
+  help: 'Total number of retried upstream requests',
+  labelNames: ['service', 'method'],
+  registers: [register],
+});
+
+// Lecturas servidas por el cache de respuestas, por resultado (hit, miss, bypass)
+
+const responseCacheRequestsTotal = new client.Counter({
+  name: 'response_cache_requests_total',
+  help: 'Total number of cacheable requests by cache result',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+// Instancias de cada upstream: disponibles (1) o no (0) y requests en curso. Se leen del pool en cada scrape,
+// así una instancia que desaparece del DNS deja de reportarse.
+
+const upstreamInstanceAvailable = new client.Gauge({
+  name: 'upstream_instance_available',
+  help: 'Whether an upstream instance receives traffic (1) or is unhealthy or ejected (0)',
+  labelNames: ['upstream', 'instance'],
+  registers: [register],
+  collect() {
+    this.reset();
+    pools.forEach(({ pool }) => pool.instances().forEach((instance) => {
+      this.set({ upstream: pool.name, instance: instance.url }, instance.available ? 1 : 0);
+    }));
+  },
+});
+
+const upstreamInstanceOutstanding = new client.Gauge({
+  name: 'upstream_instance_outstanding_requests',
+  help: 'Requests in flight per upstream instance',
+  labelNames: ['upstream', 'instance'],
+  registers: [register],
+  collect() {
+    this.reset();
+    pools.forEach(({ pool }) => pool.instances().forEach((instance) => {
+      this.set({ upstream: pool.name, instance: instance.url }, instance.outstanding);
+    }));
+  },
+});
+
+// Requests por instancia (success, o failure si no hubo respuesta o fue 5xx) y expulsiones por fallas seguidas
+
+const upstreamInstanceRequestsTotal = new client.Counter({
+  name: 'upstream_instance_requests_total',
+  help: 'Total number of requests per upstream instance by outcome',
+  labelNames: ['upstream', 'instance', 'outcome'],
+  registers: [register],
+});
+
+const upstreamOutlierEjectionsTotal = new client.Counter({
+  name: 'upstream_outlier_ejections_total',
+  help: 'Total number of upstream instances ejected after consecutive failures',
+  labelNames: ['upstream', 'instance'],
+  registers: [register],
+});
+
+// Recargas de la tabla de rutas, por resultado (success o failure)
+
+const routesReloadsTotal = new client.Counter({
+  name: 'routes_reloads_total',
+  help: 'Total number of route table reloads by result',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+// Uso por tenant: requests que pasaron la resolución del tenant, por clase de status (2xx, 4xx...)
+
+const tenantRequestsTotal = new client.Counter({
+  name: 'tenant_requests_total',
+  help: 'Total number of requests per tenant by status class',
+  labelNames: ['tenant', 'class'],
+  registers: [register],
+});
+
+// Combinaciones de labels descartadas por superar el límite de su métrica (la observación va a route=other)
+
+const metricLabelSetsDroppedTotal = new client.Counter({
+  name: 'metric_label_sets_dropped_total',
+  help: 'Total number of label sets dropped by the cardinality guard, by metric',
+  labelNames: ['metric'],
+  registers: [register],
+});
+
+// Burn rate y error budget restante de cada SLO (ver packages/observability/slo.js), calculados al momento del scrape
+
+const sloBurnRate = new client.Gauge({
+  name: 'slo_burn_rate',
+  help: 'Error budget burn rate per objective, SLI and window',
+  labelNames: ['objective', 'sli', 'window'],
+  registers: [register],
+  collect() {
+    this.reset();
+    sloTracker.report().forEach((objective) => objective.slis.forEach(({ sli, burn_rates: burnRates }) => {
+      Object.entries(burnRates).forEach(([window, rate]) => this.set({ objective: objective.name, sli, window }, rate));
+    }));
+  },
+});
+
+const sloErrorBudgetRemaining = new client.Gauge({
+  name: 'slo_error_budget_remaining',
+  help: 'Fraction of the error budget left in the SLO budget window (negative when overspent)',
+  labelNames: ['objective', 'sli'],
+  registers: [register],
+  collect() {
+    this.reset();
+    sloTracker.report().forEach((objective) => objective.slis.forEach(({ sli, error_budget_remaining: remaining }) => {
+      this.set({ objective: objective.name, sli }, remaining);
+    }));
+  },
+});
+
 /**
  * Configuración principal
  */
@@ -75,8 +282,297 @@ const PORT = parseInt(process.env.PORT || '3000', 10);
 const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Headers de respuesta del upstream que el cliente necesita ver (paginación, ETag y política de cache)
+
+const FORWARDED_RESPONSE_HEADERS = ['link', 'x-next-cursor', 'etag', 'cache-control'];
+
+// Headers del cliente que el upstream necesita para peticiones condicionales
+
+const FORWARDED_REQUEST_HEADERS = ['if-match', 'if-none-match'];
+
+// Tabla de rutas (prefijos, upstreams, métodos, presupuestos de tiempo y scopes) y cada cuánto se revisa si cambió.
+// Los presupuestos por ruta siguen saliendo de USERS_TIMEOUT_BUDGET_MS, WEBHOOKS_TIMEOUT_BUDGET_MS, etc. vía el archivo.
+
+const ROUTES_FILE = process.env.ROUTES_FILE || path.join(__dirname, '..', 'config', 'routes.json');
+const ROUTES_WATCH_INTERVAL_MS = parseInt(process.env.ROUTES_WATCH_INTERVAL_MS || '2000', 10);
+
+// Máximo de combinaciones de labels por métrica HTTP (ver packages/observability/metric-labels.js)
+
+const METRICS_MAX_LABEL_SETS = parseInt(process.env.METRICS_MAX_LABEL_SETS || '500', 10);
+
+// Máximo de tenants con label propio en las métricas; los que sobran se cuentan como tenant=other
+
+const METRICS_MAX_TENANTS = parseInt(process.env.METRICS_MAX_TENANTS || '50', 10);
+
+// SLOs por ruta, y cómo avisar que un error budget se agotó: none, header (X-Error-Budget-Exhausted en
+// cada respuesta) o readiness (/health/ready responde 503, para frenar un rollout)
+
+const SLO_FILE = process.env.SLO_FILE || path.join(__dirname, '..', 'config', 'slo.json');
+const SLO_BUDGET_SIGNAL = process.env.SLO_BUDGET_SIGNAL || 'none';
+
+// Reintentos (solo métodos idempotentes) y circuit breaker por upstream
+
+const UPSTREAM_RETRIES = parseInt(process.env.UPSTREAM_RETRIES || '2', 10);
+const UPSTREAM_RETRY_BASE_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_MS || '100', 10);
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.BREAKER_FAILURE_THRESHOLD || '5', 10);
+const BREAKER_RESET_TIMEOUT_MS = parseInt(process.env.BREAKER_RESET_TIMEOUT_MS || '30000', 10);
+
+// Headers del export que el cliente necesita para guardar el archivo
+
+const EXPORT_RESPONSE_HEADERS = ['content-type', 'content-disposition'];
+
+// Autenticación con JWT: issuer y audience esperados, y de dónde salen las claves públicas (URL o archivo JWKS).
+// Solo se puede apagar explícitamente (AUTH_ENABLED=false), pensado para desarrollo local.
+
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const JWT_ISSUER = process.env.JWT_ISSUER;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE;
+
+// Cuánto se cachea la verificación de una API key por réplica: es el tiempo máximo que tarda en aplicarse una revocación
+
+const API_KEY_CACHE_MS = parseInt(process.env.API_KEY_CACHE_MS || '5000', 10);
+
+// Scope que piden los endpoints de operación (/admin/log-levels)
+
+const LOG_ADMIN_SCOPE = process.env.LOG_ADMIN_SCOPE || 'ops:admin';
+
+// Rate limiting: requests por ventana y por cliente (API key, subject del JWT o IP), separados en lecturas y escrituras.
+// Los contadores viven en Redis para que el límite se cumpla entre todas las réplicas del gateway.
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10);
+const RATE_LIMIT_READ = parseInt(process.env.RATE_LIMIT_READ || '600', 10);
+const RATE_LIMIT_WRITE = parseInt(process.env.RATE_LIMIT_WRITE || '120', 10);
+
+// Autenticaciones fallidas (401) por IP y por ventana: pasado el límite, la IP recibe 429 antes de autenticar.
+// Frena a quien prueba API keys o tokens, que si no llegarían a user-service en cada intento.
+
+const AUTH_FAILURE_LIMIT = parseInt(process.env.AUTH_FAILURE_LIMIT || '20', 10);
+
+// Proxies delante del gateway (ingress, load balancer) de los que tomamos X-Forwarded-For, para que req.ip
+// (la identidad del rate limit sin autenticación) sea la del cliente y no la del proxy. Por defecto, ninguno.
+
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+// Cache de respuestas de GET /api/users/:id: backend (memory o redis), TTL, tamaño del LRU y headers que entran en la clave
+
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'memory';
+const CACHE_TTL_MS = parseInt(process.env.CACHE_TTL_MS || '10000', 10);
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '1000', 10);
+const CACHE_VARY_HEADERS = (process.env.CACHE_VARY_HEADERS || 'accept').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+
+// Multi-tenancy (ver tenancy.js): claim del JWT con el tenant y hosts propios de cada tenant ("host=tenant,...")
+
+const TENANT_CLAIM = process.env.TENANT_CLAIM || 'tenant';
+const TENANT_HOSTS = parseTenantHosts(process.env.TENANT_HOSTS);
+
+// Header con el que user-service recibe el subject verificado (lo usa como actor en la auditoría)
+
+const ACTOR_HEADER = 'X-Actor-ID';
+
+/**
+ * Validación de payloads con el schema publicado por user-service
+ * Aplica a las escrituras sobre el recurso y a PUT /:id/roles; no a otras sub-rutas como /:id/restore.
+ */
+
+const userSchemaValidator = createSchemaValidator({
+  schemaUrl: `${USER_SERVICE_URL}/schemas/user`,
+  logger: logger.child({ module: 'schema-validation' }),
+  refreshMs: parseInt(process.env.SCHEMA_REFRESH_MS || '300000', 10),
+  operationFor: (req) => {
+    if (req.method === 'POST' && req.path === '/') return 'create';
+    const isResource = /^\/[^/]+\/?$/.test(req.path);
+    if (req.method === 'PUT' && isResource) return 'replace';
+    if (req.method === 'PUT' && /^\/[^/]+\/roles\/?$/i.test(req.path)) return 'roles';
+
+    // Un JSON Patch solo se puede validar contra el documento actual, eso lo hace user-service
+    if (req.method === 'PATCH' && isResource && req.is('application/merge-patch+json')) return 'merge_patch';
+    return null;
+  },
+});
+
+/**
+ * Autenticación y scopes por ruta
+ * Cada ruta de la tabla declara el scope de lectura, el de escritura y reglas para casos puntuales
+ * (usuarios borrados y restore piden users:admin). admin incluye write y write incluye read.
+ */
+
+const apiKeyVerifier = createApiKeyVerifier({ userServiceUrl: USER_SERVICE_URL, cacheMs: API_KEY_CACHE_MS });
+
+const authenticator = createAuthenticator({
+  enabled: AUTH_ENABLED,
+  issuer: JWT_ISSUER,
+  audience: JWT_AUDIENCE,
+  jwksUrl: process.env.JWKS_URL,
+  jwksFile: process.env.JWKS_FILE,
+  scopeFor: (req) => req.requiredScope || scopeFor(req.gatewayRoute, req),
+  verifyApiKey: async (key) => {
+    const apiKey = await apiKeyVerifier.verify(key);
+    if (apiKey) apiKeyRequestsTotal.inc({ key_id: apiKey.id });
+    return apiKey;
+  },
+  onFailure: (reason) => authFailuresTotal.inc({ reason }),
+});
+
+const tenantResolver = createTenantResolver({ claim: TENANT_CLAIM, hosts: TENANT_HOSTS });
+
+/**
+ * Circuit breakers, uno por upstream de la tabla de rutas
+ * Con el breaker abierto el gateway responde 503 al instante en lugar de esperar el timeout en cada request.
+ * Viven fuera de la tabla: una recarga de rutas no resetea el estado de un upstream que sigue definido.
+ */
+
+const breakers = new Map();
+
+function breakerFor(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker({
+      name,
+      failureThreshold: BREAKER_FAILURE_THRESHOLD,
+      resetTimeoutMs: BREAKER_RESET_TIMEOUT_MS,
+      onStateChange: ({ from, to }) => {
+        logger.warn('cambio de estado del circuit breaker', { upstream: name, from, to });
+        circuitBreakerState.set({ upstream: name }, BREAKER_STATES[to]);
+        circuitBreakerTransitionsTotal.inc({ upstream: name, from, to });
+      },
+    }));
+    circuitBreakerState.set({ upstream: name }, BREAKER_STATES.closed);
+  }
+
+  return breakers.get(name);
+}
+
+/**
+ * Pools de instancias, uno por upstream (balanceo, health checks activos y expulsión de instancias)
+ * Como los breakers, sobreviven a una recarga si la config del upstream no cambió; si cambió se arma uno nuevo
+ * y el anterior deja de hacer health checks. syncPools deja el pool en cada upstream de la tabla (upstream.pool).
+ */
+
+const pools = new Map();
+
+function syncPools(table) {
+  Object.values(table.upstreams).forEach((upstream) => {
+    const signature = JSON.stringify(upstream);
+    const current = pools.get(upstream.name);
+
+    if (!current || current.signature !== signature) {
+      if (current) current.pool.stop();
+
+      const pool = createUpstreamPool({
+        name: upstream.name,
+        urls: upstream.urls,
+        discovery: upstream.discovery && { ...upstream.discovery, refreshMs: upstream.discovery.refresh_ms },
+        balancing: upstream.balancing,
+        healthCheck: upstream.health_check && {
+          path: upstream.health_check.path,
+          intervalMs: upstream.health_check.interval_ms,
+          timeoutMs: upstream.health_check.timeout_ms,
+          unhealthyThreshold: upstream.health_check.unhealthy_threshold,
+          healthyThreshold: upstream.health_check.healthy_threshold,
+        },
+        outlierDetection: upstream.outlier_detection && {
+          consecutiveFailures: upstream.outlier_detection.consecutive_failures,
+          ejectionMs: upstream.outlier_detection.ejection_ms,
+          maxEjectionPercent: upstream.outlier_detection.max_ejection_percent,
+        },
+        probe: (url, timeout) => axios.get(url, { timeout }),
+        logger: logger.child({ module: 'balancer' }),
+        onRequest: (labels) => upstreamInstanceRequestsTotal.inc(labels),
+        onEjection: (labels) => upstreamOutlierEjectionsTotal.inc(labels),
+      });
+
+      pool.start().catch((err) => logger.warn('no se pudo iniciar el pool del upstream', { upstream: upstream.name, error: err.message }));
+      pools.set(upstream.name, { pool, signature });
+    }
+
+    upstream.pool = pools.get(upstream.name).pool;
+  });
+
+  [...pools.keys()].filter((name) => !table.upstreams[name]).forEach((name) => {
+    pools.get(name).pool.stop();
+    pools.delete(name);
+  });
+}
+
+/**
+ * Redis del gateway: contadores del rate limit y, con CACHE_BACKEND=redis, el cache de respuestas
+ * Sin cola offline: si Redis no está, los comandos fallan al instante; el limiter deja pasar el request y el cache se saltea.
+ */
+
+const redisClient = createClient({
+  url: REDIS_URL,
+  disableOfflineQueue: true,
+  socket: { reconnectStrategy: (retries) => Math.min(retries * 100, 5000) },
+});
+
+redisClient.on('error', (err) => logger.warn('error en redis del gateway', { error: err.message }));
+
+const rateLimiter = createRateLimiter({
+  redisClient,
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  limits: { read: RATE_LIMIT_READ, write: RATE_LIMIT_WRITE },
+  logger: logger.child({ module: 'rate-limit' }),
+  onReject: (klass) => rateLimitRejectionsTotal.inc({ class: klass }),
+});
+
+const authFailureLimiter = createAuthFailureLimiter({
+  redisClient,
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  limit: AUTH_FAILURE_LIMIT,
+  logger: logger.child({ module: 'rate-limit' }),
+  onReject: (klass) => rateLimitRejectionsTotal.inc({ class: klass }),
+});
+
+// Autenticación de las rutas protegidas, con el límite de fallos por IP adelante
+
+const authenticate = [
+  ...(RATE_LIMIT_ENABLED ? [authFailureLimiter.middleware] : []),
+  authenticator.authenticate,
+];
+
+/**
+ * Cache de respuestas de las rutas con "cache": true
+ * Se guarda GET <prefijo>/:id; cualquier escritura sobre <prefijo>/:id (o sus sub-rutas) invalida ese recurso.
+ * El tag es el path del recurso en el upstream (por ejemplo /users/<id>), más los de "cache_tags" (/groups/<id>
+ * por cada grupo del usuario). Las rutas con "invalidates" (grupos) invalidan además los recursos de otra ruta
+ * que sus escrituras cambian.
+ * Corre después de autenticación y rate limit, así un hit también respeta scopes y límites.
+ */
+
+const responseCache = createResponseCache({
+  store: CACHE_BACKEND === 'redis'
+    ? createRedisStore({ redisClient, maxTtlMs: CACHE_TTL_MS })
+    : createMemoryStore({ maxEntries: CACHE_MAX_ENTRIES }),
+  ttlMs: CACHE_TTL_MS,
+  varyHeaders: CACHE_VARY_HEADERS,
+  storedHeaders: ['etag'],
+  tagFor: (req) => {
+    const match = /^\/([^/]+)/.exec(req.path);
+    return match ? `${req.gatewayRoute.rewrite}/${match[1]}` : null;
+  },
+  alsoInvalidates: (req) => resourcesChangedBy(req.gatewayRoute, req),
+  extraTagsFor: (req, body) => cacheTagsFor(req.gatewayRoute, body),
+  isCacheable: (req) => /^\/[^/]+\/?$/.test(req.path),
+  partitionFor: (req) => req.tenant,
+  logger: logger.child({ module: 'cache' }),
+  onResult: (result) => responseCacheRequestsTotal.inc({ result }),
+});
+
 const app = express();
-app.use(express.json());
+
+app.set('trust proxy', TRUST_PROXY);
+
+// Span del request entrante si la instrumentación de http no llegó a crearlo (ver tracing.js)
+
+app.use(traceRequests);
+
+// Parseamos también los media types JSON de PATCH (application/merge-patch+json, application/json-patch+json)
+
+const JSON_MEDIA_TYPES = ['application/json', 'application/*+json'];
+
+app.use(express.json({ type: JSON_MEDIA_TYPES }));
 
 /**
  * Middleware global: genera o reutiliza un Request ID
@@ -99,6 +595,7 @@ app.use((req, res, next) => {
  */
 app.use((req, res, next) => {
   req.logger = logger.child({
+    module: 'http',
     request_id: req.requestId,
     method: req.method,
     path: req.path,
@@ -111,20 +608,68 @@ app.use((req, res, next) => {
 
 app.disable('x-powered-by');
 
+const labelGuard = createCardinalityGuard({
+  limit: METRICS_MAX_LABEL_SETS,
+  onDrop: (metric) => metricLabelSetsDroppedTotal.inc({ metric }),
+});
+
+// El label tenant sale de las credenciales: pasados METRICS_MAX_TENANTS tenants, el resto va a "other"
+
+const tenantLabel = createLabelValueCap({
+  limit: METRICS_MAX_TENANTS,
+  onDrop: (tenant) => {
+    metricLabelSetsDroppedTotal.inc({ metric: 'tenant' });
+    logger.warn('tenant sin label propio en las métricas, se cuenta como other', { tenant });
+  },
+});
+
+let sloTracker;
+
+try {
+  sloTracker = createSloTracker(loadSlo(SLO_FILE));
+} catch (err) {
+  logger.error('SLOs inválidos, el gateway no arranca', { file: SLO_FILE, error: err.message });
+  throw err;
+}
+
 /**
  * Middleware para medir cuánto tarda cada request
+ * El label route es el template: el path de la ruta de express, o el de la tabla de rutas (req.metricRoute).
+ * Un path que no es de ninguna ruta (404) va a "other".
  */
 
 app.use((req, res, next) => {
   const end = httpRequestDuration.startTimer();
+  const { trace_id: traceId } = currentTraceIds();
+
   res.on('finish', () => {
-    const route = req.route ? req.route.path : req.path;
-    end({ method: req.method, route, status_code: res.statusCode });
-    httpRequestTotal.inc({ method: req.method, route, status_code: res.statusCode });
+    const labels = {
+      method: req.method,
+      route: req.route ? req.route.path : req.metricRoute || OTHER_ROUTE,
+      status_code: res.statusCode,
+    };
+
+    const seconds = end(labelGuard.labelsFor('http_request_duration_seconds', labels), traceId ? { trace_id: traceId } : {});
+    httpRequestTotal.inc(labelGuard.labelsFor('http_requests_total', labels));
+    sloTracker.record({ route: labels.route, method: req.method, statusCode: res.statusCode, durationMs: seconds * 1000 });
+
+    if (req.tenant) {
+      tenantRequestsTotal.inc({ tenant: tenantLabel(req.tenant), class: `${Math.floor(res.statusCode / 100)}xx` });
+    }
   });
   next();
 });
 
+// Con SLO_BUDGET_SIGNAL=header, cada respuesta dice qué SLIs se quedaron sin error budget
+
+if (SLO_BUDGET_SIGNAL === 'header') {
+  app.use((req, res, next) => {
+    const exhausted = sloTracker.exhausted();
+    if (exhausted.length) res.setHeader('X-Error-Budget-Exhausted', exhausted.join(', '));
+    next();
+  });
+}
+
 /**
  * Middleware: logging estructurado completo
  *                                                                                                              2.3 Aca se implementa el logging estructurado completo, que es una extensión de los puntos anteriores. Al escuchar el evento 'finish' de la respuesta, podemos registrar un log detallado cuando la petición se completa, incluyendo información como el status code, duración de la petición, user agent y dirección IP del cliente. Esto proporciona una visión completa de cada petición en los logs, lo que es invaluable para monitoreo, análisis y debugging. Además, al usar un formato JSON estructurado, estos logs son fácilmente parseables por herramientas de análisis de logs o sistemas de monitoreo centralizados.
@@ -157,18 +702,30 @@ app.get('/health/live', (req, res) => {
   res.status(200).json({ status: 'alive', timestamp: new Date().toISOString() });
 });
 
-// Readiness: verifica si el gateway puede responder correctamente. Aquí comprobamos que el user-service esté accesible
+// Readiness: verifica si el gateway puede responder correctamente. Aquí comprobamos que cada upstream de la tabla
+// de rutas esté accesible y que su circuit breaker no esté abierto (con el breaker abierto el gateway responde 503
+// a todo lo que va a ese upstream). Las claves son el nombre del upstream con "_" (user-service -> user_service).
 
 app.get('/health/ready', async (req, res) => {
-  try {
-    const timer = upstreamRequestDuration.startTimer({ service: 'user-service', method: 'GET' });
-    await axios.get(`${USER_SERVICE_URL}/health/live`, { timeout: 2000 });
-    timer({ status_code: 200 });
-    res.status(200).json({ status: 'ready', dependencies: { user_service: 'up' }, timestamp: new Date().toISOString() });
-  } catch (err) {
-    logger.warn('falló el readiness check', { error: err.message });
-    res.status(503).json({ status: 'not ready', dependencies: { user_service: 'down' }, timestamp: new Date().toISOString() });
+  const dependencies = {};
+  const circuitBreakers = {};
+
+  await Promise.all(Object.values(routeTable.upstreams).map(async (upstream) => {
+    const key = upstream.name.replace(/-/g, '_');
+    circuitBreakers[key] = breakerFor(upstream.name).state();
+    dependencies[key] = circuitBreakers[key] !== 'open' && await isUpstreamAlive(upstream) ? 'up' : 'down';
+  }));
+
+  // Con SLO_BUDGET_SIGNAL=readiness un budget agotado también saca al pod de servicio y frena el rollout
+  const budgetExhausted = SLO_BUDGET_SIGNAL === 'readiness' ? sloTracker.exhausted() : [];
+  const slo = budgetExhausted.length ? { slo_budget_exhausted: budgetExhausted } : {};
+
+  if (Object.values(dependencies).every((status) => status === 'up') && !budgetExhausted.length) {
+    return res.status(200).json({ status: 'ready', dependencies, circuit_breakers: circuitBreakers, timestamp: new Date().toISOString() });
   }
+
+  logger.warn('falló el readiness check', { dependencies, circuit_breakers: circuitBreakers, ...slo });
+  res.status(503).json({ status: 'not ready', dependencies, circuit_breakers: circuitBreakers, ...slo, timestamp: new Date().toISOString() });
 });
 
 // Endpoint legacy para compatibilidad
@@ -192,43 +749,283 @@ app.get('/metrics', async (req, res) => {
 });
 
 /**
- * Proxy hacia user-service
- *                                                                                                                7. Aca se implementa el proxy hacia User-Service, que es el servicio principal al que este API Gateway va a enrutar. Este endpoint captura todas las rutas bajo /api/users y las redirige al user-service, propagando el método HTTP, la ruta, el cuerpo de la petición y los headers relevantes (como el request ID para trazabilidad). Además, se mide el tiempo que tarda la llamada al user-service usando la métrica upstreamRequestDuration, lo que permite monitorear el rendimiento de las llamadas a este servicio externo. En caso de error, se maneja adecuadamente registrando un log con el error y devolviendo una respuesta con un mensaje claro para el cliente.
+ * Estado de los SLOs: burn rate por ventana, alertas multi-ventana y error budget restante de cada objetivo.
+ * Son los contadores de esta réplica (ver packages/observability/slo.js).
  */
 
-app.use('/api/users', async (req, res) => {
-  const timer = upstreamRequestDuration.startTimer({ service: 'user-service', method: req.method });
+app.get('/slo', (req, res) => {
+  res.status(200).json({
+    service: 'api-gateway',
+    budget_window_minutes: sloTracker.budgetWindowMinutes,
+    budget_signal: SLO_BUDGET_SIGNAL,
+    budget_exhausted: sloTracker.exhausted(),
+    objectives: sloTracker.report(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Niveles de log en runtime
+ * PUT sube o baja el nivel de todo el gateway (module "default") o de un módulo (http, rate-limit, balancer,
+ * cache, schema-validation) por ttl_ms; pasado el TTL vuelve a LOG_LEVEL. Pide el scope LOG_ADMIN_SCOPE.
+ */
+
+const requireLogAdmin = [
+  (req, res, next) => {
+    req.requiredScope = LOG_ADMIN_SCOPE;
+    next();
+  },
+  ...authenticate,
+];
+
+app.get('/admin/log-levels', requireLogAdmin, (req, res) => {
+  res.status(200).json(logControl.state());
+});
+
+app.put('/admin/log-levels', requireLogAdmin, (req, res) => {
+  const { module, level, ttl_ms: ttlMs } = req.body || {};
+
   try {
-    const response = await axios({
-      method: req.method,
-      url: `${USER_SERVICE_URL}/users${req.url === '/' ? '' : req.url}`,
-      data: req.body,
-      headers: {
-        'Content-Type': 'application/json',
-
-        // Propago el mismo request ID para trazabilidad end-to-end, o genero uno nuevo si no viene
-        'X-Request-ID': req.requestId,
-        'X-Forwarded-For': req.ip,
-      },
-      timeout: 10000,
+    const change = logControl.set({ module, level, ttlMs });
+    logger.warn('nivel de log cambiado', {
+      log_module: change.module, level: change.level, expires_at: change.expires_at, by: req.auth?.subject,
     });
-    timer({ status_code: response.status });
-    res.status(response.status).json(response.data);
+    res.status(200).json(change);
   } catch (err) {
-    const statusCode = err.response?.status || 502;
-    timer({ status_code: statusCode });
-    req.logger.error('error llamando a user-service', {
-      upstream_service: 'user-service',
-      status: statusCode,
-      error: err.message,
-    });
-    res.status(statusCode).json({
-      error: 'upstream_error',
-      message: statusCode === 502 ? 'User service no disponible' : err.response?.data?.message || 'Error procesando la petición',
+    if (err.code !== 'INVALID_LOG_LEVEL') throw err;
+    res.status(400).json({ error: 'invalid_log_level', message: err.message, request_id: req.requestId });
+  }
+});
+
+app.delete('/admin/log-levels/:module', requireLogAdmin, (req, res) => {
+  if (!logControl.reset(req.params.module)) {
+    return res.status(404).json({
+      error: 'not_found',
+      message: `El módulo ${req.params.module} no tiene un nivel cambiado`,
+      request_id: req.requestId,
     });
   }
+
+  logger.warn('nivel de log restaurado', { log_module: req.params.module, by: req.auth?.subject });
+  res.status(204).end();
 });
 
+/**
+ * Tabla de rutas
+ * Cada ruta de ROUTES_FILE se monta en su prefijo con su cadena: métodos permitidos, autenticación con el scope
+ * de la ruta, tenant, rate limit (que necesita la identidad y el tenant ya resueltos), cache y validación si la
+ * ruta los pide, y el proxy.
+ *
+ * Una recarga (SIGHUP o cambio del archivo) arma un router nuevo y lo reemplaza de una vez: los requests
+ * en vuelo terminan con el router y la ruta con los que entraron, los nuevos ya usan la tabla nueva.
+ */
+
+let routeTable;
+
+try {
+  routeTable = loadRoutes(ROUTES_FILE);
+  syncPools(routeTable);
+} catch (err) {
+  logger.error('tabla de rutas inválida, el gateway no arranca', { file: ROUTES_FILE, error: err.message });
+  throw err;
+}
+
+let routesRouter = buildRouter(routeTable);
+
+app.use((req, res, next) => routesRouter(req, res, next));
+
+function buildRouter(table) {
+  const router = express.Router();
+
+  table.routes.forEach((route) => {
+    const upstream = table.upstreams[route.upstream];
+    breakerFor(upstream.name);
+
+    router.use(
+      route.prefix,
+      (req, res, next) => {
+        req.gatewayRoute = route;
+        req.metricRoute = routeTemplateFor(route, req.path);
+        next();
+      },
+      allowMethods(route.methods),
+      ...(route.auth.public ? [] : authenticate),
+      tenantResolver.middleware,
+      ...(RATE_LIMIT_ENABLED ? [rateLimiter.middleware] : []),
+      ...(CACHE_ENABLED && route.cache ? [responseCache.middleware] : []),
+      ...(CACHE_ENABLED && route.invalidates.length ? [responseCache.invalidator] : []),
+      ...(route.schema_validation ? [userSchemaValidator.middleware] : []),
+      handlerFor(route, upstream)
+    );
+  });
+
+  return router;
+}
+
+/**
+ * Vuelve a leer ROUTES_FILE. Si la tabla nueva no es válida se sigue usando la anterior.
+ */
+
+function reloadRoutes(trigger) {
+  try {
+    const table = loadRoutes(ROUTES_FILE);
+    syncPools(table);
+    routesRouter = buildRouter(table);
+    routeTable = table;
+
+    routesReloadsTotal.inc({ result: 'success' });
+    logger.info('tabla de rutas recargada', { trigger, routes: table.routes.map((route) => route.name) });
+    return true;
+  } catch (err) {
+    routesReloadsTotal.inc({ result: 'failure' });
+    logger.error('no se pudo recargar la tabla de rutas, se mantiene la anterior', { trigger, error: err.message });
+    return false;
+  }
+}
+
+function handlerFor(route, upstream) {
+  if (route.streaming === 'request') return streamRequestTo(route, upstream);
+  if (route.streaming === 'response') return streamResponseFrom(route, upstream);
+  return proxyTo(route, upstream);
+}
+
+/**
+ * 405 para los métodos que la ruta no declara, con el header Allow
+ */
+
+function allowMethods(methods) {
+  return (req, res, next) => {
+    if (methods.includes(req.method)) return next();
+
+    res.set('Allow', methods.join(', '));
+    res.status(405).json({
+      error: 'method_not_allowed',
+      message: `La ruta no acepta ${req.method}`,
+      request_id: req.requestId,
+    });
+  };
+}
+
+/**
+ * Body en streaming (import masivo NDJSON o CSV)
+ * El body no pasa por express.json: lo reenviamos tal cual al upstream mientras llega, cortando si
+ * supera max_body_bytes. Si el cliente declara un Content-Length mayor, rechazamos sin abrir el upstream.
+ */
+
+function streamRequestTo(route, upstream) {
+  return async (req, res) => {
+    const declaredLength = parseInt(req.get('content-length') || '0', 10);
+
+    if (declaredLength > route.max_body_bytes) {
+      return payloadTooLarge(req, res);
+    }
+
+    // Si el cliente mandó JSON, express.json ya consumió el body; se lo pasamos al upstream, que responde 415
+    const body = req.is(JSON_MEDIA_TYPES) ? req.body : limitBody(req, route.max_body_bytes);
+
+    const timer = upstreamRequestDuration.startTimer({ service: upstream.name, method: req.method });
+    try {
+      // POST no se reintenta, y el body en streaming tampoco se podría volver a mandar
+      const response = await requestUpstream(req, route, upstream, {
+        method: req.method,
+        path: upstreamPath(route, req),
+        data: body,
+        headers: {
+          'Content-Type': req.get('content-type') || 'application/octet-stream',
+          ...(declaredLength ? { 'Content-Length': declaredLength } : {}),
+          'X-Request-ID': req.requestId,
+          'X-Forwarded-For': req.ip,
+          ...identityHeaders(req),
+        },
+        maxBodyLength: route.max_body_bytes,
+      });
+      timer({ status_code: response.status });
+      res.status(response.status).json(response.data);
+    } catch (err) {
+      if (body.limitExceeded) {
+        timer({ status_code: 413 });
+        return payloadTooLarge(req, res);
+      }
+      respondUpstreamError(req, res, err, timer, err.response?.data);
+    }
+  };
+}
+
+/**
+ * Respuesta en streaming (export de usuarios)
+ * Pedimos la respuesta como stream y la encadenamos al cliente, sin cargar el export en memoria.
+ * Si el cliente corta la conexión, pipeline cierra también la del upstream.
+ */
+
+function streamResponseFrom(route, upstream) {
+  return async (req, res) => {
+    const timer = upstreamRequestDuration.startTimer({ service: upstream.name, method: req.method });
+    try {
+      const response = await requestUpstream(req, route, upstream, {
+        method: req.method,
+        path: upstreamPath(route, req),
+        headers: {
+          Accept: req.get('accept') || '*/*',
+          'X-Request-ID': req.requestId,
+          'X-Forwarded-For': req.ip,
+          ...identityHeaders(req),
+        },
+        responseType: 'stream',
+      });
+      timer({ status_code: response.status });
+
+      EXPORT_RESPONSE_HEADERS.forEach((name) => {
+        if (response.headers[name] !== undefined) res.setHeader(name, response.headers[name]);
+      });
+      res.status(response.status);
+
+      pipeline(response.data, res, (err) => {
+        if (err) req.logger.warn('export interrumpido', { error: err.message });
+      });
+    } catch (err) {
+      respondUpstreamError(req, res, err, timer, await readJson(err.response?.data));
+    }
+  };
+}
+
+/**
+ * Proxy hacia el upstream de la ruta
+ *                                                                                                                7. Aca se implementa el proxy hacia User-Service, que es el servicio principal al que este API Gateway va a enrutar. Este endpoint captura todas las rutas bajo /api/users y las redirige al user-service, propagando el método HTTP, la ruta, el cuerpo de la petición y los headers relevantes (como el request ID para trazabilidad). Además, se mide el tiempo que tarda la llamada al user-service usando la métrica upstreamRequestDuration, lo que permite monitorear el rendimiento de las llamadas a este servicio externo. En caso de error, se maneja adecuadamente registrando un log con el error y devolviendo una respuesta con un mensaje claro para el cliente.
+ */
+
+function proxyTo(route, upstream) {
+  return async (req, res) => {
+    const timer = upstreamRequestDuration.startTimer({ service: upstream.name, method: req.method });
+    try {
+      const response = await requestUpstream(req, route, upstream, {
+        method: req.method,
+        path: upstreamPath(route, req),
+        data: req.body,
+        headers: {
+          // Respetamos el media type del cliente (merge-patch, json-patch); si no mandó body, JSON
+          'Content-Type': req.is(JSON_MEDIA_TYPES) ? req.get('content-type') : 'application/json',
+
+          // Propago el mismo request ID para trazabilidad end-to-end, o genero uno nuevo si no viene
+          'X-Request-ID': req.requestId,
+          'X-Forwarded-For': req.ip,
+          ...pickRequestHeaders(req),
+          ...identityHeaders(req),
+        },
+
+        // Un 304 no es un error: el cliente ya tiene la versión vigente
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+      });
+      timer({ status_code: response.status });
+      forwardResponseHeaders(response, res);
+      if (response.status === 304) return res.status(304).end();
+      res.status(response.status).json(response.data);
+    } catch (err) {
+      if (err.response) forwardResponseHeaders(err.response, res);
+      respondUpstreamError(req, res, err, timer, err.response?.data);
+    }
+  };
+}
+
 /**
  * Manejo básico de 404
  *                                                                                                                8. Aca se implementa un manejo básico de rutas no encontradas (404), que devuelve un mensaje de error claro en formato JSON. Esto es importante para mejorar la experiencia del cliente al interactuar con el API, ya que proporciona una respuesta consistente y fácil de entender cuando se accede a rutas que no existen en el servicio. Además, al incluir el path solicitado en la respuesta, se facilita el debugging tanto para los desarrolladores como para los clientes que consumen la API.
@@ -266,11 +1063,24 @@ app.use((err, req, res, next) => {
 const server = http.createServer(app);
 
 server.listen(PORT, () => {
-  logger.info('servidor iniciado', { port: PORT, env: NODE_ENV, user_service_url: USER_SERVICE_URL });
+  logger.info('servidor iniciado', { port: PORT, env: NODE_ENV, routes_file: ROUTES_FILE, routes: routeTable.routes.map((route) => route.name) });
 });
 
+userSchemaValidator.start();
+
+const stopWatchingRoutes = watchRoutes(ROUTES_FILE, ROUTES_WATCH_INTERVAL_MS, () => reloadRoutes('file'));
+
+if (RATE_LIMIT_ENABLED || (CACHE_ENABLED && CACHE_BACKEND === 'redis')) {
+  redisClient.connect().catch((err) => logger.error('no se pudo conectar a redis', { error: err.message }));
+}
+
 function shutdown(signal) {
   logger.info('apagando servidor', { signal });
+  userSchemaValidator.stop();
+  stopWatchingRoutes();
+  pools.forEach(({ pool }) => pool.stop());
+  shutdownTracing().catch(() => {});
+  if (redisClient.isOpen) redisClient.quit().catch(() => {});
   server.close(() => {
     logger.info('servidor cerrado correctamente');
     process.exit(0);
@@ -290,6 +1100,10 @@ function shutdown(signal) {
 */
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT', () => shutdown('SIGINT'));
+
+// SIGHUP recarga la tabla de rutas sin cortar los requests en vuelo
+
+process.on('SIGHUP', () => reloadRoutes('SIGHUP'));
 process.on('uncaughtException', (err) => {
   logger.error('uncaught exception', { error: err.message, stack: err.stack });
   process.exit(1);
@@ -298,6 +1112,201 @@ process.on('unhandledRejection', (reason) => {
   logger.error('unhandled rejection', { reason: String(reason) });
 });
 
+/**
+ * Toma del request del cliente los headers permitidos para reenviarlos al upstream
+ */
+
+function pickRequestHeaders(req) {
+  const headers = {};
+  FORWARDED_REQUEST_HEADERS.forEach((name) => {
+    if (req.headers[name] !== undefined) headers[name] = req.headers[name];
+  });
+  return headers;
+}
+
+/**
+ * Identidad verificada y tenant para el upstream. Los headers nunca se toman del cliente (no están en
+ * FORWARDED_REQUEST_HEADERS), así que user-service puede confiar en ellos.
+ */
+
+function identityHeaders(req) {
+  return {
+    ...(req.auth ? { [ACTOR_HEADER]: req.auth.subject } : {}),
+    ...(req.tenant ? { [TENANT_HEADER]: req.tenant } : {}),
+  };
+}
+
+/**
+ * Path en el upstream: el prefijo de la ruta se reemplaza por rewrite. req.url es relativo al prefijo y conserva
+ * el query string (paginación y filtros); solo quitamos la "/" suelta de la raíz.
+ */
+
+function upstreamPath(route, req) {
+  return `${route.rewrite}${req.url.replace(/^\/(?=\?|$)/, '')}` || '/';
+}
+
+/**
+ * Copia al cliente los headers del upstream que están en la lista permitida, sin tocarlos
+ */
+
+function forwardResponseHeaders(upstreamResponse, res) {
+  const headers = upstreamResponse.headers || {};
+  FORWARDED_RESPONSE_HEADERS.forEach((name) => {
+    if (headers[name] !== undefined) res.setHeader(name, headers[name]);
+  });
+}
+
+/**
+ * Llamada al upstream de la ruta con su circuit breaker, los reintentos y el presupuesto de tiempo de la ruta.
+ * Cada intento pide una instancia al pool, así un reintento puede caer en otra instancia.
+ *
+ * Toda la llamada (con sus reintentos) es un span; cada intento lleva traceparent/tracestate de ese span.
+ * Con la instrumentación de http activa, el header se reemplaza por el del span HTTP del intento, hijo de este.
+ */
+
+function requestUpstream(req, route, upstream, { path: targetPath, ...config }) {
+  const { pool } = upstream;
+  const key = upstream.balancing === 'consistent_hash' ? hashKeyFor(upstream, req) : null;
+
+  return tracer.startActiveSpan(`${config.method} ${upstream.name}`, {
+    kind: SpanKind.CLIENT,
+    attributes: { 'http.request.method': config.method, 'gateway.route': route.name, 'gateway.upstream': upstream.name },
+  }, async (span) => {
+    let attempts = 0;
+
+    const send = async ({ timeout }) => {
+      const instance = pool.acquire(key);
+      attempts += 1;
+      span.setAttribute('server.address', instance.url);
+
+      try {
+        const headers = injectTraceHeaders({ ...config.headers });
+        const response = await axios({ ...config, headers, url: `${instance.url}${targetPath}`, timeout });
+        pool.release(instance, true);
+        return response;
+      } catch (err) {
+        pool.release(instance, !isUpstreamFailure(err));
+        throw err;
+      }
+    };
+
+    try {
+      const response = await callUpstream(breakerFor(upstream.name), send, {
+        method: config.method,
+        budgetMs: route.timeout_ms,
+        retries: UPSTREAM_RETRIES,
+        baseDelayMs: UPSTREAM_RETRY_BASE_MS,
+        onRetry: ({ attempt, error }) => {
+          upstreamRetriesTotal.inc({ service: upstream.name, method: config.method });
+          req.logger.warn('reintentando llamada al upstream', { upstream: upstream.name, attempt, error });
+        },
+      });
+      span.setAttribute('http.response.status_code', response.status);
+      return response;
+    } catch (err) {
+      if (err.response) span.setAttribute('http.response.status_code', err.response.status);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: err.code || err.message });
+      throw err;
+    } finally {
+      span.setAttribute('gateway.attempts', attempts);
+      span.end();
+    }
+  });
+}
+
+/**
+ * Clave del consistent hash: la identidad del cliente (API key, subject o IP), el path o un header
+ */
+
+function hashKeyFor(upstream, req) {
+  if (upstream.hash_on === 'path') return req.originalUrl;
+  if (upstream.hash_on.startsWith('header:')) return req.get(upstream.hash_on.slice('header:'.length)) || identityOf(req);
+  return identityOf(req);
+}
+
+/**
+ * Un upstream está vivo si alguna de sus instancias responde /health/live
+ */
+
+async function isUpstreamAlive(upstream) {
+  const timer = upstreamRequestDuration.startTimer({ service: upstream.name, method: 'GET' });
+  try {
+    const urls = upstream.pool.instances().map((instance) => instance.url);
+    await Promise.any(urls.map((url) => axios.get(`${url}/health/live`, { timeout: 2000 })));
+    timer({ status_code: 200 });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Respuesta de error de las llamadas al upstream de la ruta: 503 si el breaker está abierto,
+ * 504 si se agotó el presupuesto de tiempo, y si no, el status del upstream (o 502 si no respondió).
+ * Los 4xx llevan el cuerpo de error del upstream; los 5xx, uno genérico.
+ */
+
+function respondUpstreamError(req, res, err, timer, upstreamBody) {
+  const upstream = req.gatewayRoute.upstream;
+
+  // Breaker abierto, o el upstream sin instancias (DNS todavía sin resolver)
+  if (err.code === 'CIRCUIT_OPEN' || err.code === 'NO_INSTANCES') {
+    timer({ status_code: 503 });
+    res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+    return res.status(503).json({
+      error: 'upstream_unavailable',
+      message: `${upstream} no disponible temporalmente, reintentar más tarde`,
+      request_id: req.requestId,
+    });
+  }
+
+  const statusCode = err.response?.status || (isTimeout(err) ? 504 : 502);
+  timer({ status_code: statusCode });
+  req.logger.error('error llamando al upstream', {
+    upstream_service: upstream,
+    status: statusCode,
+    error: err.message,
+  });
+
+  if (statusCode === 504) {
+    return res.status(504).json({
+      error: 'upstream_timeout',
+      message: `${upstream} no respondió a tiempo`,
+      request_id: req.requestId,
+    });
+  }
+
+  // Un 4xx con cuerpo de error JSON es del cliente: lo pasamos tal cual (details, current_etag...)
+  if (statusCode < 500 && isErrorBody(upstreamBody)) {
+    return res.status(statusCode).json({ ...upstreamBody, request_id: req.requestId });
+  }
+
+  res.status(statusCode).json({
+    error: 'upstream_error',
+    message: statusCode === 502 ? `${upstream} no disponible` : upstreamBody?.message || 'Error procesando la petición',
+  });
+}
+
+function isErrorBody(body) {
+  return Boolean(body) && typeof body === 'object' && !Array.isArray(body) && typeof body.error === 'string';
+}
+
+/**
+ * 413 para bodies que superan el max_body_bytes de la ruta. Cerramos la conexión para no seguir leyendo el body.
+ */
+
+function payloadTooLarge(req, res) {
+  const maxBytes = req.gatewayRoute.max_body_bytes;
+
+  req.logger.warn('import rechazado por tamaño', { max_bytes: maxBytes });
+  res.set('Connection', 'close');
+  res.status(413).json({
+    error: 'payload_too_large',
+    message: `El body supera el máximo de ${maxBytes} bytes`,
+    request_id: req.requestId,
+  });
+}
+
 /**
  * Genera un ID simple para trazabilidad
  */
@@ -306,4 +1315,4 @@ function generateRequestId() {
   return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
-module.exports = { app, server };
+module.exports = { app, server, userSchemaValidator, apiKeyVerifier, breakerFor, responseCache, reloadRoutes };
@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * Rate limiting distribuido con ventana deslizante aproximada (sliding window counter).
+ *
+ * Por identidad y clase (read/write) hay un contador por ventana fija en Redis. El uso estimado es
+ * el de la ventana actual más la parte proporcional de la anterior que todavía "cae" dentro de los
+ * últimos windowMs. Un solo MULTI por request (INCR + PEXPIRE + GET), así el límite vale entre réplicas.
+ *
+ * Si Redis no responde dejamos pasar el request: preferimos perder el límite un rato a tirar la API.
+ */
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function requestClass(req) {
+  return READ_METHODS.includes(req.method) ? 'read' : 'write';
+}
+
+// API key, subject del JWT o, sin autenticación, la IP del cliente. Con el tenant adelante:
+// el mismo subject en dos tenants (o clientes detrás de la misma IP) no comparten el límite.
+
+function identityOf(req) {
+  const tenant = req.tenant ? `${req.tenant}:` : '';
+
+  if (req.auth?.apiKeyId) return `${tenant}key:${req.auth.apiKeyId}`;
+  if (req.auth?.subject) return `${tenant}sub:${req.auth.subject}`;
+  return `${tenant}ip:${req.ip}`;
+}
+
+/**
+ * TRUST_PROXY -> valor de 'trust proxy' de Express: "true"/"false", cantidad de saltos ("1") o lista de IPs y subredes.
+ * Sin confiar en el proxy, req.ip es la IP del proxy y todos los clientes anónimos comparten un contador.
+ */
+
+function parseTrustProxy(value = 'false') {
+  const trimmed = value.trim();
+
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  return trimmed.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+// Uso estimado en los últimos windowMs: la ventana actual más la parte de la anterior que todavía cae adentro
+
+function slidingUsage(windowMs, now, current, previous) {
+  const elapsed = (now % windowMs) / windowMs;
+  return Number(previous || 0) * (1 - elapsed) + Number(current || 0);
+}
+
+function createRateLimiter({
+  redisClient,
+  windowMs = 60000,
+  limits,
+  keyPrefix = 'ratelimit:',
+  logger,
+  onReject = () => {},
+}) {
+  /**
+   * Cuenta el request y devuelve { allowed, limit, remaining, resetMs }.
+   */
+
+  async function hit(identity, klass, now = Date.now()) {
+    const window = Math.floor(now / windowMs);
+    const key = (w) => `${keyPrefix}${klass}:${identity}:${w}`;
+
+    const [current, , previous] = await redisClient
+      .multi()
+      .incr(key(window))
+      .pExpire(key(window), windowMs * 2)
+      .get(key(window - 1))
+      .exec();
+
+    const used = slidingUsage(windowMs, now, current, previous);
+    const limit = limits[klass];
+
+    return {
+      allowed: used <= limit,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - used)),
+      resetMs: windowMs - (now % windowMs),
+    };
+  }
+
+  async function middleware(req, res, next) {
+    const klass = requestClass(req);
+
+    let result;
+    try {
+      result = await hit(identityOf(req), klass);
+    } catch (err) {
+      (req.logger || logger).warn('rate limit no disponible, se deja pasar el request', { error: err.message });
+      return next();
+    }
+
+    const resetSec = Math.ceil(result.resetMs / 1000);
+
+    res.set('RateLimit-Policy', `${result.limit};w=${Math.round(windowMs / 1000)}`);
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(resetSec));
+
+    if (result.allowed) return next();
+
+    onReject(klass);
+    req.logger.warn('request rechazado por rate limit', { class: klass, limit: result.limit });
+
+    res.set('Retry-After', String(resetSec));
+    res.status(429).json({
+      error: 'rate_limited',
+      message: `Se superó el límite de ${result.limit} requests de ${klass === 'read' ? 'lectura' : 'escritura'} por ventana`,
+      request_id: req.requestId,
+    });
+  }
+
+  return { middleware, hit };
+}
+
+/**
+ * Autenticaciones fallidas por IP, contadas antes de autenticar.
+ *
+ * El límite por identidad corre después de la autenticación, así que no frena a quien prueba credenciales:
+ * cada API key inventada es una verificación contra user-service. Este middleware va antes del authenticator.
+ * Si la IP ya juntó `limit` respuestas 401 en la ventana, responde 429 sin autenticar; si no, cuenta el 401
+ * cuando la respuesta termina. Los requests que se autentican bien no suman.
+ */
+
+function createAuthFailureLimiter({
+  redisClient,
+  windowMs = 60000,
+  limit,
+  keyPrefix = 'ratelimit:',
+  logger,
+  onReject = () => {},
+}) {
+  const keyFor = (ip, window) => `${keyPrefix}auth-failures:ip:${ip}:${window}`;
+
+  async function failures(ip, now = Date.now()) {
+    const window = Math.floor(now / windowMs);
+    const [current, previous] = await redisClient
+      .multi()
+      .get(keyFor(ip, window))
+      .get(keyFor(ip, window - 1))
+      .exec();
+
+    return slidingUsage(windowMs, now, current, previous);
+  }
+
+  async function recordFailure(ip, now = Date.now()) {
+    const key = keyFor(ip, Math.floor(now / windowMs));
+    await redisClient.multi().incr(key).pExpire(key, windowMs * 2).exec();
+  }
+
+  async function middleware(req, res, next) {
+    const log = req.logger || logger;
+
+    let used;
+    try {
+      used = await failures(req.ip);
+    } catch (err) {
+      log.warn('rate limit no disponible, se deja pasar el request', { error: err.message });
+      return next();
+    }
+
+    if (used >= limit) {
+      onReject('auth');
+      log.warn('request rechazado por autenticaciones fallidas', { limit });
+
+      res.set('Retry-After', String(Math.ceil((windowMs - (Date.now() % windowMs)) / 1000)));
+      return res.status(429).json({
+        error: 'rate_limited',
+        message: `Se superó el límite de ${limit} autenticaciones fallidas por ventana`,
+        request_id: req.requestId,
+      });
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode !== 401) return;
+
+      recordFailure(req.ip).catch((err) => {
+        log.warn('no se pudo contar la autenticación fallida', { error: err.message });
+      });
+    });
+
+    next();
+  }
+
+  return { middleware, failures };
+}
+
+module.exports = { createRateLimiter, createAuthFailureLimiter, requestClass, identityOf, parseTrustProxy };
@@ -0,0 +1,255 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Cache de respuestas del gateway.
+ *
+ * La clave es partición (el tenant) + método + path + query + los headers de vary. Cada entrada lleva un tag con
+ * el recurso (por ejemplo "acme:/users/<id>"): una escritura sobre el recurso o sus sub-rutas invalida todas sus entradas.
+ * Puede llevar además tags que salen del body (extraTagsFor), como los grupos del usuario.
+ *
+ * Cache-Control del cliente: no-store no lee ni guarda; no-cache no lee pero guarda la respuesta nueva.
+ * Cache-Control del upstream: no-store o private no se guardan; max-age acota el TTL configurado.
+ *
+ * Dos stores con la misma interfaz (get, set con un tag o una lista, invalidate, clear): LRU en memoria por réplica, o Redis
+ * compartido entre réplicas. Con el store en memoria una escritura solo invalida la réplica que la recibió;
+ * en las otras la entrada vive hasta que vence el TTL.
+ */
+
+function createMemoryStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+  const tags = new Map();
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+
+    entries.delete(key);
+    entry.tags.forEach((tag) => {
+      const keys = tags.get(tag);
+      keys.delete(key);
+      if (!keys.size) tags.delete(tag);
+    });
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+
+      // Map conserva el orden de inserción: reinsertar deja la entrada como la más reciente
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs, tagOrTags) {
+      const entryTags = [].concat(tagOrTags);
+
+      remove(key);
+      if (entries.size >= maxEntries) remove(entries.keys().next().value);
+
+      entries.set(key, { value, tags: entryTags, expiresAt: Date.now() + ttlMs });
+      entryTags.forEach((tag) => {
+        if (!tags.has(tag)) tags.set(tag, new Set());
+        tags.get(tag).add(key);
+      });
+    },
+
+    async invalidate(tag) {
+      [...(tags.get(tag) || [])].forEach(remove);
+    },
+
+    async clear() {
+      entries.clear();
+      tags.clear();
+    },
+
+    size: () => entries.size,
+  };
+}
+
+/**
+ * Store en Redis: cada entrada con su TTL, y un set por tag con las claves de sus entradas.
+ * El set vence con el TTL máximo, así no quedan tags huérfanos.
+ */
+
+function createRedisStore({ redisClient, maxTtlMs, keyPrefix = 'gwcache:' }) {
+  const entryKey = (key) => `${keyPrefix}entry:${key}`;
+  const tagKey = (tag) => `${keyPrefix}tag:${tag}`;
+
+  return {
+    async get(key) {
+      const raw = await redisClient.get(entryKey(key));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, value, ttlMs, tagOrTags) {
+      const multi = redisClient.multi().set(entryKey(key), JSON.stringify(value), { PX: ttlMs });
+
+      [].concat(tagOrTags).forEach((tag) => multi.sAdd(tagKey(tag), entryKey(key)).pExpire(tagKey(tag), maxTtlMs));
+      await multi.exec();
+    },
+
+    async invalidate(tag) {
+      const keys = await redisClient.sMembers(tagKey(tag));
+      await redisClient.del([...keys, tagKey(tag)]);
+    },
+
+    // Solo para tests: en Redis las entradas se van por TTL o invalidación
+    async clear() {},
+  };
+}
+
+function parseCacheControl(header) {
+  const directives = {};
+
+  String(header || '').split(',').forEach((part) => {
+    const [name, value] = part.trim().toLowerCase().split('=');
+    if (name) directives[name] = value === undefined ? true : value;
+  });
+
+  return directives;
+}
+
+function matchesEtag(ifNoneMatch, etag) {
+  return Boolean(etag && ifNoneMatch) && ifNoneMatch.split(',').map((tag) => tag.trim()).includes(etag);
+}
+
+/**
+ * tagFor(req) devuelve el recurso del request (o null si no es cacheable ni invalida nada).
+ * alsoInvalidates(req) devuelve recursos de otras rutas que la escritura cambia; los invalida el middleware
+ * invalidator, que se monta también en rutas sin cache. extraTagsFor(req, body) devuelve recursos de más para
+ * etiquetar una respuesta guardada. isCacheable(req) decide qué GET se guardan. storedHeaders son los headers de respuesta que se guardan con la entrada.
+ * partitionFor(req) separa entradas e invalidaciones (el tenant): el mismo path en dos particiones es otro recurso.
+ */
+
+function createResponseCache({
+  store,
+  ttlMs,
+  varyHeaders = ['accept'],
+  storedHeaders = ['etag'],
+  tagFor,
+  alsoInvalidates = () => [],
+  extraTagsFor = () => [],
+  isCacheable,
+  partitionFor = () => '',
+  logger,
+  onResult = () => {},
+}) {
+  function keyOf(req) {
+    const vary = varyHeaders.map((name) => `${name}=${req.get(name) || ''}`).join('&');
+    return crypto.createHash('sha256').update(`${partitionFor(req)} ${req.method} ${req.originalUrl} ${vary}`).digest('hex');
+  }
+
+  function partitioned(req, tag) {
+    const partition = partitionFor(req);
+    return tag && partition ? `${partition}:${tag}` : tag;
+  }
+
+  function taggedFor(req) {
+    return partitioned(req, tagFor(req));
+  }
+
+  function invalidateOnFinish(req, res, tag) {
+    res.on('finish', () => store.invalidate(tag).catch((err) => warn(req, 'no se pudo invalidar el cache', err)));
+  }
+
+  function ttlFor(res) {
+    const directives = parseCacheControl(res.get('cache-control'));
+    if (directives['no-store'] || directives.private) return 0;
+
+    const maxAge = parseInt(directives['max-age'], 10);
+    return Number.isNaN(maxAge) ? ttlMs : Math.min(ttlMs, maxAge * 1000);
+  }
+
+  function warn(req, message, err) {
+    (req.logger || logger).warn(message, { error: err.message });
+  }
+
+  function respondFromCache(req, res, entry) {
+    res.set('X-Cache', 'HIT');
+    res.set('Age', String(Math.floor((Date.now() - entry.stored_at) / 1000)));
+    Object.entries(entry.headers).forEach(([name, value]) => res.set(name, value));
+
+    if (matchesEtag(req.get('if-none-match'), entry.headers.etag)) return res.status(304).end();
+    res.status(entry.status).json(entry.body);
+  }
+
+  async function middleware(req, res, next) {
+    const tag = taggedFor(req);
+    if (!tag) return next();
+
+    // Escrituras: al terminar invalidamos el recurso, haya salido bien o no (un timeout pudo haber escrito igual)
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      invalidateOnFinish(req, res, tag);
+      return next();
+    }
+
+    if (req.method !== 'GET' || !isCacheable(req)) return next();
+
+    const directives = parseCacheControl(req.get('cache-control'));
+    const key = keyOf(req);
+
+    if (directives['no-store']) {
+      onResult('bypass');
+      res.set('X-Cache', 'BYPASS');
+      return next();
+    }
+
+    if (!directives['no-cache']) {
+      try {
+        const entry = await store.get(key);
+        if (entry) {
+          onResult('hit');
+          return respondFromCache(req, res, entry);
+        }
+      } catch (err) {
+        warn(req, 'no se pudo leer el cache', err);
+      }
+    }
+
+    const result = directives['no-cache'] ? 'bypass' : 'miss';
+    onResult(result);
+    res.set('X-Cache', result.toUpperCase());
+
+    // Guardamos lo que el proxy responda con res.json si es un 200 cacheable
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const ttl = res.statusCode === 200 ? ttlFor(res) : 0;
+
+      if (ttl > 0) {
+        const headers = {};
+        storedHeaders.forEach((name) => {
+          if (res.get(name) !== undefined) headers[name] = res.get(name);
+        });
+
+        const tags = [tag, ...extraTagsFor(req, body).map((extra) => partitioned(req, extra))];
+
+        store.set(key, { status: 200, body, headers, stored_at: Date.now() }, ttl, tags)
+          .catch((err) => warn(req, 'no se pudo guardar en el cache', err));
+      }
+
+      return json(body);
+    };
+
+    next();
+  }
+
+  // Escrituras que cambian recursos cacheados de otra ruta (por ejemplo, un miembro de grupo cambia el usuario)
+
+  function invalidator(req, res, next) {
+    alsoInvalidates(req).forEach((tag) => invalidateOnFinish(req, res, partitioned(req, tag)));
+    next();
+  }
+
+  return { middleware, invalidator, clear: () => store.clear() };
+}
+
+module.exports = { createMemoryStore, createRedisStore, createResponseCache, parseCacheControl };
@@ -0,0 +1,378 @@
+'use strict';
+
+const fs = require('fs');
+const Ajv = require('ajv');
+const { BALANCING_STRATEGIES } = require('./balancer');
+
+/**
+ * Tabla de rutas del gateway, declarada en un archivo JSON (ROUTES_FILE).
+ *
+ * Cada ruta dice qué prefijo atiende, a qué upstream va, con qué path se reemplaza el prefijo, qué métodos
+ * acepta, el presupuesto de tiempo, los scopes que pide y los templates de sus paths (para las métricas). Los textos pueden usar ${VAR} o ${VAR:-default}
+ * para tomar variables de entorno (las URLs y los límites cambian por ambiente); los números se convierten al validar.
+ *
+ * Cada upstream tiene sus instancias (urls fijas y/o discovery por DNS), la estrategia de balanceo y, opcionales,
+ * el health check activo y la expulsión de instancias que fallan (ver balancer.js).
+ *
+ * El archivo se valida entero antes de usarse: al arrancar, si no es válido el gateway no levanta;
+ * en una recarga se sigue usando la tabla anterior.
+ */
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const READ_METHODS = ['GET', 'HEAD'];
+const NAME_PATTERN = '^[a-z][a-z0-9-]*$';
+
+const ROUTES_SCHEMA = {
+  type: 'object',
+  required: ['upstreams', 'routes'],
+  additionalProperties: false,
+  properties: {
+    upstreams: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: { pattern: NAME_PATTERN },
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          urls: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^https?://[^/]+$' } },
+          discovery: {
+            type: 'object',
+            required: ['dns'],
+            additionalProperties: false,
+            properties: {
+              dns: { type: 'string', minLength: 1 },
+              type: { enum: ['a', 'srv'], default: 'a' },
+              port: { type: 'integer', minimum: 1, maximum: 65535 },
+              protocol: { enum: ['http', 'https'], default: 'http' },
+              refresh_ms: { type: 'integer', minimum: 1000, default: 10000 },
+            },
+          },
+          balancing: { enum: BALANCING_STRATEGIES, default: 'round_robin' },
+          hash_on: { type: 'string', pattern: '^(identity|path|header:[A-Za-z0-9-]+)$', default: 'identity' },
+          health_check: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              path: { type: 'string', pattern: '^/', default: '/health/ready' },
+              interval_ms: { type: 'integer', minimum: 100, default: 5000 },
+              timeout_ms: { type: 'integer', minimum: 1, default: 2000 },
+              unhealthy_threshold: { type: 'integer', minimum: 1, default: 2 },
+              healthy_threshold: { type: 'integer', minimum: 1, default: 1 },
+            },
+          },
+          outlier_detection: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              consecutive_failures: { type: 'integer', minimum: 1, default: 5 },
+              ejection_ms: { type: 'integer', minimum: 1, default: 30000 },
+              max_ejection_percent: { type: 'integer', minimum: 0, maximum: 100, default: 50 },
+            },
+          },
+        },
+      },
+    },
+    routes: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'prefix', 'upstream', 'rewrite', 'auth'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', pattern: NAME_PATTERN },
+          prefix: { type: 'string', pattern: '^(/[A-Za-z0-9._~-]+)+$' },
+          upstream: { type: 'string' },
+          rewrite: { type: 'string', pattern: '^(/[A-Za-z0-9._~-]+)*/?$' },
+          methods: { type: 'array', minItems: 1, uniqueItems: true, items: { enum: HTTP_METHODS }, default: HTTP_METHODS },
+          timeout_ms: { type: 'integer', minimum: 1, default: 5000 },
+          paths: { type: 'array', default: [], items: { type: 'string', pattern: '^(/[^/?#]+)+$' } },
+          auth: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              public: { type: 'boolean', default: false },
+              read: { type: 'string', minLength: 1 },
+              write: { type: 'string', minLength: 1 },
+              rules: {
+                type: 'array',
+                default: [],
+                items: {
+                  type: 'object',
+                  required: ['scope'],
+                  additionalProperties: false,
+                  properties: {
+                    path: { type: 'string', pattern: '^(/[^/?#]+)+$' },
+                    methods: { type: 'array', minItems: 1, items: { enum: HTTP_METHODS } },
+                    query: { type: 'object', additionalProperties: { type: 'string' } },
+                    scope: { type: 'string', minLength: 1 },
+                  },
+                },
+              },
+            },
+          },
+          cache: { type: 'boolean', default: false },
+          cache_tags: {
+            type: 'array',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['field', 'resource'],
+              additionalProperties: false,
+              properties: {
+                field: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+                resource: { type: 'string', pattern: '^(/[^/?#]+)*/:value$' },
+              },
+            },
+          },
+          invalidates: {
+            type: 'array',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['path', 'resource'],
+              additionalProperties: false,
+              properties: {
+                path: { type: 'string', pattern: '^(/[^/?#]+)+$' },
+                methods: { type: 'array', minItems: 1, items: { enum: HTTP_METHODS } },
+                resource: { type: 'string', pattern: '^(/[^/?#]+)+$' },
+              },
+            },
+          },
+          schema_validation: { type: 'boolean', default: false },
+          streaming: { enum: ['request', 'response'] },
+          max_body_bytes: { type: 'integer', minimum: 1 },
+        },
+      },
+    },
+  },
+};
+
+const validateTable = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true }).compile(ROUTES_SCHEMA);
+
+/**
+ * Reemplaza ${VAR} y ${VAR:-default} en todos los textos del archivo. Una variable sin valor ni default es un error.
+ */
+
+function interpolate(value, env, missing) {
+  if (Array.isArray(value)) return value.map((item) => interpolate(item, env, missing));
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env, missing)]));
+  }
+
+  if (typeof value !== 'string') return value;
+
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+    if (env[name] !== undefined && env[name] !== '') return env[name];
+    if (fallback !== undefined) return fallback;
+    missing.push(name);
+    return '';
+  });
+}
+
+function invalidTable(file, problems) {
+  const err = new Error(`tabla de rutas inválida (${file}): ${problems.join('; ')}`);
+  err.code = 'INVALID_ROUTES';
+  err.problems = problems;
+  return err;
+}
+
+// "/:id/restore" -> /^\/[^/]+\/restore\/?$/i (relativo al prefijo de la ruta). Sin distinguir mayúsculas, como
+// el routing de Express en user-service: si no, /:id/RESTORE esquivaría la regla de users:admin y llegaría igual.
+
+function compilePath(template) {
+  const source = template
+    .split('/')
+    .map((segment) => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${source}/?$`, 'i');
+}
+
+/**
+ * Chequeos que el schema no puede expresar: upstreams con instancias, rutas a upstreams que existen,
+ * nombres y prefijos únicos, scopes presentes
+ */
+
+function checkReferences(table) {
+  const problems = [];
+  const seen = { name: new Set(), prefix: new Set() };
+
+  Object.entries(table.upstreams).forEach(([name, upstream]) => {
+    if (!upstream.urls && !upstream.discovery) problems.push(`el upstream ${name} necesita urls o discovery`);
+    if (upstream.discovery?.type === 'a' && !upstream.discovery.port) {
+      problems.push(`el upstream ${name} resuelve registros A y necesita discovery.port`);
+    }
+  });
+
+  table.routes.forEach((route) => {
+    if (!table.upstreams[route.upstream]) problems.push(`la ruta ${route.name} usa el upstream ${route.upstream}, que no está definido`);
+
+    ['name', 'prefix'].forEach((field) => {
+      if (seen[field].has(route[field])) problems.push(`${field} repetido: ${route[field]}`);
+      seen[field].add(route[field]);
+    });
+
+    if (!route.auth.public && (!route.auth.read || !route.auth.write)) {
+      problems.push(`la ruta ${route.name} necesita auth.read y auth.write, o auth.public`);
+    }
+
+    if (route.cache_tags.length && !route.cache) {
+      problems.push(`la ruta ${route.name} tiene cache_tags pero no cache`);
+    }
+
+    if (route.streaming === 'request' && !route.max_body_bytes) {
+      problems.push(`la ruta ${route.name} pasa el body en streaming y necesita max_body_bytes`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Arma la tabla lista para usar: rutas ordenadas del prefijo más largo al más corto (así /api/users/bulk
+ * gana sobre /api/users) y reglas de auth compiladas
+ */
+
+function buildTable(table) {
+  const upstreams = Object.fromEntries(Object.entries(table.upstreams).map(([name, upstream]) => [
+    name,
+    { name, ...upstream, urls: upstream.urls || [] },
+  ]));
+
+  const routes = table.routes
+    .map((route) => ({
+      ...route,
+      rewrite: route.rewrite.replace(/\/$/, ''),
+      pathTemplates: route.paths.map((template) => ({ template, pattern: compilePath(template) })),
+      invalidates: route.invalidates.map((rule) => ({ ...rule, pathPattern: compilePath(rule.path) })),
+      auth: {
+        ...route.auth,
+        rules: route.auth.rules.map((rule) => ({ ...rule, pathPattern: rule.path && compilePath(rule.path) })),
+      },
+    }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  return { upstreams, routes };
+}
+
+/**
+ * Valida un objeto de tabla de rutas (ya parseado) y lo devuelve normalizado. Tira INVALID_ROUTES con todos los problemas.
+ */
+
+function parseRoutes(raw, { env = process.env, file = 'inline' } = {}) {
+  const missing = [];
+  const table = interpolate(raw, env, missing);
+
+  if (missing.length) {
+    throw invalidTable(file, [...new Set(missing)].map((name) => `la variable ${name} no está definida y no tiene default`));
+  }
+
+  if (!validateTable(table)) {
+    throw invalidTable(file, validateTable.errors.map((error) => `${error.instancePath || '/'} ${error.message}`));
+  }
+
+  const problems = checkReferences(table);
+  if (problems.length) throw invalidTable(file, problems);
+
+  return buildTable(table);
+}
+
+function loadRoutes(file, options = {}) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw invalidTable(file, [err.message]);
+  }
+
+  return parseRoutes(raw, { ...options, file });
+}
+
+/**
+ * Vigila el archivo por polling (fs.watchFile). Sobrevive a los reemplazos atómicos por symlink
+ * que hace Kubernetes al actualizar un ConfigMap montado, donde fs.watch pierde el archivo.
+ */
+
+function watchRoutes(file, intervalMs, onChange) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.ino !== previous.ino) onChange();
+  };
+
+  fs.watchFile(file, { interval: intervalMs, persistent: false }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
+
+/**
+ * Template del path para el label route de las métricas: el prefijo, más el template de `paths` que
+ * coincide. null si el path no es el prefijo ni coincide con ningún template. path es relativo al prefijo.
+ */
+
+function routeTemplateFor(route, path) {
+  if (path === '/' || path === '') return route.prefix;
+
+  const match = route.pathTemplates.find(({ pattern }) => pattern.test(path));
+  return match ? `${route.prefix}${match.template}` : null;
+}
+
+function matchesRule(rule, req) {
+  if (rule.methods && !rule.methods.includes(req.method)) return false;
+  if (rule.pathPattern && !rule.pathPattern.test(req.path)) return false;
+  return Object.entries(rule.query || {}).every(([name, value]) => req.query[name] === value);
+}
+
+/**
+ * Recursos de otras rutas que una escritura cambia (`invalidates` de la tabla): cada regla cuyo path coincide
+ * arma su resource con los parámetros del path. "/:id/members/:userId" -> "/users/:userId" da "/users/<userId>".
+ */
+
+function resourcesChangedBy(route, req) {
+  if (READ_METHODS.includes(req.method)) return [];
+
+  const segments = req.path.replace(/\/$/, '').split('/');
+
+  return route.invalidates
+    .filter((rule) => (!rule.methods || rule.methods.includes(req.method)) && rule.pathPattern.test(req.path))
+    .map((rule) => {
+      const params = {};
+      rule.path.split('/').forEach((segment, i) => {
+        if (segment.startsWith(':')) params[segment.slice(1)] = segments[i];
+      });
+      return rule.resource.replace(/:([^/]+)/g, (match, name) => params[name] ?? match);
+    });
+}
+
+/**
+ * Tags de más para una respuesta cacheada (`cache_tags` de la tabla): por cada valor del campo del body,
+ * el resource con :value reemplazado. { "field": "groups", "resource": "/groups/:value" } etiqueta al usuario
+ * con cada uno de sus grupos, así invalidar "/groups/<id>" lo saca del cache.
+ */
+
+function cacheTagsFor(route, body) {
+  return route.cache_tags.flatMap((rule) => [].concat(body?.[rule.field] ?? [])
+    .filter((value) => typeof value === 'string' && value && !value.includes('/'))
+    .map((value) => rule.resource.replace(':value', value)));
+}
+
+/**
+ * Scope que pide el request en su ruta: la primera regla que coincide, y si no, read o write según el método.
+ * req.path es relativo al prefijo de la ruta.
+ */
+
+function scopeFor(route, req) {
+  const rule = route.auth.rules.find((candidate) => matchesRule(candidate, req));
+  if (rule) return rule.scope;
+  return READ_METHODS.includes(req.method) ? route.auth.read : route.auth.write;
+}
+
+module.exports = {
+  parseRoutes,
+  loadRoutes,
+  watchRoutes,
+  scopeFor,
+  routeTemplateFor,
+  resourcesChangedBy,
+  cacheTagsFor,
+  HTTP_METHODS,
+};
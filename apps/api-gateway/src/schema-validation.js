@@ -0,0 +1,104 @@
+'use strict';
+
+const axios = require('axios');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+/**
+ * Validación de payloads en el gateway usando el schema que publica user-service (GET /schemas/user).
+ * Así rechazamos requests inválidos sin gastar un hop hacia el upstream, y el schema sigue
+ * teniendo una sola fuente de verdad.
+ *
+ * Si el schema todavía no se pudo cargar, no bloqueamos nada: el upstream valida igual.
+ */
+
+// Mismos códigos que devuelve user-service
+
+const ERROR_CODES = {
+  required: 'required',
+  type: 'invalid_type',
+  minLength: 'too_short',
+  maxLength: 'too_long',
+  pattern: 'invalid_format',
+  format: 'invalid_format',
+  additionalProperties: 'unknown_field',
+  minProperties: 'empty_body',
+};
+
+function fieldOf(error) {
+  if (error.keyword === 'required') return error.params.missingProperty;
+  if (error.keyword === 'additionalProperties') return error.params.additionalProperty;
+  return error.instancePath.replace(/^\//, '') || null;
+}
+
+function toFieldErrors(errors) {
+  return errors.map((error) => ({
+    field: fieldOf(error),
+    code: ERROR_CODES[error.keyword] || 'invalid',
+    message: error.message,
+  }));
+}
+
+function compileSchemas(schemas) {
+  const ajv = new Ajv({ allErrors: true });
+  addFormats(ajv);
+
+  return Object.fromEntries(
+    Object.entries(schemas).map(([operation, schema]) => [operation, ajv.compile(schema)])
+  );
+}
+
+/**
+ * Crea el validador. operationFor(req) decide qué schema aplica a cada request (o null si ninguno).
+ */
+
+function createSchemaValidator({ schemaUrl, logger, operationFor, refreshMs = 300000 }) {
+  let validators = null;
+  let timer = null;
+
+  async function refresh() {
+    try {
+      const response = await axios.get(schemaUrl, { timeout: 2000 });
+      validators = compileSchemas(response.data);
+      logger.info('schema de usuarios cargado', { operations: Object.keys(validators) });
+    } catch (err) {
+      logger.warn('no se pudo cargar el schema de usuarios', { error: err.message });
+    }
+  }
+
+  function start() {
+    refresh();
+    timer = setInterval(refresh, refreshMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+  }
+
+  function middleware(req, res, next) {
+    const operation = operationFor(req);
+    const validate = operation && validators && validators[operation];
+
+    if (!validate || validate(req.body)) return next();
+
+    req.logger.info('payload rechazado por schema', { operation });
+
+    res.status(400).json({
+      error: 'validation_error',
+      message: 'El payload no cumple el schema de usuario',
+      details: toFieldErrors(validate.errors),
+      request_id: req.requestId,
+    });
+  }
+
+  return {
+    refresh,
+    start,
+    stop,
+    middleware,
+    isLoaded: () => validators !== null,
+  };
+}
+
+module.exports = { createSchemaValidator };
@@ -0,0 +1,57 @@
+'use strict';
+
+const { Transform } = require('stream');
+
+/**
+ * Helpers para las rutas que el gateway pasa en streaming (import masivo y export de usuarios).
+ * A diferencia del proxy general, acá no bufferizamos el body ni la respuesta: los bytes van
+ * directo del cliente al upstream y del upstream al cliente.
+ */
+
+/**
+ * Envuelve el body del request y corta con error si supera maxBytes.
+ * Sirve para bodies sin Content-Length (chunked), donde no podemos rechazar antes de empezar.
+ * Si se pasa del límite, el stream devuelto queda con limitExceeded = true.
+ */
+
+function limitBody(req, maxBytes) {
+  let received = 0;
+
+  const limited = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+
+      if (received > maxBytes) {
+        limited.limitExceeded = true;
+        return callback(new Error(`el body supera el máximo de ${maxBytes} bytes`));
+      }
+
+      callback(null, chunk);
+    },
+  });
+
+  limited.limitExceeded = false;
+  req.pipe(limited);
+
+  return limited;
+}
+
+/**
+ * Lee un body de error del upstream que vino como stream (responseType: 'stream').
+ * Si no es JSON devuelve null.
+ */
+
+async function readJson(stream) {
+  if (!stream || typeof stream[Symbol.asyncIterator] !== 'function') return stream || null;
+
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { limitBody, readJson };
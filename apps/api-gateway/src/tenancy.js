@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Tenant de cada request.
+ *
+ * Se resuelve, en orden, del tenant de la API key (user-service lo devuelve al verificarla), de un claim del JWT
+ * (TENANT_CLAIM) y del host del request (TENANT_HOSTS, "api.acme.com=acme,..."). Sin ninguno es el tenant default.
+ * Si la credencial dice un tenant y el host otro, 403: un token de acme no sirve en el dominio de initech.
+ *
+ * El tenant viaja a user-service en X-Tenant-ID. El que mande el cliente nunca se reenvía
+ * (no está en FORWARDED_REQUEST_HEADERS): el único que lo decide es el gateway.
+ */
+
+const TENANT_HEADER = 'X-Tenant-ID';
+const DEFAULT_TENANT = 'default';
+const TENANT_ID_FORMAT = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+function isValidTenant(tenant) {
+  return typeof tenant === 'string' && TENANT_ID_FORMAT.test(tenant);
+}
+
+/**
+ * "api.acme.com=acme,api.initech.com=initech" -> { 'api.acme.com': 'acme', ... }
+ */
+
+function parseTenantHosts(value = '') {
+  const hosts = {};
+
+  value.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [host, tenant] = entry.split('=').map((part) => (part || '').trim().toLowerCase());
+
+    if (!host || !isValidTenant(tenant)) {
+      const err = new Error(`TENANT_HOSTS inválido: "${entry}" (se espera host=tenant)`);
+      err.code = 'INVALID_TENANT_HOSTS';
+      throw err;
+    }
+
+    hosts[host] = tenant;
+  });
+
+  return hosts;
+}
+
+/**
+ * El middleware va después de la autenticación (necesita req.auth) y antes del rate limit y el cache,
+ * que separan sus contadores y entradas por tenant.
+ */
+
+function createTenantResolver({ claim = 'tenant', hosts = {}, defaultTenant = DEFAULT_TENANT }) {
+
+  // Una API key siempre es de un tenant. Un JWT sin el claim es del tenant por defecto: el host lo elige
+  // el cliente, así que no puede darle a la credencial un tenant que no trae
+
+  function credentialTenant(auth) {
+    if (!auth) return undefined;
+    if (auth.apiKeyId) return auth.tenant;
+    return auth.claims?.[claim] ?? defaultTenant;
+  }
+
+  function reject(req, res, error, message) {
+    req.logger.warn('request rechazado por tenant', { reason: error });
+    res.status(403).json({ error, message, request_id: req.requestId });
+  }
+
+  function middleware(req, res, next) {
+    const fromCredential = credentialTenant(req.auth);
+    const fromHost = hosts[req.hostname];
+
+    if (fromCredential !== undefined && !isValidTenant(fromCredential)) {
+      return reject(req, res, 'invalid_tenant', 'La credencial trae un tenant inválido');
+    }
+
+    if (fromCredential && fromHost && fromCredential !== fromHost) {
+      return reject(req, res, 'tenant_mismatch', 'La credencial no es del tenant de este host');
+    }
+
+    // El host solo decide el tenant de requests sin credencial (rutas públicas o autenticación apagada)
+
+    req.tenant = fromCredential || fromHost || defaultTenant;
+    req.logger = req.logger.child({ tenant: req.tenant });
+
+    next();
+  }
+
+  return { middleware };
+}
+
+module.exports = { createTenantResolver, parseTenantHosts, isValidTenant, TENANT_HEADER, DEFAULT_TENANT };
@@ -0,0 +1,12 @@
+'use strict';
+
+const { startTracing } = require('@devops-challenge/observability/tracing');
+
+/**
+ * Tracing distribuido del gateway (el esquema común está en packages/observability/tracing.js).
+ *
+ * Se carga antes que express y http, porque las instrumentaciones parchean los módulos cuando se requieren.
+ * Las llamadas a los upstreams llevan el contexto con injectTraceHeaders.
+ */
+
+module.exports = startTracing({ serviceName: 'api-gateway' });
@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Política para las llamadas a upstreams: circuit breaker por upstream y reintentos acotados.
+ *
+ * Breaker: closed -> open después de failureThreshold fallas seguidas (sin respuesta o 5xx).
+ * Abierto, falla en el acto sin llamar al upstream. Pasado resetTimeoutMs pasa a half_open y deja
+ * pasar halfOpenMaxCalls pruebas: si salen bien vuelve a closed, si no, vuelve a open.
+ *
+ * Reintentos: solo métodos idempotentes, solo si no hubo respuesta o fue 502/503/504, con backoff
+ * exponencial y full jitter, y sin pasarse del presupuesto de tiempo de la ruta (budgetMs para todos los intentos).
+ */
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUS = [502, 503, 504];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// Valor de cada estado para el gauge de métricas
+
+const BREAKER_STATES = { closed: 0, half_open: 1, open: 2 };
+
+function circuitOpenError(name, retryAfterMs) {
+  const err = new Error(`circuit breaker de ${name} abierto`);
+  err.code = 'CIRCUIT_OPEN';
+  err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+function createCircuitBreaker({
+  name,
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  halfOpenMaxCalls = 1,
+  onStateChange = () => {},
+}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let probes = 0;
+
+  function transition(to, now) {
+    const from = state;
+    state = to;
+    if (to === 'open') openedAt = now;
+    if (to !== 'closed') probes = 0;
+    failures = 0;
+    onStateChange({ name, from, to });
+  }
+
+  /**
+   * Reserva un intento. Tira CIRCUIT_OPEN si el breaker no deja pasar la llamada.
+   */
+
+  function acquire(now = Date.now()) {
+    if (state === 'open') {
+      const remaining = resetTimeoutMs - (now - openedAt);
+      if (remaining > 0) throw circuitOpenError(name, remaining);
+      transition('half_open', now);
+    }
+
+    if (state === 'half_open') {
+      if (probes >= halfOpenMaxCalls) throw circuitOpenError(name, 1000);
+      probes += 1;
+    }
+  }
+
+  function onSuccess(now = Date.now()) {
+    if (state === 'half_open') transition('closed', now);
+    failures = 0;
+  }
+
+  function onFailure(now = Date.now()) {
+    if (state === 'half_open') return transition('open', now);
+
+    failures += 1;
+    if (state === 'closed' && failures >= failureThreshold) transition('open', now);
+  }
+
+  return {
+    name,
+    acquire,
+    onSuccess,
+    onFailure,
+    state: () => state,
+    reset: () => {
+      state = 'closed';
+      failures = 0;
+      probes = 0;
+    },
+  };
+}
+
+function isTimeout(err) {
+  return TIMEOUT_CODES.includes(err.code);
+}
+
+// Para el breaker cuenta como falla no tener respuesta o un 5xx; un 4xx es un upstream sano
+
+function isUpstreamFailure(err) {
+  return !err.response || err.response.status >= 500;
+}
+
+function isRetryable(err) {
+  return !err.response || RETRYABLE_STATUS.includes(err.response.status);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Ejecuta send({ timeout }) con el breaker y los reintentos. timeout es lo que queda del presupuesto.
+ */
+
+async function callUpstream(breaker, send, {
+  method,
+  budgetMs,
+  retries = 2,
+  baseDelayMs = 100,
+  maxDelayMs = 2000,
+  onRetry = () => {},
+}) {
+  const deadline = Date.now() + budgetMs;
+  const maxAttempts = IDEMPOTENT_METHODS.includes(method) ? retries + 1 : 1;
+
+  for (let attempt = 1; ; attempt += 1) {
+    breaker.acquire();
+
+    try {
+      const response = await send({ timeout: Math.max(1, deadline - Date.now()) });
+      breaker.onSuccess();
+      return response;
+    } catch (err) {
+      if (isUpstreamFailure(err)) breaker.onFailure();
+      else breaker.onSuccess();
+
+      const delay = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+
+      if (attempt >= maxAttempts || !isRetryable(err) || Date.now() + delay >= deadline) throw err;
+
+      onRetry({ attempt, error: err.message });
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  BREAKER_STATES,
+  IDEMPOTENT_METHODS,
+  createCircuitBreaker,
+  callUpstream,
+  isTimeout,
+  isUpstreamFailure,
+};
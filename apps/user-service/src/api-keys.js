@@ -0,0 +1,180 @@
+'use strict';
+
+const crypto = require('crypto');
+const { API_KEYS_INDEX_KEY, apiKeyKey, apiKeyLastUsedKey } = require('./redis-keys');
+const { createValidator } = require('./user-schema');
+const { DEFAULT_TENANT } = require('./tenancy');
+
+/**
+ * API keys para clientes máquina (jobs batch).
+ *
+ * Formato: "uk_<id>_<secret>", con id de 16 y secret de 64 caracteres hex. El prefijo "uk_<id>" identifica
+ * la key en listados, logs y métricas sin exponer el secret. En Redis se guarda solo el SHA-256 del key completo:
+ * con 256 bits de entropía no hace falta un hash lento. El key en claro se devuelve una única vez, al crearlo.
+ *
+ * Cada key es de un tenant. Los registros son compartidos porque el gateway verifica el key sin saber de qué
+ * tenant es; el índice (apikeys:index) es del tenant, y get/revoke no ven las keys de otro.
+ */
+
+const API_KEY_SCOPES = ['users:read', 'users:write', 'users:admin'];
+const API_KEY_FORMAT = /^uk_([0-9a-f]{16})_[0-9a-f]{64}$/;
+
+const API_KEY_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    scopes: {
+      type: 'array',
+      items: { enum: API_KEY_SCOPES },
+      minItems: 1,
+      uniqueItems: true,
+    },
+    expires_at: { type: 'string', format: 'date-time' },
+  },
+  required: ['name', 'scopes'],
+  additionalProperties: false,
+};
+
+const validateSchema = createValidator(API_KEY_SCHEMA);
+
+function validateApiKey(body) {
+  const details = validateSchema(body);
+
+  if (!details.length && body.expires_at !== undefined && Date.parse(body.expires_at) <= Date.now()) {
+    details.push({ field: 'expires_at', code: 'invalid_value', message: 'must be in the future' });
+  }
+
+  return details;
+}
+
+function apiKeyValidationErrorBody(details) {
+  return {
+    error: 'validation_error',
+    message: 'El payload no cumple el schema de API key',
+    details,
+  };
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function publicApiKey(apiKey, lastUsedAt = null) {
+  const { key_hash: keyHash, ...rest } = apiKey;
+  return { ...rest, tenant: apiKey.tenant || DEFAULT_TENANT, last_used_at: lastUsedAt };
+}
+
+// Las keys creadas antes de multi-tenancy no tienen tenant: son del default
+
+const belongsTo = (apiKey, tenant) => (apiKey.tenant || DEFAULT_TENANT) === tenant;
+
+/**
+ * Crea la key. Sin expires_at vence a los defaultTtlDays días. Devuelve { apiKey, key }: la vista pública y el key en claro.
+ */
+
+async function createApiKey(redisClient, { name, scopes, expires_at: expiresAt }, { actor, defaultTtlDays, tenant = DEFAULT_TENANT }) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const key = `uk_${id}_${crypto.randomBytes(32).toString('hex')}`;
+  const now = new Date();
+
+  const apiKey = {
+    id,
+    name,
+    prefix: `uk_${id}`,
+    tenant,
+    scopes,
+    created_at: now.toISOString(),
+    created_by: actor,
+    expires_at: expiresAt
+      ? new Date(expiresAt).toISOString()
+      : new Date(now.getTime() + defaultTtlDays * 24 * 60 * 60 * 1000).toISOString(),
+    revoked_at: null,
+    key_hash: hashKey(key),
+  };
+
+  await redisClient
+    .multi()
+    .set(apiKeyKey(id), JSON.stringify(apiKey))
+    .sAdd(API_KEYS_INDEX_KEY, id)
+    .exec();
+
+  return { apiKey: publicApiKey(apiKey), key };
+}
+
+async function getApiKey(redisClient, id, tenant = DEFAULT_TENANT) {
+  const [raw, lastUsedAt] = await redisClient.mGet([apiKeyKey(id), apiKeyLastUsedKey(id)]);
+  const apiKey = raw ? JSON.parse(raw) : null;
+
+  return apiKey && belongsTo(apiKey, tenant) ? publicApiKey(apiKey, lastUsedAt) : null;
+}
+
+async function listApiKeys(redisClient) {
+  const ids = await redisClient.sMembers(API_KEYS_INDEX_KEY);
+  if (!ids.length) return [];
+
+  const [raws, lastUsed] = await Promise.all([
+    redisClient.mGet(ids.map(apiKeyKey)),
+    redisClient.mGet(ids.map(apiKeyLastUsedKey)),
+  ]);
+
+  return raws
+    .map((raw, i) => (raw ? publicApiKey(JSON.parse(raw), lastUsed[i]) : null))
+    .filter(Boolean)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Revoca la key. Se conserva el registro (con revoked_at) para saber quién la usó y hasta cuándo.
+ * Devuelve la key actualizada, o null si no existe o es de otro tenant.
+ */
+
+async function revokeApiKey(redisClient, id, tenant = DEFAULT_TENANT) {
+  const raw = await redisClient.get(apiKeyKey(id));
+  if (!raw) return null;
+
+  const apiKey = JSON.parse(raw);
+  if (!belongsTo(apiKey, tenant)) return null;
+
+  if (!apiKey.revoked_at) {
+    apiKey.revoked_at = new Date().toISOString();
+    await redisClient.set(apiKeyKey(id), JSON.stringify(apiKey));
+  }
+
+  return getApiKey(redisClient, id, tenant);
+}
+
+/**
+ * Verifica un key en claro. Devuelve { ok: true, apiKey } (con su tenant) y marca el último uso, o { ok: false, reason }
+ * con reason malformed, unknown, revoked o expired.
+ */
+
+async function verifyApiKey(redisClient, key) {
+  const match = API_KEY_FORMAT.exec(typeof key === 'string' ? key : '');
+  if (!match) return { ok: false, reason: 'malformed' };
+
+  const raw = await redisClient.get(apiKeyKey(match[1]));
+  if (!raw) return { ok: false, reason: 'unknown' };
+
+  const apiKey = JSON.parse(raw);
+  const expected = Buffer.from(apiKey.key_hash, 'hex');
+
+  if (!crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), expected)) return { ok: false, reason: 'unknown' };
+  if (apiKey.revoked_at) return { ok: false, reason: 'revoked' };
+  if (Date.parse(apiKey.expires_at) <= Date.now()) return { ok: false, reason: 'expired' };
+
+  const now = new Date().toISOString();
+  await redisClient.set(apiKeyLastUsedKey(apiKey.id), now);
+
+  return { ok: true, apiKey: publicApiKey(apiKey, now) };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  validateApiKey,
+  apiKeyValidationErrorBody,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey,
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+const { historyKey } = require('./redis-keys');
+const { versionOf } = require('./preconditions');
+
+/**
+ * Historial de auditoría por usuario (append-only), en un Redis Stream users:history:<id>.
+ * Cada cambio agrega una entrada en el mismo MULTI que la escritura del usuario, así no puede
+ * quedar un cambio sin registrar. La fecha de la entrada es la del id del stream (reloj de Redis),
+ * que es también lo que usa el filtro por rango.
+ */
+
+const ACTOR_HEADER = 'x-actor-id';
+const ANONYMOUS_ACTOR = 'anonymous';
+const SYSTEM_CONTEXT = { actor: 'system', requestId: null };
+
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+
+// Campos que cambian en toda escritura; ya viajan en la entrada (version) o en su fecha
+
+const IGNORED_FIELDS = ['version', 'updated_at'];
+
+function auditContext(req) {
+  return {
+    actor: req.get(ACTOR_HEADER) || ANONYMOUS_ACTOR,
+    requestId: req.get('x-request-id') || null,
+  };
+}
+
+/**
+ * Diff a nivel de campo entre dos versiones del usuario. Un campo ausente se informa como null.
+ */
+
+function diffUser(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map((field) => ({
+      field,
+      before: before?.[field] ?? null,
+      after: after?.[field] ?? null,
+    }));
+}
+
+/**
+ * Campos de una entrada de auditoría, tal como se guardan (todo string, como en el stream).
+ * action: created | updated | deleted | restored | purged.
+ */
+
+function changeMessage({ action, context, before, after }) {
+  return {
+    action,
+    actor: context.actor,
+    request_id: context.requestId || '',
+    version: String(versionOf(after || before)),
+    changes: JSON.stringify(diffUser(before, after)),
+  };
+}
+
+// Encola la entrada en un pipeline/MULTI
+
+function recordChange(pipeline, { action, context, before, after }) {
+  return pipeline.xAdd(historyKey((after || before).id), '*', changeMessage({ action, context, before, after }));
+}
+
+function toEntry({ id, message }) {
+  return {
+    id,
+    at: new Date(Number(id.split('-')[0])).toISOString(),
+    action: message.action,
+    actor: message.actor,
+    request_id: message.request_id || null,
+    version: Number(message.version),
+    changes: JSON.parse(message.changes),
+  };
+}
+
+function parseTime(value) {
+  if (value === undefined) return { ms: null };
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? { error: true } : { ms };
+}
+
+/**
+ * Valida los query params de GET /users/:id/history. Devuelve { options } o { error }.
+ */
+
+function parseHistoryQuery(query) {
+  const limit = query.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+    return { error: `limit debe ser un entero entre 1 y ${MAX_HISTORY_LIMIT}` };
+  }
+
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+
+  if (from.error || to.error) {
+    return { error: 'from y to deben ser fechas ISO 8601' };
+  }
+
+  if (from.ms !== null && to.ms !== null && from.ms > to.ms) {
+    return { error: 'from no puede ser posterior a to' };
+  }
+
+  if (query.cursor !== undefined && !/^\d+-\d+$/.test(query.cursor)) {
+    return { error: 'cursor inválido' };
+  }
+
+  return {
+    options: { limit, from: from.ms, to: to.ms, cursor: query.cursor || null },
+  };
+}
+
+/**
+ * Lee una página del historial en orden cronológico. El cursor es el id de la última entrada devuelta.
+ */
+
+async function readHistory(redisClient, userId, { limit, from, to, cursor }) {
+  const start = cursor ? `(${cursor}` : from !== null ? String(from) : '-';
+  const end = to !== null ? String(to) : '+';
+
+  const raw = await redisClient.xRange(historyKey(userId), start, end, { COUNT: limit + 1 });
+  const entries = raw.slice(0, limit).map(toEntry);
+
+  return {
+    entries,
+    nextCursor: raw.length > limit ? entries[entries.length - 1].id : null,
+  };
+}
+
+module.exports = {
+  ACTOR_HEADER,
+  SYSTEM_CONTEXT,
+  auditContext,
+  diffUser,
+  changeMessage,
+  recordChange,
+  toEntry,
+  parseHistoryQuery,
+  readHistory,
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+const readline = require('readline');
+
+/**
+ * Import masivo y export en streaming de usuarios (NDJSON y CSV).
+ *
+ * El import lee el body línea por línea, sin cargarlo entero en memoria.
+ * El CSV es el formato simple de planilla: primera fila con encabezados, comillas dobles
+ * para campos con comas y "" para escapar comillas. No soportamos saltos de línea dentro de un campo.
+ */
+
+const NDJSON = 'application/x-ndjson';
+const CSV = 'text/csv';
+const BULK_MEDIA_TYPES = [NDJSON, CSV];
+
+const EXPORT_FIELDS = ['id', 'name', 'email', 'version', 'created_at', 'updated_at', 'deleted_at'];
+
+function parseCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (quoted) throw new Error('comillas sin cerrar');
+
+  values.push(current);
+  return values;
+}
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return `${values.map(toCsvValue).join(',')}\n`;
+}
+
+/**
+ * Recorre las filas del body. Cada fila es { line, fields } o { line, error } si no se pudo parsear.
+ * Las líneas vacías se ignoran.
+ */
+
+async function* readRows(stream, mediaType) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let headers = null;
+  let line = 0;
+
+  for await (const text of lines) {
+    line++;
+
+    if (!text.trim()) continue;
+
+    if (mediaType === NDJSON) {
+      try {
+        yield { line, fields: JSON.parse(text) };
+      } catch {
+        yield { line, error: { code: 'invalid_json', message: 'la línea no es JSON válido' } };
+      }
+      continue;
+    }
+
+    let values;
+    try {
+      values = parseCsvLine(text);
+    } catch (err) {
+      yield { line, error: { code: 'invalid_csv', message: err.message } };
+      continue;
+    }
+
+    if (!headers) {
+      headers = values.map((header) => header.trim());
+      continue;
+    }
+
+    if (values.length !== headers.length) {
+      yield {
+        line,
+        error: { code: 'invalid_csv', message: `se esperaban ${headers.length} columnas y hay ${values.length}` },
+      };
+      continue;
+    }
+
+    yield { line, fields: Object.fromEntries(headers.map((header, i) => [header, values[i]])) };
+  }
+}
+
+/**
+ * Escribe respetando backpressure: si el buffer del socket está lleno esperamos a 'drain'.
+ * Si el cliente se desconecta mientras esperamos, cortamos el export.
+ */
+
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('el cliente cerró la conexión durante el export'));
+    };
+
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+async function streamExport(res, users, mediaType) {
+  if (mediaType === CSV) await write(res, toCsvRow(EXPORT_FIELDS));
+
+  for await (const user of users) {
+    if (res.destroyed) return;
+
+    const chunk = mediaType === CSV
+      ? toCsvRow(EXPORT_FIELDS.map((field) => user[field]))
+      : `${JSON.stringify(user)}\n`;
+
+    await write(res, chunk);
+  }
+
+  res.end();
+}
+
+module.exports = {
+  NDJSON,
+  CSV,
+  BULK_MEDIA_TYPES,
+  parseCsvLine,
+  readRows,
+  streamExport,
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+const { USERS_EMAIL_PREFIX, REDIS_KEY_PREFIX } = require('./redis-keys');
+
+/**
+ * Índice email -> id para garantizar emails únicos.
+ * Un string por email normalizado (trim + minúsculas), así lo podemos vigilar con WATCH
+ * y escribir en el mismo MULTI que el usuario.
+ */
+
+const SCAN_COUNT = 100;
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+function emailKey(email) {
+  return `${USERS_EMAIL_PREFIX}${normalizeEmail(email)}`;
+}
+
+function sameEmail(a, b) {
+  return normalizeEmail(a) === normalizeEmail(b);
+}
+
+function claimEmail(pipeline, email, id) {
+  pipeline.set(emailKey(email), id);
+  return pipeline;
+}
+
+function releaseEmail(pipeline, email) {
+  pipeline.del(emailKey(email));
+  return pipeline;
+}
+
+/**
+ * Reconstruye el índice recorriendo todas las claves user:*.
+ * No pisa entradas existentes: si dos usuarios ya comparten email lo reporta como conflicto
+ * para que alguien lo resuelva a mano.
+ */
+
+async function rebuildEmailIndex(redisClient) {
+  const report = { scanned: 0, indexed: 0, conflicts: [] };
+  let batch = [];
+
+  const flush = async () => {
+    const raws = await redisClient.mGet(batch);
+    batch = [];
+
+    for (const raw of raws) {
+      if (!raw) continue;
+
+      let user;
+      try {
+        user = JSON.parse(raw);
+      } catch {
+        continue;
+      }
+
+      // Los borrados lógicos liberan su email, no lo volvemos a reservar
+
+      if (!user.email || user.deleted_at) continue;
+
+      const claimed = await redisClient.set(emailKey(user.email), user.id, { NX: true });
+
+      if (claimed) {
+        report.indexed++;
+        continue;
+      }
+
+      const owner = await redisClient.get(emailKey(user.email));
+      if (owner !== user.id) {
+        report.conflicts.push({ email: normalizeEmail(user.email), ids: [owner, user.id] });
+      }
+    }
+  };
+
+  for await (const key of redisClient.scanIterator({ MATCH: `${REDIS_KEY_PREFIX}*`, COUNT: SCAN_COUNT })) {
+    report.scanned++;
+    batch.push(key);
+    if (batch.length >= SCAN_COUNT) await flush();
+  }
+
+  if (batch.length) await flush();
+
+  return report;
+}
+
+module.exports = {
+  normalizeEmail,
+  emailKey,
+  sameEmail,
+  claimEmail,
+  releaseEmail,
+  rebuildEmailIndex,
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const { USERS_EVENTS_KEY } = require('./redis-keys');
+const { parseEntry } = require('./events');
+
+/**
+ * Librería para consumir los eventos de users:events con consumer groups.
+ *
+ * - Cada evento se confirma (XACK) solo si el handler terminó bien. Si falla, queda pendiente y
+ *   se vuelve a entregar cuando lleva claimIdleMs sin confirmar (a este consumidor o a otro del grupo).
+ * - La entrega es at-least-once: el handler tiene que ser idempotente usando event.id.
+ * - XREADGROUP con BLOCK ocupa la conexión, así que el cliente Redis tiene que ser exclusivo del consumidor.
+ */
+
+/**
+ * Crea el consumer group si no existe. startId '$' arranca con los eventos nuevos, '0' desde el principio.
+ */
+
+async function ensureGroup(redisClient, group, startId = '$') {
+  try {
+    await redisClient.xGroupCreate(USERS_EVENTS_KEY, group, startId, { MKSTREAM: true });
+  } catch (err) {
+    if (!String(err.message).includes('BUSYGROUP')) throw err;
+  }
+}
+
+function createEventConsumer({
+  redisClient,
+  group,
+  consumer,
+  handler,
+  logger,
+  batchSize = 10,
+  blockMs = 5000,
+  claimIdleMs = 60000,
+  retryDelayMs = 1000,
+}) {
+  let running = false;
+  let loop = null;
+
+  async function handle(entries) {
+    let acked = 0;
+
+    for (const entry of entries) {
+      let event;
+      try {
+        event = parseEntry(entry);
+      } catch (err) {
+        // Un evento que no se puede parsear nunca va a andar: lo confirmamos para no trabar al grupo
+        logger.error('evento ilegible, se descarta', { stream_id: entry.id, error: err.message });
+        await redisClient.xAck(USERS_EVENTS_KEY, group, entry.id);
+        continue;
+      }
+
+      try {
+        await handler(event);
+        await redisClient.xAck(USERS_EVENTS_KEY, group, entry.id);
+        acked++;
+      } catch (err) {
+        logger.warn('falló el handler, el evento queda pendiente', {
+          event_id: event.id,
+          type: event.type,
+          error: err.message,
+        });
+      }
+    }
+
+    return acked;
+  }
+
+  /**
+   * Una vuelta: reclama pendientes abandonados y después lee eventos nuevos.
+   * Devuelve cuántos eventos se confirmaron.
+   */
+
+  async function poll({ block = blockMs } = {}) {
+    const claimed = await redisClient.xAutoClaim(USERS_EVENTS_KEY, group, consumer, claimIdleMs, '0-0', {
+      COUNT: batchSize,
+    });
+
+    // Redis 7 devuelve null en lugar de las entradas que ya se recortaron del stream
+    let acked = await handle(claimed.messages.filter(Boolean));
+
+    const options = { COUNT: batchSize };
+    if (block) options.BLOCK = block;
+
+    const response = await redisClient.xReadGroup(group, consumer, { key: USERS_EVENTS_KEY, id: '>' }, options);
+
+    if (response) {
+      for (const stream of response) acked += await handle(stream.messages);
+    }
+
+    return acked;
+  }
+
+  async function run() {
+    while (running) {
+      try {
+        await poll();
+      } catch (err) {
+        logger.error('error leyendo eventos', { error: err.message });
+        await new Promise((resolve) => setTimeout(resolve, retryDelayMs));
+      }
+    }
+  }
+
+  async function start() {
+    await ensureGroup(redisClient, group);
+    running = true;
+    loop = run();
+  }
+
+  async function stop() {
+    running = false;
+    if (loop) await loop;
+  }
+
+  return { start, stop, poll };
+}
+
+/**
+ * Replay: recorre el stream entre dos ids (inclusive) sin pasar por el grupo ni confirmar nada.
+ * Sirve para reconstruir proyecciones. Para volver a entregar al grupo, usar resetGroup.
+ */
+
+async function replay(redisClient, { from = '-', to = '+', handler, batchSize = 100 }) {
+  let start = from;
+  let count = 0;
+
+  for (;;) {
+    const entries = await redisClient.xRange(USERS_EVENTS_KEY, start, to, { COUNT: batchSize });
+
+    for (const entry of entries) {
+      await handler(parseEntry(entry));
+      count++;
+    }
+
+    if (entries.length < batchSize) return count;
+
+    start = `(${entries[entries.length - 1].id}`;
+  }
+}
+
+/**
+ * Mueve el puntero del grupo: el grupo vuelve a recibir todo lo posterior a id ('0' = desde el principio)
+ */
+
+async function resetGroup(redisClient, group, id = '0') {
+  await redisClient.xGroupSetId(USERS_EVENTS_KEY, group, id);
+}
+
+module.exports = {
+  ensureGroup,
+  createEventConsumer,
+  replay,
+  resetGroup,
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { USERS_EVENTS_KEY } = require('./redis-keys');
+
+/**
+ * Eventos de dominio de usuarios, publicados en el Redis Stream users:events (outbox).
+ * El evento se encola en el mismo MULTI que el cambio de estado: o se escriben los dos o ninguno.
+ * El formato del envelope está documentado en docs/events.md; si cambia de forma incompatible
+ * hay que subir ENVELOPE_VERSION.
+ */
+
+const EVENT_TYPES = {
+  created: 'user.created',
+  updated: 'user.updated',
+  deleted: 'user.deleted',
+};
+
+const ENVELOPE_VERSION = 1;
+
+// Tope aproximado del stream (MAXLEN ~). Los consumidores tienen que leer antes de que se recorte.
+
+const EVENTS_STREAM_MAX_LEN = parseInt(process.env.EVENTS_STREAM_MAX_LEN || '1000000', 10);
+
+function buildEvent(type, { tenant, user, changes, context }) {
+  return {
+    id: uuidv4(),
+    type,
+    envelope_version: ENVELOPE_VERSION,
+    source: 'user-service',
+    tenant,
+    occurred_at: new Date().toISOString(),
+    subject: user.id,
+    actor: context.actor,
+    request_id: context.requestId || null,
+    data: { user, changes },
+  };
+}
+
+/**
+ * Encola el evento en un pipeline/MULTI y lo devuelve. El id del evento (uuid) es estable:
+ * es el que usan los consumidores para deduplicar si reciben el mismo evento dos veces.
+ */
+
+function publishEvent(pipeline, type, payload) {
+  const event = buildEvent(type, payload);
+
+  pipeline.xAdd(
+    USERS_EVENTS_KEY,
+    '*',
+    { event_id: event.id, type, event: JSON.stringify(event) },
+    { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: EVENTS_STREAM_MAX_LEN } }
+  );
+
+  return event;
+}
+
+/**
+ * Convierte una entrada del stream en el envelope, agregando el id de la entrada (stream_id)
+ */
+
+function parseEntry({ id, message }) {
+  return { ...JSON.parse(message.event), stream_id: id };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  ENVELOPE_VERSION,
+  publishEvent,
+  parseEntry,
+};
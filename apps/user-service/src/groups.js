@@ -0,0 +1,262 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { GROUPS_INDEX_KEY, userKey, groupKey, groupMembersKey } = require('./redis-keys');
+const { createValidator } = require('./user-schema');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./listing');
+
+const SCAN_BATCH = 100;
+
+/**
+ * Grupos de usuarios.
+ *
+ * El grupo (nombre y descripción) se guarda en groups:group:<id>. La pertenencia es parte del usuario
+ * (user.groups, lista de ids) y se cambia con el repositorio como cualquier otra escritura: sube la versión,
+ * queda en el historial y publica user.updated. groups:members:<id> es el índice inverso para listar los
+ * miembros; storage/redis.js lo mantiene en el mismo MULTI que el usuario con queueMembershipChange.
+ *
+ * El índice tiene solo usuarios vivos: el borrado lógico los saca, el restore los vuelve a poner
+ * y el purge no tiene nada que sacar. Como los webhooks, los grupos viven solo en Redis.
+ */
+
+const GROUP_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' },
+    description: { type: 'string', maxLength: 500 },
+  },
+  required: ['name'],
+  additionalProperties: false,
+};
+
+const validateGroup = createValidator(GROUP_SCHEMA);
+
+function groupValidationErrorBody(details) {
+  return {
+    error: 'validation_error',
+    message: 'El payload no cumple el schema de grupo',
+    details,
+  };
+}
+
+// Grupos en los que el usuario cuenta como miembro: ninguno si no existe o está borrado
+
+function liveGroupsOf(user) {
+  return user && !user.deleted_at ? user.groups || [] : [];
+}
+
+/**
+ * Agrega a un multi() los cambios de groups:members:<id> que salen de pasar de before a after
+ */
+
+function queueMembershipChange(multi, id, before, after) {
+  const was = liveGroupsOf(before);
+  const is = liveGroupsOf(after);
+
+  was.filter((groupId) => !is.includes(groupId)).forEach((groupId) => multi.zRem(groupMembersKey(groupId), id));
+  is.filter((groupId) => !was.includes(groupId)).forEach((groupId) => {
+    multi.zAdd(groupMembersKey(groupId), { score: 0, value: id });
+  });
+
+  return multi;
+}
+
+async function createGroup(redisClient, { name, description }) {
+  const now = new Date().toISOString();
+
+  const group = {
+    id: uuidv4(),
+    name,
+    ...(description !== undefined ? { description } : {}),
+    created_at: now,
+    updated_at: now,
+  };
+
+  await redisClient
+    .multi()
+    .set(groupKey(group.id), JSON.stringify(group))
+    .sAdd(GROUPS_INDEX_KEY, group.id)
+    .exec();
+
+  return group;
+}
+
+async function getGroup(redisClient, id) {
+  const raw = await redisClient.get(groupKey(id));
+  return raw ? JSON.parse(raw) : null;
+}
+
+// De una lista de ids, los de grupos que todavía existen
+
+async function existingGroupIds(redisClient, ids) {
+  if (!ids.length) return [];
+
+  const raws = await redisClient.mGet(ids.map(groupKey));
+  return ids.filter((id, i) => raws[i]);
+}
+
+async function listGroups(redisClient) {
+  const ids = await redisClient.sMembers(GROUPS_INDEX_KEY);
+  if (!ids.length) return [];
+
+  const raws = await redisClient.mGet(ids.map(groupKey));
+
+  return raws
+    .filter(Boolean)
+    .map((raw) => JSON.parse(raw))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+// PUT: reemplaza nombre y descripción (sin description en el body, el grupo queda sin descripción)
+
+async function replaceGroup(redisClient, group, { name, description }) {
+  const updated = {
+    ...group,
+    name,
+    description,
+    updated_at: new Date().toISOString(),
+  };
+
+  if (description === undefined) delete updated.description;
+
+  await redisClient.set(groupKey(group.id), JSON.stringify(updated));
+
+  return updated;
+}
+
+/**
+ * Borra el registro del grupo. Los miembros los saca el handler antes de borrar el índice
+ * (removeMembersIndex), porque cada uno es una escritura del usuario.
+ */
+
+async function deleteGroup(redisClient, id) {
+  const results = await redisClient
+    .multi()
+    .del(groupKey(id))
+    .sRem(GROUPS_INDEX_KEY, id)
+    .exec();
+
+  return results[0] === 1;
+}
+
+// Ids de los miembros, en orden, de a lotes: se puede ir sacando miembros mientras se recorre
+
+async function* iterateMemberIds(redisClient, id) {
+  let lower = '-';
+
+  for (;;) {
+    const ids = await redisClient.zRange(groupMembersKey(id), lower, '+', {
+      BY: 'LEX',
+      LIMIT: { offset: 0, count: SCAN_BATCH },
+    });
+
+    yield* ids;
+
+    if (ids.length < SCAN_BATCH) return;
+
+    lower = `(${ids[ids.length - 1]}`;
+  }
+}
+
+function removeMembersIndex(redisClient, id) {
+  return redisClient.del(groupMembersKey(id));
+}
+
+/**
+ * Valida limit y cursor de GET /groups/:id/members, igual que los de GET /users
+ */
+
+function parseMembersQuery(query) {
+  const options = { limit: DEFAULT_LIMIT, cursor: null };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit debe ser un entero entre 1 y ${MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor !== undefined) {
+    if (typeof query.cursor !== 'string' || !query.cursor) {
+      return { error: 'cursor inválido' };
+    }
+    options.cursor = query.cursor;
+  }
+
+  return { options };
+}
+
+/**
+ * Una página de miembros, ordenados por id. El cursor es el id del último miembro devuelto.
+ * Recorre el índice de a lotes como listing.listUsers: saltea usuarios que ya no existen o están borrados
+ * y nunca lee más de maxScan entradas; si llega al tope devuelve lo que haya con un cursor para seguir.
+ */
+
+async function listGroupMembers(redisClient, id, { limit, cursor }, { maxScan = 1000 } = {}) {
+  let lower = cursor ? `(${cursor}` : '-';
+
+  const found = [];
+  let scanned = 0;
+  let lastId = null;
+  let exhausted = false;
+
+  while (found.length <= limit && scanned < maxScan) {
+    const count = Math.min(SCAN_BATCH, maxScan - scanned);
+    const ids = await redisClient.zRange(groupMembersKey(id), lower, '+', {
+      BY: 'LEX',
+      LIMIT: { offset: 0, count },
+    });
+
+    if (!ids.length) {
+      exhausted = true;
+      break;
+    }
+
+    scanned += ids.length;
+
+    const raws = await redisClient.mGet(ids.map(userKey));
+
+    for (let i = 0; i < ids.length && found.length <= limit; i++) {
+      lastId = ids[i];
+
+      const user = raws[i] ? JSON.parse(raws[i]) : null;
+      if (user && !user.deleted_at) found.push(user);
+    }
+
+    if (ids.length < count) {
+      exhausted = true;
+      break;
+    }
+
+    lower = `(${lastId}`;
+  }
+
+  // Igual que en GET /users: uno de más para saber si hay otra página
+
+  let nextCursor = null;
+  if (found.length > limit) {
+    nextCursor = found[limit - 1].id;
+  } else if (!exhausted && lastId) {
+    nextCursor = lastId;
+  }
+
+  return { users: found.slice(0, limit), nextCursor };
+}
+
+module.exports = {
+  validateGroup,
+  groupValidationErrorBody,
+  queueMembershipChange,
+  createGroup,
+  groupKey,
+  getGroup,
+  existingGroupIds,
+  listGroups,
+  replaceGroup,
+  deleteGroup,
+  iterateMemberIds,
+  removeMembersIndex,
+  parseMembersQuery,
+  listGroupMembers,
+};
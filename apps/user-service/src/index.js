@@ -4,12 +4,33 @@ if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
+// Tracing antes que express, http y redis, para que las instrumentaciones los alcancen a parchear
+
+const { currentTraceIds, traceRequests, shutdownTracing } = require('./tracing');
+
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
 const { createClient } = require('redis');
 const { v4: uuidv4 } = require('uuid');
 const client = require('prom-client');
 const { createLogger, format, transports } = require('winston');
+const listing = require('./listing');
+const preconditions = require('./preconditions');
+const { USER_SCHEMAS, validateBody, validateUser } = require('./user-schema');
+const { PATCH_MEDIA_TYPES, applyUserPatch } = require('./patch');
+const bulk = require('./bulk');
+const audit = require('./audit');
+const webhooks = require('./webhooks');
+const apiKeys = require('./api-keys');
+const groups = require('./groups');
+const { createCardinalityGuard, createLabelValueCap, OTHER_ROUTE } = require('@devops-challenge/observability/metric-labels');
+const { loadSlo, createSloTracker } = require('@devops-challenge/observability/slo');
+const { createLogControl, redactFormat } = require('@devops-challenge/observability/logging');
+const { createUserStore } = require('./storage');
+const migrate = require('./migrate');
+const tenancy = require('./tenancy');
 
 /**
  * Logger con winston.
@@ -22,11 +43,33 @@ const { createLogger, format, transports } = require('winston');
  *                                                                                                                                                    En resumen, esta configuración de winston permite implementar un sistema de logging estructurado y configurable, que es fundamental para el monitoreo y la depuración efectiva de aplicaciones en producción.
  */
 
+// Cada línea lleva trace_id y span_id del span activo, si hay uno
+
+const traceContext = format((info) => Object.assign(info, currentTraceIds()));
+
+// Nivel por módulo (http, webhooks...) que se cambia en runtime con PUT /admin/log-levels y vuelve a LOG_LEVEL pasado el TTL
+
+const logControl = createLogControl({
+  defaultLevel: process.env.LOG_LEVEL || 'info',
+  defaultTtlMs: parseInt(process.env.LOG_LEVEL_TTL_MS || '900000', 10),
+  onChange: (level) => {
+    logger.level = level;
+  },
+  onExpire: (module) => logger.warn('nivel de log restaurado por TTL', { log_module: module }),
+});
+
+// Campos extra a enmascarar, además de passwords, tokens, emails y credenciales en URLs (redis_url lleva la clave)
+
+const LOG_REDACT_FIELDS = (process.env.LOG_REDACT_FIELDS || '').split(',').map((field) => field.trim()).filter(Boolean);
+
 const logger = createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: logControl.level(),
   format: format.combine(
     format.timestamp(),
+    traceContext(),
+    logControl.filter(),
     format.errors({ stack: true }),
+    redactFormat({ fields: LOG_REDACT_FIELDS }),
     format.json()
   ),
   defaultMeta: {
@@ -41,7 +84,9 @@ const logger = createLogger({
  * Métricas básicas para Prometheus
  */
 
-const register = new client.Registry();
+// OpenMetrics para poder exponer exemplars con el trace_id
+
+const register = new client.Registry(client.Registry.OPENMETRICS_CONTENT_TYPE);
 client.collectDefaultMetrics({ register });
 
 // Tiempo de requests HTTP que recibe este servicio
@@ -51,6 +96,7 @@ const httpRequestDuration = new client.Histogram({
   help: 'Duración de peticiones HTTP en segundos',
   labelNames: ['method', 'route', 'status_code'],
   buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  enableExemplars: true,
   registers: [register],
 });
 
@@ -73,12 +119,77 @@ const redisOperationDuration = new client.Histogram({
   registers: [register],
 });
 
-// Métrica simple del total de usuarios
+// Métrica simple del total de usuarios, por tenant
 
 const usersTotal = new client.Gauge({
   name: 'users_total',
   help: 'Cantidad total de usuarios guardados',
+  labelNames: ['tenant'],
+  registers: [register],
+});
+
+// Uso por tenant: requests por clase de status (2xx, 4xx...)
+
+const tenantRequestsTotal = new client.Counter({
+  name: 'tenant_requests_total',
+  help: 'Requests de cada tenant por clase de status',
+  labelNames: ['tenant', 'class'],
+  registers: [register],
+});
+
+
+// Usuarios borrados físicamente por el purge de borrados lógicos
+
+const usersPurgedTotal = new client.Counter({
+  name: 'users_purged_total',
+  help: 'Usuarios con borrado lógico eliminados definitivamente por el purge',
+  registers: [register],
+});
+
+// Intentos de entrega de webhooks por resultado (delivered, retry_scheduled, dead_lettered, test_failed)
+
+const webhookDeliveriesTotal = new client.Counter({
+  name: 'webhook_deliveries_total',
+  help: 'Intentos de entrega de webhooks',
+  labelNames: ['outcome'],
+  registers: [register],
+});
+
+// Combinaciones de labels descartadas por el límite de cardinalidad de cada métrica
+
+const metricLabelSetsDroppedTotal = new client.Counter({
+  name: 'metric_label_sets_dropped_total',
+  help: 'Combinaciones de labels descartadas por el límite de cardinalidad',
+  labelNames: ['metric'],
+  registers: [register],
+});
+
+// Burn rate por ventana y error budget restante de cada SLO, calculados al momento del scrape
+
+const sloBurnRate = new client.Gauge({
+  name: 'slo_burn_rate',
+  help: 'Burn rate del error budget por objetivo, SLI y ventana',
+  labelNames: ['objective', 'sli', 'window'],
   registers: [register],
+  collect() {
+    this.reset();
+    sloTracker.report().forEach((objective) => objective.slis.forEach(({ sli, burn_rates: burnRates }) => {
+      Object.entries(burnRates).forEach(([window, rate]) => this.set({ objective: objective.name, sli, window }, rate));
+    }));
+  },
+});
+
+const sloErrorBudgetRemaining = new client.Gauge({
+  name: 'slo_error_budget_remaining',
+  help: 'Fracción del error budget que queda en la ventana del SLO (negativa si se pasó)',
+  labelNames: ['objective', 'sli'],
+  registers: [register],
+  collect() {
+    this.reset();
+    sloTracker.report().forEach((objective) => objective.slis.forEach(({ sli, error_budget_remaining: remaining }) => {
+      this.set({ objective: objective.name, sli }, remaining);
+    }));
+  },
 });
 
 
@@ -91,8 +202,59 @@ const PORT = parseInt(process.env.PORT || '3001', 10);
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
-const REDIS_KEY_PREFIX = 'user:';
-const USERS_INDEX_KEY = 'users:index';
+// Dónde viven los usuarios: redis o memory (desarrollo local y tests, sin Redis; sin webhooks, grupos ni API keys)
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'redis';
+
+// Máximo de entradas del índice que GET /users recorre por request cuando hay filtros
+
+const LIST_MAX_SCAN = parseInt(process.env.LIST_MAX_SCAN || '1000', 10);
+
+// Si está activo, PUT y DELETE sin If-Match responden 428 en vez de escribir a ciegas
+
+const REQUIRE_IF_MATCH = process.env.REQUIRE_IF_MATCH === 'true';
+
+// Borrado lógico: cuánto se conserva un usuario borrado antes de eliminarlo y cada cuánto corre el purge
+
+const DELETED_USER_RETENTION_DAYS = parseFloat(process.env.DELETED_USER_RETENTION_DAYS || '30');
+const PURGE_INTERVAL_MS = parseInt(process.env.PURGE_INTERVAL_MS || '3600000', 10);
+
+// Máximo de filas que procesa un import masivo; el resto del body se descarta y se marca truncated
+
+const BULK_MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS || '10000', 10);
+
+// Webhooks: intentos antes de mandar la entrega a dead-letter, backoff inicial y timeout de cada POST
+
+const WEBHOOKS_ENABLED = process.env.WEBHOOKS_ENABLED !== 'false';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '1000', 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10);
+
+// Vencimiento de una API key cuando no se indica expires_at
+
+const API_KEY_DEFAULT_TTL_DAYS = parseFloat(process.env.API_KEY_DEFAULT_TTL_DAYS || '90');
+
+// Máximo de combinaciones de labels por métrica HTTP; las que sobran se cuentan con route=other
+
+const METRICS_MAX_LABEL_SETS = parseInt(process.env.METRICS_MAX_LABEL_SETS || '500', 10);
+
+// Máximo de tenants con label propio en las métricas; los que sobran se cuentan como tenant=other
+
+const METRICS_MAX_TENANTS = parseInt(process.env.METRICS_MAX_TENANTS || '50', 10);
+
+// SLOs por ruta (ver packages/observability/slo.js) y cómo avisar un error budget agotado: none, header o readiness
+
+const SLO_FILE = process.env.SLO_FILE || path.join(__dirname, '..', 'config', 'slo.json');
+const SLO_BUDGET_SIGNAL = process.env.SLO_BUDGET_SIGNAL || 'none';
+
+// Bearer token de los endpoints de operación (/admin/*). Sin token esos endpoints no se montan.
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+// Migraciones de datos al arrancar. Lo normal es correrlas con el Job antes del rollout (npm run migrate);
+// esto sirve para entornos sin ese paso. Si otra réplica ya está migrando, se arranca igual.
+
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START === 'true';
 
 
 /**
@@ -103,6 +265,32 @@ const USERS_INDEX_KEY = 'users:index';
 let redisClient = null;
 let redisReady = false;
 
+// Repositorio de usuarios de cada tenant (ver storage/index.js y tenancy.js), creado la primera vez que se usa
+
+const userStores = new Map();
+let storageConnected = false;
+
+function storeFor(tenant) {
+  if (!userStores.has(tenant)) {
+    userStores.set(tenant, createUserStore({ driver: STORAGE_DRIVER, redisClient, tenant }));
+  }
+
+  return userStores.get(tenant);
+}
+
+// Tenants con datos: en Redis los registra el storage; en memoria, los que ya tienen store
+
+async function knownTenants() {
+  if (redisClient) return tenancy.listTenants(redisClient);
+
+  return [tenancy.DEFAULT_TENANT, ...[...userStores.keys()].filter((tenant) => tenant !== tenancy.DEFAULT_TENANT)];
+}
+
+// El dispatcher de webhooks usa el cliente principal; el consumer de eventos, una conexión aparte (bloquea leyendo)
+
+let webhookDispatcher = null;
+let eventsClient = null;
+
 async function connectRedis() {
   redisClient = createClient({
     url: REDIS_URL,
@@ -154,21 +342,85 @@ async function connectRedis() {
   });
 
   await redisClient.connect();
+
+  userStores.clear();
+  storageConnected = true;
+
+  webhookDispatcher = webhooks.createWebhookDispatcher({
+    redisClient,
+    logger: logger.child({ module: 'webhooks' }),
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    baseDelayMs: WEBHOOK_RETRY_BASE_MS,
+    timeoutMs: WEBHOOK_TIMEOUT_MS,
+    onAttempt: (entry) => webhookDeliveriesTotal.inc({ outcome: entry.outcome }),
+  });
+}
+
+/**
+ * Con STORAGE_DRIVER=memory no hay conexión a Redis: los usuarios quedan en memoria
+ */
+
+async function connectStorage() {
+  if (STORAGE_DRIVER === 'redis') return connectRedis();
+
+  userStores.clear();
+  storageConnected = true;
+  logger.warn('usuarios en memoria: se pierden al reiniciar; webhooks y API keys no están disponibles', {
+    storage_driver: STORAGE_DRIVER,
+  });
+}
+
+async function startWebhooks() {
+  if (!WEBHOOKS_ENABLED || !redisClient) return;
+
+  eventsClient = redisClient.duplicate();
+  eventsClient.on('error', (err) => logger.error('error en redis (eventos)', { error: err.message }));
+  await eventsClient.connect();
+
+  await webhookDispatcher.start({ eventsClient });
+}
+
+
+/**
+ * Migraciones de datos pendientes (ver migrate.js), tenant por tenant. Solo aplica al driver redis.
+ */
+
+async function runStartupMigrations() {
+  if (!MIGRATE_ON_START || !redisClient) return;
+
+  try {
+    for (const tenant of await knownTenants()) {
+      const report = await migrate.runMigrations(tenancy.createTenantClient(redisClient, tenant));
+
+      if (report.migrations.length) {
+        logger.info('migraciones de datos aplicadas', {
+          tenant,
+          from: report.from,
+          to: report.to,
+          scanned: report.scanned,
+          resumed: report.resumed,
+        });
+      }
+    }
+  } catch (err) {
+    if (err.code !== 'MIGRATION_LOCKED') throw err;
+    logger.warn('otra réplica está migrando los datos, se arranca sin esperar', { error: err.message });
+  }
 }
 
 
 /**
  * Initialize sample data
- * Se ejecuta solo en development
+ * Se ejecuta solo en development, en el tenant default
  *                                                                                                                                                7. En esta parte se da inicialización de datos de prueba, donde se define una función initializeSampleData que verifica si ya existen usuarios en Redis y, si no es así, inserta un conjunto de usuarios de ejemplo. Esto es útil para facilitar el desarrollo y las pruebas locales, asegurando que el servicio tenga datos con los que trabajar sin necesidad de insertar manualmente cada vez. Además, se loguea el proceso de inicialización para tener visibilidad sobre cuándo se están creando los datos de prueba.
  */
 
 async function initializeSampleData() {
   if (NODE_ENV === 'production') return;
-  
-  const existingIds = await redisClient.sMembers(USERS_INDEX_KEY);
 
-  if (existingIds.length > 0) {
+  const userStore = storeFor(tenancy.DEFAULT_TENANT);
+
+  if ((await userStore.count()) > 0) {
     logger.info('sample data ya existe, no se inicializa');
     return;
   }
@@ -182,6 +434,7 @@ async function initializeSampleData() {
       id: uuidv4(),
       name: 'Alice Example',
       email: 'alice@test.com',
+      version: 1,
       created_at: now,
       updated_at: now,
     },
@@ -189,33 +442,85 @@ async function initializeSampleData() {
       id: uuidv4(),
       name: 'Bob Example',
       email: 'bob@test.com',
+      version: 1,
       created_at: now,
       updated_at: now,
     },
   ];
 
   for (const user of sampleUsers) {
-    await redisClient.set(
-      `${REDIS_KEY_PREFIX}${user.id}`,
-      JSON.stringify(user)
-    );
-
-    await redisClient.sAdd(USERS_INDEX_KEY, user.id);
+    await userStore.save(user.id, () => ({ action: 'created', user }), { context: audit.SYSTEM_CONTEXT });
   }
 
-  usersTotal.set(sampleUsers.length);
+  setUsersTotal(tenancy.DEFAULT_TENANT, sampleUsers.length);
 
   logger.info('sample data inicializada correctamente', {
     total_users: sampleUsers.length,
   });
 }
 
+/**
+ * Índices de listado
+ * Si la cantidad de usuarios no coincide con el índice por fecha, lo reconstruimos desde users:index.
+ */
+
+async function ensureListIndexes() {
+  for (const tenant of await knownTenants()) {
+    const userStore = storeFor(tenant);
+
+    if (!(await userStore.indexesOutOfSync())) continue;
+
+    logger.info('reconstruyendo índices de listado...', { tenant });
+
+    const indexed = await userStore.rebuildIndexes();
+
+    logger.info('índices de listado reconstruidos', { tenant, indexed_users: indexed });
+  }
+}
+
+/**
+ * Purge periódico de usuarios con borrado lógico
+ */
+
+let purgeTimer = null;
+
+async function runPurge() {
+  try {
+    for (const tenant of await knownTenants()) {
+      const purged = await storeFor(tenant).purgeDeleted({
+        retentionMs: DELETED_USER_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+      });
+
+      if (purged) {
+        usersPurgedTotal.inc(purged);
+        logger.info('usuarios borrados purgados', { tenant, purged_users: purged });
+      }
+    }
+  } catch (err) {
+    logger.error('falló el purge de usuarios borrados', { error: err.message });
+  }
+}
+
+function schedulePurge() {
+  purgeTimer = setInterval(runPurge, PURGE_INTERVAL_MS);
+
+  // No queremos que el timer mantenga vivo el proceso durante el shutdown
+  purgeTimer.unref();
+}
+
 /**
  * Express app
  */
 
 const app = express();
-app.use(express.json());
+
+// Span del request entrante si la instrumentación de http no lo creó
+
+app.use(traceRequests);
+
+// Además de application/json aceptamos los media types de PATCH (application/merge-patch+json, etc.)
+
+app.use(express.json({ type: ['application/json', 'application/*+json'] }));
 app.disable('x-powered-by');
 
 /**
@@ -227,19 +532,32 @@ let server;
 
 async function start() {
   try {
-    // 1. Conectar Redis
-    await connectRedis();
+    // 1. Conectar Redis (o armar el storage en memoria)
+    await connectStorage();
+
+    // 2. Migraciones de datos pendientes, si MIGRATE_ON_START está activo
+    await runStartupMigrations();
 
-    // 2. Inicializar datos de prueba
+    // 3. Inicializar datos de prueba
     await initializeSampleData();
 
-    // 3. Levantar servidor HTTP
+    // 4. Reconstruir índices de listado si hay usuarios guardados antes de que existieran
+    await ensureListIndexes();
+
+    // 5. Programar el purge de usuarios con borrado lógico
+    schedulePurge();
+
+    // 6. Entregas de webhooks (consumer de eventos + reintentos)
+    await startWebhooks();
+
+    // 7. Levantar servidor HTTP
     server = http.createServer(app);
 
     server.listen(PORT, () => {
       logger.info('user-service iniciado', {
         port: PORT,
         env: NODE_ENV,
+        storage_driver: STORAGE_DRIVER,
         redis_url: REDIS_URL,
       });
     });
@@ -255,32 +573,80 @@ async function start() {
 
 
 
+const labelGuard = createCardinalityGuard({
+  limit: METRICS_MAX_LABEL_SETS,
+  onDrop: (metric) => metricLabelSetsDroppedTotal.inc({ metric }),
+});
+
+// El label tenant sale de los datos: pasados METRICS_MAX_TENANTS tenants, el resto va a "other"
+
+const tenantLabel = createLabelValueCap({
+  limit: METRICS_MAX_TENANTS,
+  onDrop: (tenant) => {
+    metricLabelSetsDroppedTotal.inc({ metric: 'tenant' });
+    logger.warn('tenant sin label propio en las métricas, se cuenta como other', { tenant });
+  },
+});
+
+// users_total no se lleva para "other": sería la suma de tenants que no podemos contar por separado
+
+function setUsersTotal(tenant, count) {
+  const label = tenantLabel(tenant);
+  if (label !== OTHER_ROUTE) usersTotal.set({ tenant: label }, count);
+}
+
+function changeUsersTotal(tenant, delta) {
+  const label = tenantLabel(tenant);
+  if (label !== OTHER_ROUTE) usersTotal.inc({ tenant: label }, delta);
+}
+
+let sloTracker;
+
+try {
+  sloTracker = createSloTracker(loadSlo(SLO_FILE));
+} catch (err) {
+  logger.error('SLOs inválidos, el servicio no arranca', { file: SLO_FILE, error: err.message });
+  throw err;
+}
+
 /**
  * Middleware para métricas HTTP
+ * route es el template de la ruta de express; si el request no llegó a ninguna (404, JSON inválido), "other"
  */
 
 app.use((req, res, next) => {
   const end = httpRequestDuration.startTimer();
+  const { trace_id: traceId } = currentTraceIds();
 
   res.on('finish', () => {
-    const route = req.route ? req.route.path : req.path;
-
-    end({
+    const labels = {
       method: req.method,
-      route,
+      route: req.route ? req.route.path : OTHER_ROUTE,
       status_code: res.statusCode,
-    });
+    };
 
-    httpRequestTotal.inc({
-      method: req.method,
-      route,
-      status_code: res.statusCode,
-    });
+    const seconds = end(labelGuard.labelsFor('http_request_duration_seconds', labels), traceId ? { trace_id: traceId } : {});
+    httpRequestTotal.inc(labelGuard.labelsFor('http_requests_total', labels));
+
+    if (req.tenant) {
+      tenantRequestsTotal.inc({ tenant: tenantLabel(req.tenant), class: `${Math.floor(res.statusCode / 100)}xx` });
+    }
+    sloTracker.record({ route: labels.route, method: req.method, statusCode: res.statusCode, durationMs: seconds * 1000 });
   });
 
   next();
 });
 
+// Con SLO_BUDGET_SIGNAL=header cada respuesta lista los SLIs sin error budget
+
+if (SLO_BUDGET_SIGNAL === 'header') {
+  app.use((req, res, next) => {
+    const exhausted = sloTracker.exhausted();
+    if (exhausted.length) res.setHeader('X-Error-Budget-Exhausted', exhausted.join(', '));
+    next();
+  });
+}
+
 
 /**
  * Logging simple de requests
@@ -289,16 +655,19 @@ app.use((req, res, next) => {
  *                                                                                                                                                 Este middleware intercepta todas las requests, mide duracion, registra el metodo, ruta, status code y escribe logs estructurados con winston, lo que es esencial para el monitoreo y la depuración efectiva de la aplicación en producción.
  */
 
+const httpLogger = logger.child({ module: 'http' });
+
 app.use((req, res, next) => {
   const start = Date.now();
 
   res.on('finish', () => {
-    logger.info('request procesado', {
+    httpLogger.info('request procesado', {
       method: req.method,
       path: req.path,
       status: res.statusCode,
       duration_ms: Date.now() - start,
       request_id: req.headers['x-request-id'],
+      tenant: req.tenant,
     });
   });
 
@@ -321,7 +690,12 @@ app.get('/health/live', (req, res) => {
 
 app.get('/health/ready', async (req, res) => {
 
-  if (!redisReady || !redisClient) {
+  // Con el storage en memoria no hay una dependencia externa que chequear
+
+  const inMemory = STORAGE_DRIVER === 'memory' && storageConnected;
+  const dependencies = inMemory ? { storage: 'memory' } : { redis: 'up' };
+
+  if (!inMemory && (!redisReady || !redisClient)) {
     return res.status(503).json({
       status: 'not ready',
       dependencies: { redis: 'down' },
@@ -330,15 +704,32 @@ app.get('/health/ready', async (req, res) => {
   }
 
   try {
-    const timer = redisOperationDuration.startTimer({ operation: 'ping' });
+    if (!inMemory) {
+      const timer = redisOperationDuration.startTimer({ operation: 'ping' });
 
-    await redisClient.ping();
+      await storeFor(tenancy.DEFAULT_TENANT).ping();
 
-    timer({ status: 'success' });
+      timer({ status: 'success' });
+    }
+
+    // Con SLO_BUDGET_SIGNAL=readiness un budget agotado deja al pod fuera de servicio y frena el rollout
+
+    const budgetExhausted = SLO_BUDGET_SIGNAL === 'readiness' ? sloTracker.exhausted() : [];
+
+    if (budgetExhausted.length) {
+      logger.warn('falló el readiness check', { slo_budget_exhausted: budgetExhausted });
+
+      return res.status(503).json({
+        status: 'not ready',
+        dependencies,
+        slo_budget_exhausted: budgetExhausted,
+        timestamp: new Date().toISOString(),
+      });
+    }
 
     res.status(200).json({
       status: 'ready',
-      dependencies: { redis: 'up' },
+      dependencies,
       timestamp: new Date().toISOString(),
     });
 
@@ -368,6 +759,101 @@ app.get('/metrics', async (req, res) => {
   }
 });
 
+/**
+ * Estado de los SLOs de esta réplica: burn rates, alertas multi-ventana y error budget restante
+ */
+
+app.get('/slo', (req, res) => {
+  res.status(200).json({
+    service: 'user-service',
+    budget_window_minutes: sloTracker.budgetWindowMinutes,
+    budget_signal: SLO_BUDGET_SIGNAL,
+    budget_exhausted: sloTracker.exhausted(),
+    objectives: sloTracker.report(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+/**
+ * Niveles de log en runtime, para todo el servicio (module "default") o por módulo (http, webhooks).
+ * Piden Authorization: Bearer ADMIN_TOKEN; el gateway no expone /admin.
+ */
+
+const ADMIN_TOKEN_DIGEST = ADMIN_TOKEN && crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+
+function requireAdmin(req, res, next) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  const digest = crypto.createHash('sha256').update(token || '').digest();
+
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest, ADMIN_TOKEN_DIGEST)) {
+    return res.status(401).json({ error: 'unauthorized', message: 'Se necesita el token de administración' });
+  }
+
+  next();
+}
+
+if (ADMIN_TOKEN) {
+  app.get('/admin/log-levels', requireAdmin, (req, res) => {
+    res.json(logControl.state());
+  });
+
+  app.put('/admin/log-levels', requireAdmin, (req, res) => {
+    const { module, level, ttl_ms: ttlMs } = req.body || {};
+
+    try {
+      const change = logControl.set({ module, level, ttlMs });
+      logger.warn('nivel de log cambiado', { log_module: change.module, level: change.level, expires_at: change.expires_at });
+      res.json(change);
+    } catch (err) {
+      if (err.code !== 'INVALID_LOG_LEVEL') throw err;
+      res.status(400).json({ error: 'invalid_log_level', message: err.message });
+    }
+  });
+
+  app.delete('/admin/log-levels/:module', requireAdmin, (req, res) => {
+    if (!logControl.reset(req.params.module)) {
+      return res.status(404).json({ error: 'not_found', message: `El módulo ${req.params.module} no tiene un nivel cambiado` });
+    }
+
+    logger.warn('nivel de log restaurado', { log_module: req.params.module });
+    res.status(204).end();
+  });
+}
+
+
+/**
+ * Schema del recurso usuario
+ * Lo consume el api-gateway para validar payloads antes de reenviarlos.
+ */
+
+app.get('/schemas/user', (req, res) => {
+  res.json(USER_SCHEMAS);
+});
+
+
+/**
+ * Tenant del request (ver tenancy.js). Los handlers usan req.userStore y req.redis, que solo ven las
+ * claves del tenant: no hay forma de leer o escribir datos de otro.
+ */
+
+app.use(['/users', '/webhooks', '/groups', '/api-keys'], (req, res, next) => {
+  const tenant = tenancy.tenantOf(req);
+
+  if (!tenancy.isValidTenant(tenant)) {
+    return res.status(400).json({
+      error: 'invalid_tenant',
+      message: `${tenancy.TENANT_HEADER} debe ser un id en minúsculas (letras, números y guiones, hasta 63 caracteres)`,
+    });
+  }
+
+  req.tenant = tenant;
+  req.userStore = storeFor(tenant);
+  req.redis = redisClient && tenancy.createTenantClient(redisClient, tenant);
+
+  next();
+});
+
 
 /**
  * CRUD de usuarios
@@ -377,34 +863,34 @@ app.get('/metrics', async (req, res) => {
 // Listar usuarios
 
 app.get('/users', async (req, res) => {
-  try {
-    const timer = redisOperationDuration.startTimer({ operation: 'smembers' });
+  const { options, error } = listing.parseListQuery(req.query);
 
-    const userIds = await redisClient.sMembers(USERS_INDEX_KEY);
+  if (error) {
+    return res.status(400).json({
+      error: 'invalid_query',
+      message: error,
+    });
+  }
 
-    timer({ status: 'success' });
+  try {
+    const timer = redisOperationDuration.startTimer({ operation: 'zrange' });
 
-    if (!userIds.length) return res.json([]);
+    const { users, nextCursor } = await req.userStore.list(options, {
+      maxScan: LIST_MAX_SCAN,
+    });
 
-    const pipeline = redisClient.multi();
-    userIds.forEach((id) =>
-      pipeline.get(`${REDIS_KEY_PREFIX}${id}`)
-    );
+    timer({ status: 'success' });
 
-    const results = await pipeline.exec();
+    setUsersTotal(req.tenant, await req.userStore.count());
 
-    const users = results
-      .filter(Boolean)
-      .map((raw) => {
-        try {
-          return JSON.parse(raw);
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean);
+    // El body sigue siendo un array; la paginación viaja en headers.
+    // El Link es relativo (solo query) para que funcione igual detrás del gateway.
 
-    usersTotal.set(users.length);
+    if (nextCursor) {
+      const params = new URLSearchParams({ ...req.query, cursor: nextCursor });
+      res.set('Link', `<?${params}>; rel="next"`);
+      res.set('X-Next-Cursor', nextCursor);
+    }
 
     res.json(users);
 
@@ -414,6 +900,46 @@ app.get('/users', async (req, res) => {
   }
 });
 
+/**
+ * Export en streaming de todos los usuarios (NDJSON o CSV).
+ * El formato sale de ?format= o, si no viene, del header Accept. Va antes de /users/:id
+ * para que "export" no se tome como un id.
+ */
+
+app.get('/users/export', async (req, res) => {
+  const format = req.query.format || (req.accepts([bulk.NDJSON, bulk.CSV]) === bulk.CSV ? 'csv' : 'ndjson');
+
+  if (!['ndjson', 'csv'].includes(format)) {
+    return res.status(400).json({
+      error: 'invalid_query',
+      message: 'format debe ser ndjson o csv',
+    });
+  }
+
+  const mediaType = format === 'csv' ? bulk.CSV : bulk.NDJSON;
+
+  res.set('Content-Type', `${mediaType}; charset=utf-8`);
+  res.set('Content-Disposition', `attachment; filename="users.${format}"`);
+
+  try {
+    const users = req.userStore.iterate({
+      includeDeleted: req.query.include_deleted === 'true',
+    });
+
+    await bulk.streamExport(res, users, mediaType);
+
+  } catch (err) {
+    logger.error('error exportando usuarios', { error: err.message });
+
+    // Si ya mandamos datos no podemos cambiar el status: cortamos la conexión para que el cliente
+    // vea el export incompleto en vez de un archivo truncado que parece válido.
+
+    if (res.headersSent) return res.destroy(err);
+
+    res.status(500).json({ error: 'failed_to_export_users' });
+  }
+});
+
 /**
 * Buscar usuario por id
 *                                                                                                                                                          9. En esta parte se implementa el endpoint para buscar un usuario por ID, donde se recibe el ID del usuario a través de los parámetros de la ruta, se consulta Redis para obtener los datos del usuario, y se responde con el usuario encontrado o con un error si no se encuentra. Se mide el tiempo de la operación contra Redis y se registran logs estructurados para tener visibilidad sobre las búsquedas de usuarios y cualquier error que pueda ocurrir durante este proceso.
@@ -423,24 +949,40 @@ app.get('/users/:id', async (req, res) => {
   try {
     const timer = redisOperationDuration.startTimer({ operation: 'get' });
 
-    const raw = await redisClient.get(
-      `${REDIS_KEY_PREFIX}${req.params.id}`
-    );
+    const user = await req.userStore.get(req.params.id);
 
-    timer({ status: raw ? 'success' : 'miss' });
+    timer({ status: user ? 'success' : 'miss' });
 
-    if (!raw) {
+    if (!user) {
       return res.status(404).json({
         error: 'user_not_found',
         id: req.params.id,
       });
     }
 
-    res.json(JSON.parse(raw));
+    // Los borrados lógicos solo se ven si se piden explícitamente
 
-  } catch (err) {
-    logger.error('error buscando usuario', {
-      id: req.params.id,
+    if (user.deleted_at && req.query.include_deleted !== 'true') {
+      return res.status(404).json({
+        error: 'user_not_found',
+        id: req.params.id,
+      });
+    }
+
+    res.set('ETag', preconditions.etagFor(user));
+    res.set('Accept-Patch', PATCH_MEDIA_TYPES.join(', '));
+
+    const ifNoneMatch = req.get('if-none-match');
+
+    if (ifNoneMatch && preconditions.ifNoneMatchHits(ifNoneMatch, user)) {
+      return res.status(304).end();
+    }
+
+    res.json(user);
+
+  } catch (err) {
+    logger.error('error buscando usuario', {
+      id: req.params.id,
       error: err.message,
     });
 
@@ -453,65 +995,68 @@ app.get('/users/:id', async (req, res) => {
 *                                                                                                                                                          10. En esta parte se implementa el endpoint para crear un nuevo usuario, donde se reciben los datos del usuario a través del cuerpo de la solicitud, se valida que se hayan proporcionado los campos necesarios, y luego se guarda el nuevo usuario en Redis con una ID única generada. Se mide el tiempo de la operación contra Redis y se registran logs estructurados para tener visibilidad sobre la creación de usuarios y cualquier error que pueda ocurrir durante este proceso. Además, se incrementa la métrica de total de usuarios cada vez que se crea un nuevo usuario.
 */
 
-app.post('/users', async (req, res) => {
-  const { name, email } = req.body;
-
-  if (!name || !email) {
-    return res.status(400).json({
-      error: 'validation_error',
-      message: 'name y email son obligatorios',
-    });
-  }
+/**
+ * Alta de un usuario ya validado.
+ * El repositorio reserva el email en la misma escritura que el usuario, así dos altas concurrentes
+ * con el mismo email no pueden pasar las dos.
+ * Devuelve el usuario creado o null si el email ya existe. La usan POST /users y el import masivo.
+ * context es el actor y request id que quedan en el historial de auditoría.
+ */
 
+function buildUser({ name, email }) {
   const now = new Date().toISOString();
 
-  const user = {
+  return {
     id: uuidv4(),
     name,
     email,
+    version: 1,
     created_at: now,
     updated_at: now,
   };
+}
 
-  try {
+// El repositorio avisa un email tomado con DUPLICATE_EMAIL; para los handlers es un resultado más
 
-    /**
-     * Check for duplicate email
-     *                                                                                                                                                      11. En esta parte se implementa una verificación para evitar la creación de usuarios con emails duplicados. Antes de guardar un nuevo usuario, se consulta Redis para obtener la lista de IDs de usuarios existentes, y luego se verifica si alguno de esos usuarios tiene el mismo email que el nuevo usuario que se está intentando crear. Si se encuentra un usuario con el mismo email, se responde con un error 409 indicando que ya existe un usuario con ese email. Esto es importante para mantener la integridad de los datos y evitar conflictos en la aplicación.
-     */
+function duplicateEmailAs(result) {
+  return (err) => {
+    if (err.code !== 'DUPLICATE_EMAIL') throw err;
+    return result;
+  };
+}
 
-    const existingIds = await redisClient.sMembers(USERS_INDEX_KEY);
+async function insertUser(req, fields, context) {
+  const user = buildUser(fields);
 
-    for (const id of existingIds) {
-      const rawUser = await redisClient.get(`${REDIS_KEY_PREFIX}${id}`);
+  const timer = redisOperationDuration.startTimer({ operation: 'set' });
 
-      if (!rawUser) continue;
+  const created = await req.userStore
+    .save(user.id, () => ({ action: 'created', user, result: true }), { context })
+    .catch(duplicateEmailAs(false));
 
-      const existingUser = JSON.parse(rawUser);
+  timer({ status: created ? 'success' : 'conflict' });
 
-      if (existingUser.email === email) {
-        return res.status(409).json({
-          error: 'duplicate_email',
-          message: 'Ya existe un usuario con ese email',
-        });
-      }
-    }
+  if (!created) return null;
 
-    const timer = redisOperationDuration.startTimer({ operation: 'set' });
+  changeUsersTotal(req.tenant, 1);
 
-    await redisClient.set(
-      `${REDIS_KEY_PREFIX}${user.id}`,
-      JSON.stringify(user)
-    );
+  return user;
+}
 
-    await redisClient.sAdd(USERS_INDEX_KEY, user.id);
+app.post('/users', validateBody('create'), async (req, res) => {
+  try {
+    const user = await insertUser(req, req.body, audit.auditContext(req));
 
-    timer({ status: 'success' });
+    if (!user) {
+      return res.status(409).json({
+        error: 'duplicate_email',
+        message: 'Ya existe un usuario con ese email',
+      });
+    }
 
     logger.info('usuario creado', { user_id: user.id });
 
-    usersTotal.inc();
-
+    res.set('ETag', preconditions.etagFor(user));
     res.status(201).json(user);
 
 
@@ -526,50 +1071,140 @@ app.post('/users', async (req, res) => {
 });
 
 
-// Actualizar usuario
+/**
+ * Import masivo (NDJSON o CSV con encabezados name,email).
+ * Cada fila se valida con el schema de alta y se inserta por separado: una fila mala no frena
+ * al resto. La respuesta trae el resultado de cada fila con su número de línea.
+ */
 
-app.put('/users/:id', async (req, res) => {
-  const { name, email } = req.body;
+app.post('/users/bulk', async (req, res) => {
+  const mediaType = req.is(bulk.BULK_MEDIA_TYPES);
 
-  if (!name && !email) {
-    return res.status(400).json({
-      error: 'validation_error',
-      message: 'debes mandar name o email al menos',
+  if (!mediaType) {
+    return res.status(415).json({
+      error: 'unsupported_media_type',
+      message: `Content-Type debe ser ${bulk.BULK_MEDIA_TYPES.join(' o ')}`,
     });
   }
 
+  const context = audit.auditContext(req);
+  const results = [];
+  let truncated = false;
+
   try {
-    const raw = await redisClient.get(
-      `${REDIS_KEY_PREFIX}${req.params.id}`
-    );
+    for await (const row of bulk.readRows(req, mediaType)) {
+      if (results.length >= BULK_MAX_ROWS) {
+        truncated = true;
+        break;
+      }
 
-    if (!raw) {
-      return res.status(404).json({
-        error: 'user_not_found',
-        id: req.params.id,
-      });
+      if (row.error) {
+        results.push({ line: row.line, status: 'error', error: row.error });
+        continue;
+      }
+
+      const details = validateUser('create', row.fields);
+
+      if (details.length) {
+        results.push({ line: row.line, status: 'error', error: { code: 'validation_error', details } });
+        continue;
+      }
+
+      const user = await insertUser(req, row.fields, context);
+
+      if (!user) {
+        results.push({
+          line: row.line,
+          status: 'error',
+          error: { code: 'duplicate_email', message: 'Ya existe un usuario con ese email' },
+        });
+        continue;
+      }
+
+      results.push({ line: row.line, status: 'created', id: user.id });
     }
 
-    const existing = JSON.parse(raw);
+    // Si cortamos antes de terminar, descartamos lo que queda del body para no dejar la conexión colgada
 
-    const updated = {
-      ...existing,
-      ...(name && { name }),
-      ...(email && { email }),
-      updated_at: new Date().toISOString(),
-    };
+    if (truncated) req.resume();
 
+  } catch (err) {
+    logger.error('error en import masivo', { error: err.message, processed: results.length });
+    return res.status(500).json({ error: 'failed_to_import_users', processed: results.length });
+  }
+
+  const created = results.filter((result) => result.status === 'created').length;
+
+  logger.info('import masivo completado', { total: results.length, created, truncated });
+
+  res.json({
+    total: results.length,
+    created,
+    failed: results.length - created,
+    truncated,
+    results,
+  });
+});
+
+
+/**
+ * Actualizar usuario
+ * PUT (reemplazo completo) y PATCH comparten la misma escritura: leer el usuario, validar If-Match,
+ * calcular los campos nuevos y guardarlo. Si el email cambia, el repositorio chequea que esté libre.
+ * computeFields(existing) devuelve { fields } o { error: { status, body } }.
+ */
+
+async function updateUser(req, res, computeFields) {
+  try {
     const timer = redisOperationDuration.startTimer({ operation: 'set' });
 
-    await redisClient.set(
-      `${REDIS_KEY_PREFIX}${updated.id}`,
-      JSON.stringify(updated)
-    );
+    const outcome = await req.userStore.save(req.params.id, (existing) => {
+      if (!existing || existing.deleted_at) return { result: { status: 404 } };
 
-    timer({ status: 'success' });
+      const failed = preconditions.checkIfMatch(req, existing, { required: REQUIRE_IF_MATCH });
+      if (failed) return { result: failed };
+
+      const computed = computeFields(existing);
+      if (computed.error) return { result: computed.error };
+
+      const { name, email } = computed.fields;
+
+      const updated = {
+        ...existing,
+        name,
+        email,
+        version: preconditions.versionOf(existing) + 1,
+        updated_at: new Date().toISOString(),
+      };
+
+      return { action: 'updated', user: updated, result: { status: 200, user: updated } };
+    }, { context: audit.auditContext(req) }).catch(duplicateEmailAs({ status: 409 }));
+
+    timer({ status: { 200: 'success', 404: 'miss' }[outcome.status] || 'conflict' });
+
+    if (outcome.body) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    if (outcome.status === 404) {
+      return res.status(404).json({
+        error: 'user_not_found',
+        id: req.params.id,
+      });
+    }
+
+    if (outcome.status === 409) {
+      return res.status(409).json({
+        error: 'duplicate_email',
+        message: 'Ya existe un usuario con ese email',
+      });
+    }
+
+    const updated = outcome.user;
 
     logger.info('usuario actualizado', { user_id: updated.id });
 
+    res.set('ETag', preconditions.etagFor(updated));
     res.json(updated);
 
   } catch (err) {
@@ -580,11 +1215,35 @@ app.put('/users/:id', async (req, res) => {
 
     res.status(500).json({ error: 'failed_to_update_user' });
   }
+}
+
+// PUT: reemplazo completo, el body tiene que traer todos los campos editables
+
+app.put('/users/:id', validateBody('replace'), (req, res) => {
+  updateUser(req, res, () => ({
+    fields: { name: req.body.name, email: req.body.email },
+  }));
+});
+
+// PATCH: JSON Merge Patch o JSON Patch según el Content-Type
+
+app.patch('/users/:id', (req, res) => {
+  const mediaType = req.is(PATCH_MEDIA_TYPES);
+
+  if (!mediaType) {
+    res.set('Accept-Patch', PATCH_MEDIA_TYPES.join(', '));
+    return res.status(415).json({
+      error: 'unsupported_media_type',
+      message: `PATCH acepta: ${PATCH_MEDIA_TYPES.join(', ')}`,
+    });
+  }
+
+  updateUser(req, res, (existing) => applyUserPatch(mediaType, existing, req.body));
 });
 
 
 /**
- * Eliminar usuario
+ * Eliminar usuario (borrado lógico, se puede deshacer con POST /users/:id/restore)
  *                                                                                                                                                        12. En esta parte se implementa el endpoint para eliminar un usuario, donde se recibe el ID del usuario a través de los parámetros de la ruta, se verifica si el usuario existe en Redis, y si es así, se elimina tanto la clave del usuario como su ID del índice de usuarios. Se mide el tiempo de la operación contra Redis y se registran logs estructurados para tener visibilidad sobre la eliminación de usuarios y cualquier error que pueda ocurrir durante este proceso. Además, se decrementa la métrica de total de usuarios cada vez que se elimina un usuario.
  */
 
@@ -592,24 +1251,43 @@ app.delete('/users/:id', async (req, res) => {
   try {
     const timer = redisOperationDuration.startTimer({ operation: 'del' });
 
-    const deleted = await redisClient.del(
-      `${REDIS_KEY_PREFIX}${req.params.id}`
-    );
+    // Borrado lógico: marcamos deleted_at y el repositorio libera su email.
+    // El registro queda hasta que el purge lo elimina.
+
+    const outcome = await req.userStore.save(req.params.id, (existing) => {
+      if (!existing || existing.deleted_at) return { result: { status: 404 } };
+
+      const failed = preconditions.checkIfMatch(req, existing, { required: REQUIRE_IF_MATCH });
+      if (failed) return { result: failed };
 
-    timer({ status: deleted ? 'success' : 'miss' });
+      const now = new Date();
 
-    if (!deleted) {
+      const tombstone = {
+        ...existing,
+        version: preconditions.versionOf(existing) + 1,
+        updated_at: now.toISOString(),
+        deleted_at: now.toISOString(),
+      };
+
+      return { action: 'deleted', user: tombstone, result: { status: 204 } };
+    }, { context: audit.auditContext(req) });
+
+    timer({ status: { 204: 'success', 404: 'miss' }[outcome.status] || 'conflict' });
+
+    if (outcome.body) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    if (outcome.status === 404) {
       return res.status(404).json({
         error: 'user_not_found',
         id: req.params.id,
       });
     }
 
-    await redisClient.sRem(USERS_INDEX_KEY, req.params.id);
-
     logger.info('usuario eliminado', { user_id: req.params.id });
 
-    usersTotal.dec();
+    changeUsersTotal(req.tenant, -1);
 
     res.status(204).send();
 
@@ -624,6 +1302,634 @@ app.delete('/users/:id', async (req, res) => {
 });
 
 
+/**
+ * Restaurar usuario con borrado lógico
+ * Vuelve a reservar el email, así que puede fallar con 409 si otro usuario lo tomó mientras tanto.
+ */
+
+app.post('/users/:id/restore', async (req, res) => {
+  try {
+    const timer = redisOperationDuration.startTimer({ operation: 'set' });
+
+    const outcome = await req.userStore.save(req.params.id, async (existing) => {
+      if (!existing) return { result: { status: 404 } };
+
+      if (!existing.deleted_at) {
+        return {
+          result: {
+            status: 409,
+            body: { error: 'user_not_deleted', message: 'El usuario no está borrado' },
+          },
+        };
+      }
+
+      const failed = preconditions.checkIfMatch(req, existing, { required: false });
+      if (failed) return { result: failed };
+
+      const restored = {
+        ...existing,
+        version: preconditions.versionOf(existing) + 1,
+        updated_at: new Date().toISOString(),
+      };
+
+      delete restored.deleted_at;
+
+      // Un grupo borrado mientras el usuario estaba borrado no lo tenía entre sus miembros: no vuelve a entrar
+
+      if (restored.groups && req.redis) {
+        restored.groups = await groups.existingGroupIds(req.redis, restored.groups);
+      }
+
+      return { action: 'restored', user: restored, result: { status: 200, user: restored } };
+    }, { context: audit.auditContext(req) }).catch(duplicateEmailAs({
+      status: 409,
+      body: { error: 'duplicate_email', message: 'Otro usuario tiene ese email, no se puede restaurar' },
+    }));
+
+    timer({ status: { 200: 'success', 404: 'miss' }[outcome.status] || 'conflict' });
+
+    if (outcome.body) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    if (outcome.status === 404) {
+      return res.status(404).json({
+        error: 'user_not_found',
+        id: req.params.id,
+      });
+    }
+
+    logger.info('usuario restaurado', { user_id: outcome.user.id });
+
+    changeUsersTotal(req.tenant, 1);
+
+    res.set('ETag', preconditions.etagFor(outcome.user));
+    res.json(outcome.user);
+
+  } catch (err) {
+    logger.error('error restaurando usuario', {
+      id: req.params.id,
+      error: err.message,
+    });
+
+    res.status(500).json({ error: 'failed_to_restore_user' });
+  }
+});
+
+
+/**
+ * Roles del usuario
+ * Reemplaza la lista entera. Es una escritura más del usuario: sube la versión, respeta If-Match,
+ * queda en el historial y publica user.updated. PUT y PATCH de /users/:id no tocan los roles.
+ */
+
+app.put('/users/:id/roles', validateBody('roles'), async (req, res) => {
+  try {
+    const timer = redisOperationDuration.startTimer({ operation: 'set' });
+
+    const outcome = await req.userStore.save(req.params.id, (existing) => {
+      if (!existing || existing.deleted_at) return { result: { status: 404 } };
+
+      const failed = preconditions.checkIfMatch(req, existing, { required: REQUIRE_IF_MATCH });
+      if (failed) return { result: failed };
+
+      const updated = {
+        ...existing,
+        roles: req.body.roles,
+        version: preconditions.versionOf(existing) + 1,
+        updated_at: new Date().toISOString(),
+      };
+
+      return { action: 'updated', user: updated, result: { status: 200, user: updated } };
+    }, { context: audit.auditContext(req) });
+
+    timer({ status: { 200: 'success', 404: 'miss' }[outcome.status] || 'conflict' });
+
+    if (outcome.body) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    if (outcome.status === 404) {
+      return res.status(404).json({
+        error: 'user_not_found',
+        id: req.params.id,
+      });
+    }
+
+    logger.info('roles de usuario actualizados', {
+      user_id: outcome.user.id,
+      roles: outcome.user.roles,
+      actor: audit.auditContext(req).actor,
+    });
+
+    res.set('ETag', preconditions.etagFor(outcome.user));
+    res.json(outcome.user);
+
+  } catch (err) {
+    logger.error('error actualizando roles de usuario', {
+      id: req.params.id,
+      error: err.message,
+    });
+
+    res.status(500).json({ error: 'failed_to_update_roles' });
+  }
+});
+
+
+/**
+ * Historial de auditoría de un usuario
+ * Sigue disponible después del borrado e incluso después del purge. Pagina igual que GET /users:
+ * el body es un array y el siguiente cursor va en Link / X-Next-Cursor. Filtra con from y to (ISO 8601).
+ */
+
+app.get('/users/:id/history', async (req, res) => {
+  const { options, error } = audit.parseHistoryQuery(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'invalid_query',
+      message: error,
+    });
+  }
+
+  try {
+    const timer = redisOperationDuration.startTimer({ operation: 'xrange' });
+
+    const [{ entries, nextCursor }, known] = await Promise.all([
+      req.userStore.history(req.params.id, options),
+      req.userStore.exists(req.params.id),
+    ]);
+
+    timer({ status: known ? 'success' : 'miss' });
+
+    if (!known) {
+      return res.status(404).json({
+        error: 'user_not_found',
+        id: req.params.id,
+      });
+    }
+
+    if (nextCursor) {
+      const params = new URLSearchParams({ ...req.query, cursor: nextCursor });
+      res.set('Link', `<?${params}>; rel="next"`);
+      res.set('X-Next-Cursor', nextCursor);
+    }
+
+    res.json(entries);
+
+  } catch (err) {
+    logger.error('error leyendo historial', {
+      id: req.params.id,
+      error: err.message,
+    });
+
+    res.status(500).json({ error: 'failed_to_fetch_history' });
+  }
+});
+
+
+/**
+ * Webhooks, grupos y API keys viven solo en Redis: con STORAGE_DRIVER=memory sus rutas responden 503
+ */
+
+app.use(['/webhooks', '/groups', '/api-keys', '/internal/api-keys'], (req, res, next) => {
+  if (redisClient) return next();
+
+  res.status(503).json({
+    error: 'storage_unavailable',
+    message: `Webhooks, grupos y API keys necesitan STORAGE_DRIVER=redis (actual: ${STORAGE_DRIVER})`,
+  });
+});
+
+/**
+ * Webhooks
+ * Registro de endpoints que reciben los eventos de usuarios. El secret para verificar la firma
+ * se devuelve una sola vez, al crear el webhook.
+ */
+
+app.post('/webhooks', async (req, res) => {
+  const details = webhooks.validateWebhook(req.body);
+
+  if (details.length) {
+    return res.status(400).json(webhooks.webhookValidationErrorBody(details));
+  }
+
+  try {
+    const webhook = await webhooks.createWebhook(req.redis, req.body);
+
+    logger.info('webhook registrado', { webhook_id: webhook.id, url: webhook.url });
+
+    res.status(201).json(webhook);
+
+  } catch (err) {
+    logger.error('error registrando webhook', { error: err.message });
+    res.status(500).json({ error: 'failed_to_create_webhook' });
+  }
+});
+
+app.get('/webhooks', async (req, res) => {
+  try {
+    const list = await webhooks.listWebhooks(req.redis);
+    res.json(list.map(webhooks.publicWebhook));
+
+  } catch (err) {
+    logger.error('error listando webhooks', { error: err.message });
+    res.status(500).json({ error: 'failed_to_fetch_webhooks' });
+  }
+});
+
+/**
+ * Carga el webhook de :id en req.webhook o responde 404
+ */
+
+async function loadWebhook(req, res, next) {
+  try {
+    req.webhook = await webhooks.getWebhook(req.redis, req.params.id);
+
+    if (!req.webhook) {
+      return res.status(404).json({
+        error: 'webhook_not_found',
+        id: req.params.id,
+      });
+    }
+
+    next();
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+app.get('/webhooks/:id', loadWebhook, (req, res) => {
+  res.json(webhooks.publicWebhook(req.webhook));
+});
+
+app.delete('/webhooks/:id', loadWebhook, async (req, res) => {
+  try {
+    await webhooks.deleteWebhook(req.redis, req.webhook.id);
+
+    logger.info('webhook eliminado', { webhook_id: req.webhook.id });
+
+    res.status(204).send();
+
+  } catch (err) {
+    logger.error('error eliminando webhook', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_delete_webhook' });
+  }
+});
+
+// Manda un evento webhook.test (un solo intento, sin reintentos) y devuelve el resultado
+
+app.post('/webhooks/:id/test', loadWebhook, async (req, res) => {
+  try {
+    const entry = await webhookDispatcher.sendTest(req.webhook, req.tenant);
+    res.json(entry);
+
+  } catch (err) {
+    logger.error('error probando webhook', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_test_webhook' });
+  }
+});
+
+// Log de entregas (más nuevas primero) y entregas que agotaron los reintentos
+
+app.get('/webhooks/:id/deliveries', loadWebhook, async (req, res) => {
+  try {
+    res.json(await webhooks.readDeliveryLog(req.redis, req.webhook.id));
+
+  } catch (err) {
+    logger.error('error leyendo entregas de webhook', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_fetch_deliveries' });
+  }
+});
+
+app.get('/webhooks/:id/dead-letters', loadWebhook, async (req, res) => {
+  try {
+    res.json(await webhooks.readDeadLetters(req.redis, req.webhook.id));
+
+  } catch (err) {
+    logger.error('error leyendo dead-letter de webhook', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_fetch_dead_letters' });
+  }
+});
+
+
+/**
+ * Grupos de usuarios (ver groups.js)
+ * La pertenencia se guarda en el usuario (user.groups): agregar o sacar un miembro es una escritura del usuario
+ * y el repositorio mantiene el índice de miembros de cada grupo en la misma transacción.
+ */
+
+app.post('/groups', async (req, res) => {
+  const details = groups.validateGroup(req.body);
+
+  if (details.length) {
+    return res.status(400).json(groups.groupValidationErrorBody(details));
+  }
+
+  try {
+    const group = await groups.createGroup(req.redis, req.body);
+
+    logger.info('grupo creado', { group_id: group.id, actor: audit.auditContext(req).actor });
+
+    res.status(201).json(group);
+
+  } catch (err) {
+    logger.error('error creando grupo', { error: err.message });
+    res.status(500).json({ error: 'failed_to_create_group' });
+  }
+});
+
+app.get('/groups', async (req, res) => {
+  try {
+    res.json(await groups.listGroups(req.redis));
+
+  } catch (err) {
+    logger.error('error listando grupos', { error: err.message });
+    res.status(500).json({ error: 'failed_to_fetch_groups' });
+  }
+});
+
+/**
+ * Carga el grupo de :id en req.group o responde 404
+ */
+
+async function loadGroup(req, res, next) {
+  try {
+    req.group = await groups.getGroup(req.redis, req.params.id);
+
+    if (!req.group) {
+      return res.status(404).json({
+        error: 'group_not_found',
+        id: req.params.id,
+      });
+    }
+
+    next();
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Agrega o saca al usuario userId del grupo groupId. Devuelve { status, user }: 404 si el usuario no existe
+ * o está borrado, y groupGone si el grupo ya no existe. La escritura vigila la clave del grupo: si un
+ * DELETE /groups/:id la borra entre el chequeo y el EXEC, se repite y ve que el grupo no está.
+ */
+
+function setGroupMembership(req, userId, groupId, member) {
+  return req.userStore.save(userId, async (existing) => {
+    if (!existing || existing.deleted_at) return { result: { status: 404 } };
+
+    const current = existing.groups || [];
+
+    if (current.includes(groupId) === member) return { result: { status: 200, user: existing } };
+
+    if (member && !(await groups.getGroup(req.redis, groupId))) return { result: { status: 404, groupGone: true } };
+
+    const updated = {
+      ...existing,
+      groups: member ? [...current, groupId] : current.filter((id) => id !== groupId),
+      version: preconditions.versionOf(existing) + 1,
+      updated_at: new Date().toISOString(),
+    };
+
+    return { action: 'updated', user: updated, result: { status: 200, user: updated } };
+  }, { context: audit.auditContext(req), watch: [groups.groupKey(groupId)] });
+}
+
+app.get('/groups/:id', loadGroup, (req, res) => {
+  res.json(req.group);
+});
+
+app.put('/groups/:id', loadGroup, async (req, res) => {
+  const details = groups.validateGroup(req.body);
+
+  if (details.length) {
+    return res.status(400).json(groups.groupValidationErrorBody(details));
+  }
+
+  try {
+    const group = await groups.replaceGroup(req.redis, req.group, req.body);
+
+    logger.info('grupo actualizado', { group_id: group.id, actor: audit.auditContext(req).actor });
+
+    res.json(group);
+
+  } catch (err) {
+    logger.error('error actualizando grupo', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_update_group' });
+  }
+});
+
+/**
+ * Borra el grupo y saca a cada miembro. Primero se borra el registro: un alta en curso vigila esa clave,
+ * así que ninguna entra mientras se recorren los miembros. Después se borra el índice.
+ */
+
+app.delete('/groups/:id', loadGroup, async (req, res) => {
+  try {
+    await groups.deleteGroup(req.redis, req.group.id);
+
+    let members = 0;
+
+    for await (const userId of groups.iterateMemberIds(req.redis, req.group.id)) {
+      await setGroupMembership(req, userId, req.group.id, false);
+      members++;
+    }
+
+    await groups.removeMembersIndex(req.redis, req.group.id);
+
+    logger.info('grupo eliminado', {
+      group_id: req.group.id,
+      members,
+      actor: audit.auditContext(req).actor,
+    });
+
+    res.status(204).send();
+
+  } catch (err) {
+    logger.error('error eliminando grupo', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_delete_group' });
+  }
+});
+
+// Miembros del grupo, paginados como GET /users: el body es un array y el siguiente cursor va en Link / X-Next-Cursor
+
+app.get('/groups/:id/members', loadGroup, async (req, res) => {
+  const { options, error } = groups.parseMembersQuery(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'invalid_query',
+      message: error,
+    });
+  }
+
+  try {
+    const { users, nextCursor } = await groups.listGroupMembers(req.redis, req.group.id, options, {
+      maxScan: LIST_MAX_SCAN,
+    });
+
+    if (nextCursor) {
+      const params = new URLSearchParams({ ...req.query, cursor: nextCursor });
+      res.set('Link', `<?${params}>; rel="next"`);
+      res.set('X-Next-Cursor', nextCursor);
+    }
+
+    res.json(users);
+
+  } catch (err) {
+    logger.error('error listando miembros de grupo', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_fetch_members' });
+  }
+});
+
+// Agregar (PUT) o sacar (DELETE) un miembro. Las dos son idempotentes.
+
+app.put('/groups/:id/members/:userId', loadGroup, async (req, res) => {
+  try {
+    const outcome = await setGroupMembership(req, req.params.userId, req.group.id, true);
+
+    if (outcome.groupGone) {
+      return res.status(404).json({ error: 'group_not_found', id: req.params.id });
+    }
+
+    if (outcome.status === 404) {
+      return res.status(404).json({ error: 'user_not_found', id: req.params.userId });
+    }
+
+    logger.info('miembro agregado a grupo', { group_id: req.group.id, user_id: req.params.userId });
+
+    res.set('ETag', preconditions.etagFor(outcome.user));
+    res.json(outcome.user);
+
+  } catch (err) {
+    logger.error('error agregando miembro a grupo', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_add_member' });
+  }
+});
+
+app.delete('/groups/:id/members/:userId', loadGroup, async (req, res) => {
+  try {
+    const outcome = await setGroupMembership(req, req.params.userId, req.group.id, false);
+
+    if (outcome.status === 404) {
+      return res.status(404).json({ error: 'user_not_found', id: req.params.userId });
+    }
+
+    logger.info('miembro sacado de grupo', { group_id: req.group.id, user_id: req.params.userId });
+
+    res.status(204).send();
+
+  } catch (err) {
+    logger.error('error sacando miembro de grupo', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_remove_member' });
+  }
+});
+
+
+/**
+ * API keys para clientes máquina
+ * El key en claro se devuelve una sola vez, al crearlo. Revocar conserva el registro con revoked_at.
+ */
+
+app.post('/api-keys', async (req, res) => {
+  const details = apiKeys.validateApiKey(req.body);
+
+  if (details.length) {
+    return res.status(400).json(apiKeys.apiKeyValidationErrorBody(details));
+  }
+
+  try {
+    const { apiKey, key } = await apiKeys.createApiKey(req.redis, req.body, {
+      actor: audit.auditContext(req).actor,
+      defaultTtlDays: API_KEY_DEFAULT_TTL_DAYS,
+      tenant: req.tenant,
+    });
+
+    logger.info('API key creada', {
+      api_key_id: apiKey.id,
+      tenant: apiKey.tenant,
+      scopes: apiKey.scopes,
+      created_by: apiKey.created_by,
+    });
+
+    res.status(201).json({ ...apiKey, key });
+
+  } catch (err) {
+    logger.error('error creando API key', { error: err.message });
+    res.status(500).json({ error: 'failed_to_create_api_key' });
+  }
+});
+
+app.get('/api-keys', async (req, res) => {
+  try {
+    res.json(await apiKeys.listApiKeys(req.redis));
+
+  } catch (err) {
+    logger.error('error listando API keys', { error: err.message });
+    res.status(500).json({ error: 'failed_to_fetch_api_keys' });
+  }
+});
+
+app.get('/api-keys/:id', async (req, res) => {
+  try {
+    const apiKey = await apiKeys.getApiKey(req.redis, req.params.id, req.tenant);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'api_key_not_found', id: req.params.id });
+    }
+
+    res.json(apiKey);
+
+  } catch (err) {
+    logger.error('error leyendo API key', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_fetch_api_key' });
+  }
+});
+
+app.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const apiKey = await apiKeys.revokeApiKey(req.redis, req.params.id, req.tenant);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'api_key_not_found', id: req.params.id });
+    }
+
+    logger.info('API key revocada', { api_key_id: apiKey.id, actor: audit.auditContext(req).actor });
+
+    res.status(204).send();
+
+  } catch (err) {
+    logger.error('error revocando API key', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: 'failed_to_revoke_api_key' });
+  }
+});
+
+/**
+ * Verificación de API keys para el api-gateway. Vive bajo /internal, que el gateway no expone.
+ * El gateway todavía no sabe el tenant: la key se busca en todos y la respuesta dice de cuál es.
+ */
+
+app.post('/internal/api-keys/verify', async (req, res) => {
+  try {
+    const result = await apiKeys.verifyApiKey(redisClient, req.body?.key);
+
+    if (!result.ok) {
+      return res.status(401).json({ error: 'invalid_api_key', reason: result.reason });
+    }
+
+    res.json(result.apiKey);
+
+  } catch (err) {
+    logger.error('error verificando API key', { error: err.message });
+    res.status(500).json({ error: 'failed_to_verify_api_key' });
+  }
+});
+
+
 /**
  * Manejo de rutas no existentes error handler 404
  *                                                                                                                                                         13. En esta parte se implementa un middleware de Express para manejar rutas no existentes, donde si una solicitud llega a una ruta que no está definida en el servicio, se responde con un error 404 indicando que la ruta no fue encontrada. Esto es importante para proporcionar una respuesta clara y consistente a los clientes cuando intentan acceder a recursos que no existen, y para mejorar la experiencia del usuario al interactuar con la API.
@@ -662,13 +1968,16 @@ app.use((err, req, res, next) => {
 function shutdown(signal) {
   logger.info('apagando servicio', { signal });
 
+  if (purgeTimer) clearInterval(purgeTimer);
+
   const closingServer = server
     ? new Promise((resolve) => server.close(resolve))
     : Promise.resolve();
 
-  const closingRedis = redisClient
-    ? redisClient.quit()
-    : Promise.resolve();
+  const closingRedis = Promise.resolve(webhookDispatcher && webhookDispatcher.stop())
+    .then(() => eventsClient && eventsClient.quit())
+    .then(() => redisClient && redisClient.quit())
+    .then(() => shutdownTracing().catch(() => {}));
 
   Promise.all([closingServer, closingRedis]).then(() => {
     logger.info('shutdown completado correctamente');
@@ -703,5 +2012,7 @@ if (require.main === module) {
 module.exports = {
   app,
   connectRedis,
+  runPurge,
   getRedisClient: () => redisClient,
+  getWebhookDispatcher: () => webhookDispatcher,
 };
@@ -2,6 +2,10 @@
 
 const request = require('supertest');
 
+// Token de los endpoints /admin
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
 /**
  * Mock sencillo de redis.
  * Usamos Maps en memoria para simular comportamiento real.
@@ -11,62 +15,287 @@ jest.mock('redis', () => {
 
   const store = new Map();
   const sets = new Map();
+  const zsets = new Map();
+  const streams = new Map();
+  const groups = new Map();
+  const lists = new Map();
 
-  const mockClient = {
-    connect: jest.fn().mockResolvedValue(undefined),
-    quit: jest.fn().mockResolvedValue(undefined),
-    ping: jest.fn().mockResolvedValue('PONG'),
+  // Rangos lexicográficos estilo ZRANGE ... BYLEX: '-', '+', '[valor' o '(valor'
+
+  const lexMatch = (value, min, max) => {
+    const above = min === '-' || (min[0] === '[' ? value >= min.slice(1) : value > min.slice(1));
+    const below = max === '+' || (max[0] === '[' ? value <= max.slice(1) : value < max.slice(1));
+    return above && below;
+  };
+
+  const toScore = (value) => ({ '-inf': -Infinity, '+inf': Infinity }[value] ?? Number(value));
+
+  // Ids de stream "<ms>-<seq>". Un límite de XRANGE puede ser '-', '+', '<ms>', '<ms>-<seq>' o '(<id>' (exclusivo)
+
+  let lastStreamId = [0, 0];
+
+  const parseStreamId = (id, missingSeq) => {
+    const [ms, seq] = id.split('-').map(Number);
+    return [ms, seq ?? missingSeq];
+  };
+
+  const compareStreamIds = ([msA, seqA], [msB, seqB]) => msA - msB || seqA - seqB;
+
+  const streamBound = (bound, isStart) => {
+    if (bound === '-') return { id: [-Infinity, 0], exclusive: false };
+    if (bound === '+') return { id: [Infinity, 0], exclusive: false };
+    const exclusive = bound[0] === '(';
+    return { id: parseStreamId(exclusive ? bound.slice(1) : bound, isStart ? 0 : Infinity), exclusive };
+  };
+
+  // Implementación en memoria de los comandos que usa el servicio
 
-    get: jest.fn(async (key) => store.get(key) || null),
+  const impl = {
+    get: async (key) => store.get(key) || null,
 
-    set: jest.fn(async (key, value) => {
+    mGet: async (keys) => keys.map((key) => store.get(key) || null),
+
+    set: async (key, value, options = {}) => {
+      if (options.NX && store.has(key)) return null;
       store.set(key, value);
       return 'OK';
-    }),
+    },
 
-    del: jest.fn(async (key) => {
-      const existed = store.has(key);
-      store.delete(key);
+    del: async (key) => {
+      const existed = [store, sets, zsets, streams, lists].some((map) => map.has(key));
+      [store, sets, zsets, streams, lists].forEach((map) => map.delete(key));
       return existed ? 1 : 0;
-    }),
+    },
+
+    lPush: async (key, value) => {
+      if (!lists.has(key)) lists.set(key, []);
+      lists.get(key).unshift(value);
+      return lists.get(key).length;
+    },
+
+    lTrim: async (key, start, stop) => {
+      if (lists.has(key)) lists.set(key, lists.get(key).slice(start, stop + 1));
+      return 'OK';
+    },
+
+    lRange: async (key, start, stop) => (lists.get(key) || []).slice(start, stop === -1 ? undefined : stop + 1),
+
+    sMembers: async (key) => [...(sets.get(key) || [])],
 
-    sMembers: jest.fn(async (key) => [...(sets.get(key) || [])]),
+    sCard: async (key) => (sets.get(key) || new Set()).size,
 
-    sAdd: jest.fn(async (key, value) => {
+    sAdd: async (key, value) => {
       if (!sets.has(key)) sets.set(key, new Set());
       sets.get(key).add(value);
       return 1;
-    }),
+    },
 
-    sRem: jest.fn(async (key, value) => {
+    sRem: async (key, value) => {
       sets.get(key)?.delete(value);
       return 1;
+    },
+
+    zAdd: async (key, { score, value }) => {
+      if (!zsets.has(key)) zsets.set(key, new Map());
+      zsets.get(key).set(value, score);
+      return 1;
+    },
+
+    zRem: async (key, value) => (zsets.get(key)?.delete(value) ? 1 : 0),
+
+    zCard: async (key) => (zsets.get(key) || new Map()).size,
+
+    // Soporta ZRANGE por posición, BYSCORE (límites numéricos inclusivos) y BYLEX
+
+    zRange: async (key, start, stop, options = {}) => {
+      const entries = [...(zsets.get(key) || new Map()).entries()]
+        .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : a > b ? 1 : 0));
+      const [min, max] = options.REV ? [stop, start] : [start, stop];
+      let members;
+      if (options.BY === 'SCORE') {
+        members = entries
+          .filter(([, score]) => score >= toScore(min) && score <= toScore(max))
+          .map(([member]) => member);
+      } else if (options.BY === 'LEX') {
+        members = entries.map(([member]) => member).filter((member) => lexMatch(member, min, max));
+      } else {
+        members = entries.map(([member]) => member).slice(start, stop === -1 ? undefined : stop + 1);
+      }
+      if (options.REV) members = members.reverse();
+      const { offset = 0, count = members.length } = options.LIMIT || {};
+      return members.slice(offset, offset + count);
+    },
+
+    // SSCAN/ZSCAN: el cursor es la posición en los miembros ordenados, 0 cuando no queda nada
+
+    sScan: async (key, cursor, { COUNT = 10 } = {}) => {
+      const members = [...(sets.get(key) || [])].sort();
+      return { cursor: cursor + COUNT < members.length ? cursor + COUNT : 0, members: members.slice(cursor, cursor + COUNT) };
+    },
+
+    zScan: async (key, cursor, { COUNT = 10 } = {}) => {
+      const members = [...(zsets.get(key) || new Map()).entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([value, score]) => ({ value, score }));
+      return { cursor: cursor + COUNT < members.length ? cursor + COUNT : 0, members: members.slice(cursor, cursor + COUNT) };
+    },
+
+    // Los TTL no se simulan: PEXPIRE solo dice si la clave existe
+
+    pExpire: async (key) => (store.has(key) ? 1 : 0),
+
+    exists: async (keys) => [].concat(keys)
+      .filter((key) => [store, sets, zsets, streams, lists].some((map) => map.has(key))).length,
+
+    xAdd: async (key, id, message) => {
+      const now = Date.now();
+      lastStreamId = now > lastStreamId[0] ? [now, 0] : [lastStreamId[0], lastStreamId[1] + 1];
+      const entryId = lastStreamId.join('-');
+      if (!streams.has(key)) streams.set(key, []);
+      streams.get(key).push({ id: entryId, message: { ...message } });
+      return entryId;
+    },
+
+    // Consumer groups: puntero del grupo (lastId) y entradas pendientes de ACK (id -> { consumer, deliveredAt })
+
+    xGroupCreate: async (key, group, id, options = {}) => {
+      if (!streams.has(key) && options.MKSTREAM) streams.set(key, []);
+      if (groups.has(`${key}|${group}`)) throw new Error('BUSYGROUP Consumer Group name already exists');
+      const entries = streams.get(key) || [];
+      const lastId = id === '$' ? (entries.length ? entries[entries.length - 1].id : '0-0') : id;
+      groups.set(`${key}|${group}`, { lastId: lastId === '0' ? '0-0' : lastId, pending: new Map() });
+      return 'OK';
+    },
+
+    xGroupSetId: async (key, group, id) => {
+      groups.get(`${key}|${group}`).lastId = id === '0' ? '0-0' : id;
+      return 'OK';
+    },
+
+    xReadGroup: async (group, consumer, { key }, options = {}) => {
+      const state = groups.get(`${key}|${group}`);
+      const messages = (streams.get(key) || [])
+        .filter(({ id }) => compareStreamIds(parseStreamId(id), parseStreamId(state.lastId)) > 0)
+        .slice(0, options.COUNT);
+      if (!messages.length) return null;
+      messages.forEach(({ id }) => state.pending.set(id, { consumer, deliveredAt: Date.now() }));
+      state.lastId = messages[messages.length - 1].id;
+      return [{ name: key, messages }];
+    },
+
+    xAck: async (key, group, id) => (groups.get(`${key}|${group}`).pending.delete(id) ? 1 : 0),
+
+    xAutoClaim: async (key, group, consumer, minIdle, start, options = {}) => {
+      const state = groups.get(`${key}|${group}`);
+      const messages = [...state.pending.entries()]
+        .filter(([, entry]) => Date.now() - entry.deliveredAt >= minIdle)
+        .slice(0, options.COUNT)
+        .map(([id]) => {
+          state.pending.set(id, { consumer, deliveredAt: Date.now() });
+          return (streams.get(key) || []).find((entry) => entry.id === id) || null;
+        });
+      return { nextId: '0-0', messages };
+    },
+
+    xRange: async (key, start, end, options = {}) => {
+      const min = streamBound(start, true);
+      const max = streamBound(end, false);
+      const entries = (streams.get(key) || []).filter(({ id }) => {
+        const afterMin = compareStreamIds(parseStreamId(id), min.id);
+        const beforeMax = compareStreamIds(parseStreamId(id), max.id);
+        return (min.exclusive ? afterMin > 0 : afterMin >= 0) && (max.exclusive ? beforeMax < 0 : beforeMax <= 0);
+      });
+      return entries.slice(0, options.COUNT ?? entries.length);
+    },
+  };
+
+  const listeners = new Map();
+
+  const mockClient = {
+
+    // Al conectar emitimos 'ready' como el cliente real, así el servicio queda listo
+
+    connect: jest.fn(async () => {
+      (listeners.get('ready') || []).forEach((handler) => handler());
+    }),
+    quit: jest.fn().mockResolvedValue(undefined),
+    ping: jest.fn().mockResolvedValue('PONG'),
+
+    ...Object.fromEntries(Object.entries(impl).map(([name, fn]) => [name, jest.fn(fn)])),
+
+    // WATCH no hace nada en el mock: los tests corren de a una request a la vez
+
+    watch: jest.fn().mockResolvedValue('OK'),
+    unwatch: jest.fn().mockResolvedValue('OK'),
+    executeIsolated: jest.fn((fn) => fn(mockClient)),
+
+    scanIterator: jest.fn(async function* ({ MATCH = '*' } = {}) {
+      const prefix = MATCH.replace(/\*$/, '');
+      for (const key of [...store.keys()]) {
+        if (key.startsWith(prefix)) yield key;
+      }
     }),
 
-    multi: jest.fn(() => ({
-      get: jest.fn().mockReturnThis(),
-      exec: jest.fn(async () => [...store.values()].map(v => v)),
-    })),
+    // multi() encola los comandos y los ejecuta en orden al llamar exec()
+
+    multi: jest.fn(() => {
+      const queue = [];
+      const chain = {
+        exec: jest.fn(async () => {
+          const results = [];
+          for (const command of queue) results.push(await command());
+          return results;
+        }),
+      };
+      Object.keys(impl).forEach((name) => {
+        chain[name] = (...args) => {
+          queue.push(() => impl[name](...args));
+          return chain;
+        };
+      });
+      return chain;
+    }),
 
-    on: jest.fn(),
+    on: jest.fn((event, handler) => {
+      if (!listeners.has(event)) listeners.set(event, []);
+      listeners.get(event).push(handler);
+    }),
 
     // Helpers internos para tests
 
     _store: store,
     _sets: sets,
+    _zsets: zsets,
+    _streams: streams,
     _reset: () => {
       store.clear();
       sets.clear();
+      zsets.clear();
+      streams.clear();
+      groups.clear();
+      lists.clear();
     },
   };
 
   return {
     createClient: jest.fn(() => mockClient),
+    WatchError: class WatchError extends Error {},
   };
 });
 
 const { createClient } = require('redis');
-const { app, connectRedis } = require('./index');
+const { app, connectRedis, runPurge, getWebhookDispatcher } = require('./index');
+const { addToIndexes } = require('./listing');
+const { claimEmail, rebuildEmailIndex } = require('./email-index');
+const { purgeDeletedUsers } = require('./purge');
+const { ensureGroup, createEventConsumer, replay } = require('./event-consumer');
+const { parseEntry } = require('./events');
+const { createWebhookDispatcher } = require('./webhooks');
+const { createWebhookReceiver, verifySignature } = require('./scripts/webhook-receiver');
+const { redactFormat } = require('@devops-challenge/observability/logging');
+const { createUserStore } = require('./storage');
+const { describeUserStore } = require('./storage/conformance');
+const { loadMigrations, applyMigrations, runMigrations, migrationStatus } = require('./migrate');
 
 let mockRedis;
 
@@ -79,6 +308,22 @@ beforeEach(() => {
   mockRedis._reset();
 });
 
+/**
+ * Guarda usuarios directo en el mock, con sus índices, sin pasar por la API
+ */
+
+async function seedUsers(users) {
+  for (const user of users) {
+    const pipeline = mockRedis
+      .multi()
+      .set(`user:${user.id}`, JSON.stringify(user))
+      .sAdd('users:index', user.id);
+
+    addToIndexes(pipeline, user);
+    await claimEmail(pipeline, user.email, user.id).exec();
+  }
+}
+
 
 // Health
 
@@ -111,9 +356,53 @@ describe('User Service - Métricas', () => {
     const res = await request(app).get('/metrics');
 
     expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/openmetrics-text/);
     expect(res.text).toContain('http_requests_total');
   });
 
+  test('Continúa la traza del traceparent y la deja como exemplar de la duración', async () => {
+    const traceId = 'c'.repeat(32);
+
+    await request(app).get('/users').set('traceparent', `00-${traceId}-00f067aa0ba902b7-01`);
+    const res = await request(app).get('/metrics');
+
+    expect(res.text).toMatch(new RegExp(`http_request_duration_seconds_bucket\\{[^}]*route="/users"[^}]*\\} \\d+ # \\{trace_id="${traceId}"\\}`));
+  });
+
+  test('El label route usa el template de la ruta y los paths desconocidos van a other', async () => {
+    await request(app).get('/users/no-existe-9f2c');
+    await request(app).get('/.env');
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.text).toContain('http_requests_total{method="GET",route="/users/:id",status_code="404"}');
+    expect(res.text).toContain('http_requests_total{method="GET",route="other",status_code="404"}');
+    expect(res.text).not.toContain('no-existe-9f2c');
+    expect(res.text).not.toContain('.env');
+  });
+
+  test('GET /slo cuenta los 5xx en el objetivo de la ruta y publica los gauges', async () => {
+    const availability = (res) => res.body.objectives
+      .find((objective) => objective.name === 'users-read').slis
+      .find((sli) => sli.sli === 'availability');
+    const before = availability(await request(app).get('/slo'));
+
+    mockRedis.get.mockRejectedValueOnce(new Error('READONLY'));
+    const failed = await request(app).get('/users/u-slo');
+    expect(failed.status).toBe(500);
+
+    const res = await request(app).get('/slo');
+    const after = availability(res);
+
+    expect(res.body.service).toBe('user-service');
+    expect(after.requests).toBe(before.requests + 1);
+    expect(after.bad_requests).toBe(before.bad_requests + 1);
+    expect(after.burn_rates['5m']).toBeGreaterThan(0);
+
+    const metrics = await request(app).get('/metrics');
+    expect(metrics.text).toMatch(/slo_burn_rate\{objective="users-read",sli="availability",window="5m"\} [\d.]+/);
+  });
+
 });
 
 
@@ -149,8 +438,6 @@ describe('User Service - CRUD de usuarios', () => {
 
   test('GET /users devuelve array vacío si no hay usuarios', async () => {
 
-    mockRedis.sMembers.mockResolvedValueOnce([]);
-
     const res = await request(app).get('/users');
 
     expect(res.status).toBe(200);
@@ -198,7 +485,7 @@ describe('User Service - CRUD de usuarios', () => {
 
     const res = await request(app)
       .put('/users/test-id')
-      .send({ name: 'New Name' });
+      .send({ name: 'New Name', email: 'old@test.com' });
 
     expect(res.status).toBe(200);
     expect(res.body.name).toBe('New Name');
@@ -211,14 +498,16 @@ describe('User Service - CRUD de usuarios', () => {
 
     const res = await request(app)
       .put('/users/ghost')
-      .send({ name: 'Ghost' });
+      .send({ name: 'Ghost', email: 'ghost@test.com' });
 
     expect(res.status).toBe(404);
   });
 
   test('DELETE /users/:id elimina un usuario existente', async () => {
 
-    mockRedis.del.mockResolvedValueOnce(1);
+    await seedUsers([
+      { id: 'test-id', name: 'Jane', email: 'jane@test.com', created_at: new Date().toISOString() },
+    ]);
 
     const res = await request(app).delete('/users/test-id');
 
@@ -227,8 +516,6 @@ describe('User Service - CRUD de usuarios', () => {
 
   test('DELETE /users/:id devuelve 404 si no existe', async () => {
 
-    mockRedis.del.mockResolvedValueOnce(0);
-
     const res = await request(app).delete('/users/ghost');
 
     expect(res.status).toBe(404);
@@ -237,6 +524,1656 @@ describe('User Service - CRUD de usuarios', () => {
 });
 
 
+// Validación por schema
+
+describe('User Service - Validación de payloads', () => {
+
+  test('POST /users devuelve errores por campo con códigos estables', async () => {
+
+    const res = await request(app)
+      .post('/users')
+      .send({ name: '', email: 'no-es-un-email', role: 'admin' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('validation_error');
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'name', code: 'too_short' }),
+      expect.objectContaining({ field: 'email', code: 'invalid_format' }),
+      expect.objectContaining({ field: 'role', code: 'unknown_field' }),
+    ]));
+  });
+
+  test('POST /users reporta campos faltantes, tipos y largos', async () => {
+
+    const res = await request(app)
+      .post('/users')
+      .send({ name: 'x'.repeat(101) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'email', code: 'required' }),
+      expect.objectContaining({ field: 'name', code: 'too_long' }),
+    ]));
+
+    const wrongType = await request(app)
+      .post('/users')
+      .send({ name: 42, email: 'a@b.com' });
+
+    expect(wrongType.body.details).toEqual([
+      expect.objectContaining({ field: 'name', code: 'invalid_type' }),
+    ]);
+  });
+
+  test('PUT /users/:id exige el recurso completo y rechaza campos desconocidos', async () => {
+
+    const partial = await request(app).put('/users/u1').send({ name: 'Solo Nombre' });
+    expect(partial.status).toBe(400);
+    expect(partial.body.details).toEqual([
+      expect.objectContaining({ field: 'email', code: 'required' }),
+    ]);
+
+    const unknown = await request(app).put('/users/u1').send({ name: 'Ok', email: 'ok@test.com', id: 'otro' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.details).toEqual([
+      expect.objectContaining({ field: 'id', code: 'unknown_field' }),
+    ]);
+  });
+
+  test('GET /schemas/user expone el schema para el gateway', async () => {
+
+    const res = await request(app).get('/schemas/user');
+
+    expect(res.status).toBe(200);
+    expect(res.body.create.required).toEqual(['name', 'email']);
+    expect(res.body.replace.required).toEqual(['name', 'email']);
+    expect(res.body.merge_patch.additionalProperties).toBe(false);
+  });
+
+});
+
+
+// PATCH (JSON Merge Patch / JSON Patch)
+
+describe('User Service - PATCH', () => {
+
+  beforeEach(async () => {
+    await seedUsers([
+      { id: 'u1', name: 'Ana', email: 'ana@test.com', version: 2, created_at: '2024-01-01T10:00:00.000Z' },
+      { id: 'u2', name: 'Beto', email: 'beto@test.com', version: 1, created_at: '2024-01-02T10:00:00.000Z' },
+    ]);
+  });
+
+  test('PUT /users/:id reemplaza el recurso completo', async () => {
+
+    const res = await request(app)
+      .put('/users/u1')
+      .send({ name: 'Ana Reemplazada', email: 'ana2@test.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({
+      id: 'u1',
+      name: 'Ana Reemplazada',
+      email: 'ana2@test.com',
+      version: 3,
+      created_at: '2024-01-01T10:00:00.000Z',
+    }));
+  });
+
+  test('PATCH con merge patch cambia solo los campos enviados', async () => {
+
+    const res = await request(app)
+      .patch('/users/u1')
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ name: 'Ana Patch' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Ana Patch');
+    expect(res.body.email).toBe('ana@test.com');
+    expect(res.body.version).toBe(3);
+    expect(res.headers.etag).toBe('"3"');
+  });
+
+  test('PATCH con merge patch no puede borrar campos obligatorios ni tocar campos de solo lectura', async () => {
+
+    const res = await request(app)
+      .patch('/users/u1')
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ email: null, version: 10 }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'email', code: 'required' }),
+      expect.objectContaining({ field: 'version', code: 'read_only' }),
+    ]));
+  });
+
+  test('PATCH con JSON Patch aplica operaciones en orden', async () => {
+
+    const res = await request(app)
+      .patch('/users/u1')
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([
+        { op: 'test', path: '/version', value: 2 },
+        { op: 'replace', path: '/email', value: 'ana.nueva@test.com' },
+        { op: 'copy', from: '/email', path: '/name' },
+      ]));
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('ana.nueva@test.com');
+    expect(mockRedis._store.get('users:email:ana.nueva@test.com')).toBe('u1');
+    expect(mockRedis._store.has('users:email:ana@test.com')).toBe(false);
+  });
+
+  test('PATCH con JSON Patch devuelve 409 si falla un test y 400 si el patch es inválido', async () => {
+
+    const failedTest = await request(app)
+      .patch('/users/u1')
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'test', path: '/version', value: 1 }]));
+
+    expect(failedTest.status).toBe(409);
+    expect(failedTest.body.error).toBe('patch_test_failed');
+
+    const badPath = await request(app)
+      .patch('/users/u1')
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'replace', path: '/a/b', value: 1 }]));
+
+    expect(badPath.status).toBe(400);
+    expect(badPath.body.error).toBe('invalid_patch');
+
+    const notArray = await request(app)
+      .patch('/users/u1')
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify({ op: 'remove', path: '/name' }));
+
+    expect(notArray.status).toBe(400);
+  });
+
+  test('PATCH respeta unicidad de email e If-Match', async () => {
+
+    const duplicate = await request(app)
+      .patch('/users/u2')
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ email: 'ANA@test.com' }));
+
+    expect(duplicate.status).toBe(409);
+
+    const stale = await request(app)
+      .patch('/users/u1')
+      .set('Content-Type', 'application/merge-patch+json')
+      .set('If-Match', '"1"')
+      .send(JSON.stringify({ name: 'Tarde' }));
+
+    expect(stale.status).toBe(412);
+  });
+
+  test('PATCH con otro Content-Type devuelve 415 y Accept-Patch', async () => {
+
+    const res = await request(app)
+      .patch('/users/u1')
+      .send({ name: 'Json plano' });
+
+    expect(res.status).toBe(415);
+    expect(res.body.error).toBe('unsupported_media_type');
+    expect(res.headers['accept-patch']).toContain('application/merge-patch+json');
+  });
+
+});
+
+
+// Concurrencia optimista (ETag / If-Match)
+
+describe('User Service - ETag e If-Match', () => {
+
+  beforeEach(async () => {
+    await seedUsers([
+      { id: 'u1', name: 'Ana', email: 'ana@test.com', version: 3, created_at: '2024-01-01T10:00:00.000Z' },
+      { id: 'legacy', name: 'Viejo', email: 'viejo@test.com', created_at: '2024-01-01T10:00:00.000Z' },
+    ]);
+  });
+
+  test('POST /users crea con version 1 y devuelve ETag', async () => {
+
+    const res = await request(app)
+      .post('/users')
+      .send({ name: 'Nuevo', email: 'nuevo@test.com' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.version).toBe(1);
+    expect(res.headers.etag).toBe('"1"');
+  });
+
+  test('GET /users/:id devuelve ETag y 304 con If-None-Match', async () => {
+
+    const res = await request(app).get('/users/u1');
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"3"');
+
+    const cached = await request(app)
+      .get('/users/u1')
+      .set('If-None-Match', 'W/"3"');
+
+    expect(cached.status).toBe(304);
+    expect(cached.headers.etag).toBe('"3"');
+
+    const stale = await request(app)
+      .get('/users/u1')
+      .set('If-None-Match', '"2"');
+
+    expect(stale.status).toBe(200);
+  });
+
+  test('GET /users/:id trata registros sin version como versión 1', async () => {
+
+    const res = await request(app).get('/users/legacy');
+
+    expect(res.headers.etag).toBe('"1"');
+  });
+
+  test('PUT /users/:id con If-Match correcto actualiza y sube la versión', async () => {
+
+    const res = await request(app)
+      .put('/users/u1')
+      .set('If-Match', '"3"')
+      .send({ name: 'Ana María', email: 'ana@test.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(4);
+    expect(res.headers.etag).toBe('"4"');
+  });
+
+  test('PUT /users/:id con If-Match viejo devuelve 412 y no escribe', async () => {
+
+    const res = await request(app)
+      .put('/users/u1')
+      .set('If-Match', '"2"')
+      .send({ name: 'Pisado', email: 'ana@test.com' });
+
+    expect(res.status).toBe(412);
+    expect(res.body.error).toBe('precondition_failed');
+    expect(res.body.current_etag).toBe('"3"');
+    expect(JSON.parse(mockRedis._store.get('user:u1')).name).toBe('Ana');
+  });
+
+  test('PUT /users/:id no acepta ETags débiles en If-Match', async () => {
+
+    const res = await request(app)
+      .put('/users/u1')
+      .set('If-Match', 'W/"3"')
+      .send({ name: 'Débil', email: 'ana@test.com' });
+
+    expect(res.status).toBe(412);
+  });
+
+  test('PUT /users/:id sin If-Match sigue funcionando por defecto', async () => {
+
+    const res = await request(app)
+      .put('/users/legacy')
+      .send({ name: 'Actualizado', email: 'viejo@test.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(2);
+  });
+
+  test('DELETE /users/:id respeta If-Match', async () => {
+
+    const stale = await request(app)
+      .delete('/users/u1')
+      .set('If-Match', '"1"');
+
+    expect(stale.status).toBe(412);
+    expect(mockRedis._store.has('user:u1')).toBe(true);
+
+    const ok = await request(app)
+      .delete('/users/u1')
+      .set('If-Match', '"1", "3"');
+
+    expect(ok.status).toBe(204);
+    expect(JSON.parse(mockRedis._store.get('user:u1')).deleted_at).toBeDefined();
+  });
+
+});
+
+
+// Borrado lógico, restore y purge
+
+describe('User Service - Borrado lógico', () => {
+
+  beforeEach(async () => {
+    await seedUsers([
+      { id: 'u1', name: 'Ana', email: 'ana@test.com', version: 1, created_at: '2024-01-01T10:00:00.000Z' },
+      { id: 'u2', name: 'Beto', email: 'beto@test.com', version: 1, created_at: '2024-01-02T10:00:00.000Z' },
+    ]);
+  });
+
+  test('DELETE /users/:id marca deleted_at y oculta al usuario', async () => {
+
+    const res = await request(app).delete('/users/u1');
+    expect(res.status).toBe(204);
+
+    const stored = JSON.parse(mockRedis._store.get('user:u1'));
+    expect(stored.deleted_at).toBeDefined();
+    expect(stored.version).toBe(2);
+    expect(mockRedis._sets.get('users:index').has('u1')).toBe(false);
+    expect(mockRedis._zsets.get('users:deleted').has('u1')).toBe(true);
+
+    expect((await request(app).get('/users/u1')).status).toBe(404);
+    expect((await request(app).put('/users/u1').send({ name: 'X', email: 'x@test.com' })).status).toBe(404);
+    expect((await request(app).delete('/users/u1')).status).toBe(404);
+
+    const list = await request(app).get('/users');
+    expect(list.body.map((u) => u.id)).toEqual(['u2']);
+  });
+
+  test('include_deleted=true muestra los usuarios borrados', async () => {
+
+    await request(app).delete('/users/u1');
+
+    const one = await request(app).get('/users/u1?include_deleted=true');
+    expect(one.status).toBe(200);
+    expect(one.body.deleted_at).toBeDefined();
+
+    const list = await request(app).get('/users?include_deleted=true');
+    expect(list.body.map((u) => u.id)).toEqual(['u1', 'u2']);
+  });
+
+  test('POST /users/:id/restore recupera al usuario', async () => {
+
+    await request(app).delete('/users/u1');
+
+    const res = await request(app).post('/users/u1/restore');
+
+    expect(res.status).toBe(200);
+    expect(res.body.deleted_at).toBeUndefined();
+    expect(res.body.version).toBe(3);
+    expect(res.headers.etag).toBe('"3"');
+    expect(mockRedis._sets.get('users:index').has('u1')).toBe(true);
+    expect(mockRedis._zsets.get('users:deleted').has('u1')).toBe(false);
+    expect(mockRedis._store.get('users:email:ana@test.com')).toBe('u1');
+    expect((await request(app).get('/users/u1')).status).toBe(200);
+  });
+
+  test('POST /users/:id/restore devuelve 409 si el usuario no está borrado o su email fue tomado', async () => {
+
+    const notDeleted = await request(app).post('/users/u2/restore');
+    expect(notDeleted.status).toBe(409);
+    expect(notDeleted.body.error).toBe('user_not_deleted');
+
+    await request(app).delete('/users/u1');
+    await request(app).post('/users').send({ name: 'Otra Ana', email: 'ana@test.com' });
+
+    const taken = await request(app).post('/users/u1/restore');
+    expect(taken.status).toBe(409);
+    expect(taken.body.error).toBe('duplicate_email');
+
+    expect((await request(app).post('/users/ghost/restore')).status).toBe(404);
+  });
+
+  test('users_total cuenta solo usuarios vivos', async () => {
+
+    await request(app).delete('/users/u1');
+    await request(app).get('/users');
+
+    const metrics = await request(app).get('/metrics');
+    expect(metrics.text).toMatch(/^users_total{tenant="default"} 1$/m);
+  });
+
+  test('purgeDeletedUsers elimina solo los borrados más viejos que la retención', async () => {
+
+    await request(app).delete('/users/u1');
+    await request(app).delete('/users/u2');
+
+    const oneHourAgo = Date.now() - 60 * 60 * 1000;
+    mockRedis._zsets.get('users:deleted').set('u1', oneHourAgo - 1);
+
+    const purged = await purgeDeletedUsers(mockRedis, { retentionMs: 60 * 60 * 1000 });
+
+    expect(purged).toBe(1);
+    expect(mockRedis._store.has('user:u1')).toBe(false);
+    expect(mockRedis._zsets.get('users:deleted').has('u1')).toBe(false);
+    expect(mockRedis._store.has('user:u2')).toBe(true);
+
+    const list = await request(app).get('/users?include_deleted=true');
+    expect(list.body.map((u) => u.id)).toEqual(['u2']);
+  });
+
+  test('el purge ignora usuarios restaurados entre medio', async () => {
+
+    await request(app).delete('/users/u1');
+    await request(app).post('/users/u1/restore');
+    mockRedis._zsets.set('users:deleted', new Map([['u1', 0]]));
+
+    await runPurge();
+
+    expect(mockRedis._store.has('user:u1')).toBe(true);
+    expect(mockRedis._zsets.get('users:deleted').has('u1')).toBe(false);
+  });
+
+});
+
+
+// Unicidad de email
+
+describe('User Service - Unicidad de email', () => {
+
+  beforeEach(async () => {
+    await seedUsers([
+      { id: 'u1', name: 'Ana', email: 'ana@test.com', created_at: '2024-01-01T10:00:00.000Z' },
+      { id: 'u2', name: 'Beto', email: 'beto@test.com', created_at: '2024-01-02T10:00:00.000Z' },
+    ]);
+  });
+
+  test('POST /users devuelve 409 si el email ya existe sin importar mayúsculas', async () => {
+
+    const res = await request(app)
+      .post('/users')
+      .send({ name: 'Otra Ana', email: 'ANA@Test.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('duplicate_email');
+    expect(mockRedis.sMembers).not.toHaveBeenCalledWith('users:index');
+  });
+
+  test('POST /users registra el email nuevo en el índice', async () => {
+
+    const res = await request(app)
+      .post('/users')
+      .send({ name: 'Caro', email: 'Caro@Test.com' });
+
+    expect(res.status).toBe(201);
+    expect(mockRedis._store.get('users:email:caro@test.com')).toBe(res.body.id);
+  });
+
+  test('PUT /users/:id devuelve 409 si el email pertenece a otro usuario', async () => {
+
+    const res = await request(app)
+      .put('/users/u2')
+      .send({ name: 'Beto', email: 'Ana@test.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('duplicate_email');
+    expect(JSON.parse(mockRedis._store.get('user:u2')).email).toBe('beto@test.com');
+  });
+
+  test('PUT /users/:id mueve el email en el índice y libera el anterior', async () => {
+
+    const res = await request(app)
+      .put('/users/u2')
+      .send({ name: 'Beto', email: 'roberto@test.com' });
+
+    expect(res.status).toBe(200);
+    expect(mockRedis._store.get('users:email:roberto@test.com')).toBe('u2');
+    expect(mockRedis._store.has('users:email:beto@test.com')).toBe(false);
+  });
+
+  test('PUT /users/:id permite cambiar solo mayúsculas del propio email', async () => {
+
+    const res = await request(app)
+      .put('/users/u1')
+      .send({ name: 'Ana', email: 'ANA@test.com' });
+
+    expect(res.status).toBe(200);
+    expect(mockRedis._store.get('users:email:ana@test.com')).toBe('u1');
+  });
+
+  test('DELETE /users/:id libera el email', async () => {
+
+    await request(app).delete('/users/u1');
+
+    const res = await request(app)
+      .post('/users')
+      .send({ name: 'Ana Nueva', email: 'ana@test.com' });
+
+    expect(res.status).toBe(201);
+  });
+
+  test('rebuildEmailIndex completa el índice desde user:* y reporta duplicados', async () => {
+
+    mockRedis._store.delete('users:email:ana@test.com');
+    mockRedis._store.delete('users:email:beto@test.com');
+    mockRedis._store.set('user:u3', JSON.stringify({ id: 'u3', name: 'Ana Dup', email: 'ANA@test.com' }));
+
+    const report = await rebuildEmailIndex(mockRedis);
+
+    expect(report.scanned).toBe(3);
+    expect(report.indexed).toBe(2);
+    expect(report.conflicts).toEqual([{ email: 'ana@test.com', ids: ['u1', 'u3'] }]);
+    expect(mockRedis._store.get('users:email:beto@test.com')).toBe('u2');
+  });
+
+});
+
+
+// Listado paginado
+
+describe('User Service - Listado paginado', () => {
+
+  const seed = [
+    { id: 'u1', name: 'Carla', email: 'carla@acme.com', created_at: '2024-01-01T10:00:00.000Z' },
+    { id: 'u2', name: 'alberto', email: 'alberto@test.com', created_at: '2024-01-02T10:00:00.000Z' },
+    { id: 'u3', name: 'Bea', email: 'bea@acme.com', created_at: '2024-01-03T10:00:00.000Z' },
+    { id: 'u4', name: 'Dario', email: 'dario@test.com', created_at: '2024-01-04T10:00:00.000Z' },
+  ];
+
+  beforeEach(async () => {
+    await seedUsers(seed);
+  });
+
+  test('GET /users pagina por created_at con cursor y header Link', async () => {
+
+    const first = await request(app).get('/users?limit=3');
+
+    expect(first.status).toBe(200);
+    expect(first.body.map((u) => u.id)).toEqual(['u1', 'u2', 'u3']);
+    expect(first.headers['x-next-cursor']).toBeDefined();
+    expect(first.headers.link).toContain('rel="next"');
+    expect(first.headers.link).toContain(`cursor=${first.headers['x-next-cursor']}`);
+
+    const second = await request(app)
+      .get('/users')
+      .query({ limit: 3, cursor: first.headers['x-next-cursor'] });
+
+    expect(second.status).toBe(200);
+    expect(second.body.map((u) => u.id)).toEqual(['u4']);
+    expect(second.headers['x-next-cursor']).toBeUndefined();
+    expect(second.headers.link).toBeUndefined();
+  });
+
+  test('GET /users ordena por nombre sin distinguir mayúsculas', async () => {
+
+    const res = await request(app).get('/users?sort=name&order=desc');
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((u) => u.name)).toEqual(['Dario', 'Carla', 'Bea', 'alberto']);
+  });
+
+  test('GET /users filtra por substring de email y nombre', async () => {
+
+    const byEmail = await request(app).get('/users?email=ACME');
+    expect(byEmail.body.map((u) => u.id)).toEqual(['u1', 'u3']);
+
+    const byName = await request(app).get('/users?name=ar&sort=name');
+    expect(byName.body.map((u) => u.id)).toEqual(['u1', 'u4']);
+  });
+
+  test('GET /users filtra por rango de created_at', async () => {
+
+    const res = await request(app)
+      .get('/users')
+      .query({ created_from: '2024-01-02T10:00:00.000Z', created_to: '2024-01-03T10:00:00.000Z' });
+
+    expect(res.body.map((u) => u.id)).toEqual(['u2', 'u3']);
+
+    const byName = await request(app)
+      .get('/users')
+      .query({ sort: 'name', created_from: '2024-01-03T00:00:00.000Z' });
+
+    expect(byName.body.map((u) => u.id)).toEqual(['u3', 'u4']);
+  });
+
+  test('GET /users refleja altas, cambios de nombre y bajas en los índices', async () => {
+
+    await request(app).put('/users/u2').send({ name: 'Zoe', email: 'alberto@test.com' });
+    await request(app).delete('/users/u1');
+
+    const res = await request(app).get('/users?sort=name');
+
+    expect(res.body.map((u) => u.name)).toEqual(['Bea', 'Dario', 'Zoe']);
+  });
+
+  test('GET /users devuelve 400 con parámetros inválidos', async () => {
+
+    const badLimit = await request(app).get('/users?limit=0');
+    expect(badLimit.status).toBe(400);
+    expect(badLimit.body.error).toBe('invalid_query');
+
+    const badSort = await request(app).get('/users?sort=email');
+    expect(badSort.status).toBe(400);
+
+    const badCursor = await request(app).get('/users?cursor=basura');
+    expect(badCursor.status).toBe(400);
+  });
+
+  test('GET /users rechaza un cursor generado con otro orden', async () => {
+
+    const first = await request(app).get('/users?limit=1');
+
+    const res = await request(app)
+      .get('/users')
+      .query({ sort: 'name', cursor: first.headers['x-next-cursor'] });
+
+    expect(res.status).toBe(400);
+  });
+
+});
+
+
+// Historial de auditoría
+
+describe('User Service - Historial de auditoría', () => {
+
+  test('GET /users/:id/history registra actor, request id y diff de cada cambio', async () => {
+
+    const created = await request(app)
+      .post('/users')
+      .set('X-Actor-ID', 'alice')
+      .set('X-Request-ID', 'req-1')
+      .send({ name: 'Ana', email: 'ana@test.com' });
+
+    const id = created.body.id;
+
+    await request(app)
+      .patch(`/users/${id}`)
+      .set('Content-Type', 'application/merge-patch+json')
+      .set('X-Actor-ID', 'bob')
+      .set('X-Request-ID', 'req-2')
+      .send({ name: 'Ana María' });
+
+    await request(app).delete(`/users/${id}`).set('X-Request-ID', 'req-3');
+    await request(app).post(`/users/${id}/restore`).set('X-Actor-ID', 'alice');
+
+    const res = await request(app).get(`/users/${id}/history`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((e) => [e.action, e.actor, e.request_id, e.version])).toEqual([
+      ['created', 'alice', 'req-1', 1],
+      ['updated', 'bob', 'req-2', 2],
+      ['deleted', 'anonymous', 'req-3', 3],
+      ['restored', 'alice', null, 4],
+    ]);
+    expect(res.body[0].changes).toEqual(expect.arrayContaining([
+      { field: 'name', before: null, after: 'Ana' },
+      { field: 'email', before: null, after: 'ana@test.com' },
+    ]));
+    expect(res.body[1].changes).toEqual([{ field: 'name', before: 'Ana', after: 'Ana María' }]);
+    expect(res.body[2].changes).toEqual([{ field: 'deleted_at', before: null, after: expect.any(String) }]);
+    expect(Date.parse(res.body[0].at)).not.toBeNaN();
+  });
+
+  test('GET /users/:id/history filtra por rango de fechas y pagina con cursor', async () => {
+
+    await seedUsers([{ id: 'u1', name: 'Ana', email: 'ana@test.com', created_at: '2024-01-01T10:00:00.000Z' }]);
+
+    const entry = (id, action) => ({
+      id,
+      message: { action, actor: 'alice', request_id: '', version: '1', changes: '[]' },
+    });
+
+    mockRedis._streams.set('users:history:u1', [
+      entry(`${Date.parse('2024-01-01T10:00:00.000Z')}-0`, 'created'),
+      entry(`${Date.parse('2024-02-01T10:00:00.000Z')}-0`, 'updated'),
+      entry(`${Date.parse('2024-02-01T10:00:00.000Z')}-1`, 'updated'),
+      entry(`${Date.parse('2024-03-01T10:00:00.000Z')}-0`, 'deleted'),
+    ]);
+
+    const ranged = await request(app)
+      .get('/users/u1/history')
+      .query({ from: '2024-01-15T00:00:00.000Z', to: '2024-02-01T10:00:00.000Z' });
+
+    expect(ranged.body.map((e) => e.id)).toEqual([
+      `${Date.parse('2024-02-01T10:00:00.000Z')}-0`,
+      `${Date.parse('2024-02-01T10:00:00.000Z')}-1`,
+    ]);
+
+    const first = await request(app).get('/users/u1/history?limit=3');
+    expect(first.body).toHaveLength(3);
+    expect(first.headers.link).toContain('rel="next"');
+
+    const second = await request(app)
+      .get('/users/u1/history')
+      .query({ limit: 3, cursor: first.headers['x-next-cursor'] });
+
+    expect(second.body.map((e) => e.action)).toEqual(['deleted']);
+    expect(second.headers['x-next-cursor']).toBeUndefined();
+  });
+
+  test('el historial sobrevive al purge y termina con una entrada purged', async () => {
+
+    const created = await request(app).post('/users').send({ name: 'Ana', email: 'ana@test.com' });
+    const id = created.body.id;
+
+    await request(app).delete(`/users/${id}`);
+    await purgeDeletedUsers(mockRedis, { retentionMs: 0, now: Date.now() + 1000 });
+
+    expect((await request(app).get(`/users/${id}`)).status).toBe(404);
+
+    const res = await request(app).get(`/users/${id}/history`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((e) => [e.action, e.actor])).toEqual([
+      ['created', 'anonymous'],
+      ['deleted', 'anonymous'],
+      ['purged', 'system'],
+    ]);
+  });
+
+  test('GET /users/:id/history devuelve 404 si el usuario nunca existió y 400 con fechas inválidas', async () => {
+
+    const missing = await request(app).get('/users/nope/history');
+    expect(missing.status).toBe(404);
+
+    const invalid = await request(app).get('/users/nope/history?from=ayer');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('invalid_query');
+  });
+
+});
+
+
+// Eventos de dominio (outbox en users:events)
+
+describe('User Service - Eventos de dominio', () => {
+
+  const eventsOf = () => (mockRedis._streams.get('users:events') || [])
+    .map(({ id, message }) => ({ ...JSON.parse(message.event), stream_id: id, event_id: message.event_id }));
+
+  const silentLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+  async function createAndChangeUser() {
+    const created = await request(app)
+      .post('/users')
+      .set('X-Actor-ID', 'alice')
+      .set('X-Request-ID', 'req-1')
+      .send({ name: 'Ana', email: 'ana@test.com' });
+
+    const id = created.body.id;
+
+    await request(app).put(`/users/${id}`).send({ name: 'Ana María', email: 'ana@test.com' });
+    await request(app).delete(`/users/${id}`);
+    await request(app).post(`/users/${id}/restore`);
+
+    return id;
+  }
+
+  test('cada cambio publica un evento con envelope e id estable', async () => {
+
+    const id = await createAndChangeUser();
+    const published = eventsOf();
+
+    expect(published.map((e) => e.type)).toEqual(['user.created', 'user.updated', 'user.deleted', 'user.updated']);
+    expect(new Set(published.map((e) => e.id)).size).toBe(4);
+    published.forEach((e) => expect(e.event_id).toBe(e.id));
+
+    expect(published[0]).toMatchObject({
+      envelope_version: 1,
+      source: 'user-service',
+      subject: id,
+      actor: 'alice',
+      request_id: 'req-1',
+      data: { user: { id, name: 'Ana', email: 'ana@test.com', version: 1 } },
+    });
+    expect(published[1].data.changes).toEqual([{ field: 'name', before: 'Ana', after: 'Ana María' }]);
+    expect(published[2].data.user.deleted_at).toEqual(expect.any(String));
+    expect(published[3].data.changes).toEqual([
+      { field: 'deleted_at', before: expect.any(String), after: null },
+    ]);
+  });
+
+  test('una escritura rechazada no publica eventos', async () => {
+
+    await seedUsers([{ id: 'u1', name: 'Ana', email: 'ana@test.com', created_at: '2024-01-01T10:00:00.000Z' }]);
+
+    const res = await request(app).post('/users').send({ name: 'Otra', email: 'ana@test.com' });
+
+    expect(res.status).toBe(409);
+    expect(eventsOf()).toEqual([]);
+  });
+
+  test('el consumidor confirma los eventos procesados y reintenta los que fallaron', async () => {
+
+    await createAndChangeUser();
+    await ensureGroup(mockRedis, 'proyecciones', '0');
+
+    const seen = [];
+    let failOnce = true;
+
+    const consumer = createEventConsumer({
+      redisClient: mockRedis,
+      group: 'proyecciones',
+      consumer: 'c1',
+      logger: silentLogger,
+      claimIdleMs: 0,
+      handler: async (event) => {
+        if (event.type === 'user.deleted' && failOnce) {
+          failOnce = false;
+          throw new Error('caído');
+        }
+        seen.push(event.type);
+      },
+    });
+
+    expect(await consumer.poll({ block: 0 })).toBe(3);
+
+    // La segunda vuelta reclama el pendiente que falló
+    expect(await consumer.poll({ block: 0 })).toBe(1);
+
+    expect(seen).toEqual(['user.created', 'user.updated', 'user.updated', 'user.deleted']);
+    expect(await consumer.poll({ block: 0 })).toBe(0);
+  });
+
+  test('replay recorre el stream desde un id sin pasar por el grupo', async () => {
+
+    await createAndChangeUser();
+    const [, second] = eventsOf();
+
+    const types = [];
+    const count = await replay(mockRedis, {
+      from: second.stream_id,
+      handler: async (event) => types.push(event.type),
+      batchSize: 2,
+    });
+
+    expect(count).toBe(3);
+    expect(types).toEqual(['user.updated', 'user.deleted', 'user.updated']);
+  });
+
+});
+
+
+// Webhooks
+
+describe('User Service - Webhooks', () => {
+
+  const silentLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+  let receiver;
+  let receiverUrl;
+  let status;
+
+  beforeAll(async () => {
+    receiver = createWebhookReceiver({ respond: () => status });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    status = 200;
+    receiver.received.length = 0;
+  });
+
+  const lastEvent = () => {
+    const entries = mockRedis._streams.get('users:events');
+    return parseEntry(entries[entries.length - 1]);
+  };
+
+  test('POST /webhooks valida url y eventos, y devuelve el secret una sola vez', async () => {
+
+    const invalid = await request(app)
+      .post('/webhooks')
+      .send({ url: 'ftp://example.com', events: ['user.exploded'] });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.map((d) => d.code)).toEqual(
+      expect.arrayContaining(['invalid_format', 'invalid_value'])
+    );
+
+    const created = await request(app).post('/webhooks').send({ url: receiverUrl, events: ['user.created'] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.secret).toMatch(/^whsec_/);
+
+    const list = await request(app).get('/webhooks');
+    expect(list.body).toEqual([expect.objectContaining({ id: created.body.id, url: receiverUrl })]);
+    expect(list.body[0].secret).toBeUndefined();
+
+    expect((await request(app).delete(`/webhooks/${created.body.id}`)).status).toBe(204);
+    expect((await request(app).get(`/webhooks/${created.body.id}`)).status).toBe(404);
+  });
+
+  test('entrega el evento firmado a los webhooks suscriptos y lo registra en el log', async () => {
+
+    const hook = (await request(app).post('/webhooks').send({ url: receiverUrl, events: ['user.created'] })).body;
+    await request(app).post('/webhooks').send({ url: receiverUrl, events: ['user.deleted'] });
+
+    await request(app).post('/users').send({ name: 'Ana', email: 'ana@test.com' });
+    const event = lastEvent();
+
+    await getWebhookDispatcher().handleEvent(event);
+
+    expect(receiver.received).toHaveLength(1);
+
+    const [delivery] = receiver.received;
+    expect(delivery.headers['x-webhook-event']).toBe('user.created');
+    expect(delivery.headers['x-webhook-id']).toBe(hook.id);
+    expect(delivery.body.id).toBe(event.id);
+    expect(verifySignature(hook.secret, delivery.headers, JSON.stringify(delivery.body))).toBe(true);
+    expect(verifySignature('otro-secret', delivery.headers, JSON.stringify(delivery.body))).toBe(false);
+
+    const log = await request(app).get(`/webhooks/${hook.id}/deliveries`);
+    expect(log.body).toEqual([
+      expect.objectContaining({ event_id: event.id, attempt: 1, outcome: 'delivered', status_code: 200 }),
+    ]);
+  });
+
+  test('reintenta con backoff exponencial y manda a dead-letter al agotar los intentos', async () => {
+
+    status = 500;
+
+    const dispatcher = createWebhookDispatcher({
+      redisClient: mockRedis,
+      logger: silentLogger,
+      maxAttempts: 3,
+      baseDelayMs: 1000,
+    });
+
+    const hook = (await request(app).post('/webhooks').send({ url: receiverUrl })).body;
+    await request(app).post('/users').send({ name: 'Ana', email: 'ana@test.com' });
+
+    const now = Date.now();
+    const [deliveryId] = await dispatcher.enqueue(lastEvent(), now);
+    const nextAttempt = () => mockRedis._zsets.get('webhooks:retry').get(deliveryId);
+
+    expect((await dispatcher.deliver(deliveryId, now)).outcome).toBe('retry_scheduled');
+    expect(nextAttempt()).toBe(now + 1000);
+
+    expect(await dispatcher.processDue(now + 999)).toBe(0);
+    expect(await dispatcher.processDue(now + 1000)).toBe(1);
+    expect(nextAttempt()).toBe(now + 1000 + 2000);
+
+    expect(await dispatcher.processDue(now + 3000)).toBe(1);
+    expect(nextAttempt()).toBeUndefined();
+
+    const log = await request(app).get(`/webhooks/${hook.id}/deliveries`);
+    expect(log.body.map((e) => [e.attempt, e.outcome, e.status_code])).toEqual([
+      [3, 'dead_lettered', 500],
+      [2, 'retry_scheduled', 500],
+      [1, 'retry_scheduled', 500],
+    ]);
+
+    const deadLetters = await request(app).get(`/webhooks/${hook.id}/dead-letters`);
+    expect(deadLetters.body).toEqual([
+      expect.objectContaining({ id: deliveryId, attempts: 3, last_status_code: 500, last_error: 'HTTP 500' }),
+    ]);
+    expect(receiver.received).toHaveLength(3);
+  });
+
+  test('no reenvía un evento ya entregado si llega dos veces', async () => {
+
+    await request(app).post('/webhooks').send({ url: receiverUrl });
+    await request(app).post('/users').send({ name: 'Ana', email: 'ana@test.com' });
+
+    const event = lastEvent();
+    await getWebhookDispatcher().handleEvent(event);
+    await getWebhookDispatcher().handleEvent(event);
+
+    expect(receiver.received).toHaveLength(1);
+    expect(mockRedis._zsets.get('webhooks:retry').size).toBe(0);
+  });
+
+  test('POST /webhooks/:id/test manda un evento de prueba y devuelve el resultado', async () => {
+
+    const hook = (await request(app).post('/webhooks').send({ url: receiverUrl })).body;
+
+    const res = await request(app).post(`/webhooks/${hook.id}/test`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ event_type: 'webhook.test', outcome: 'delivered', status_code: 200 });
+    expect(receiver.received[0].headers['x-webhook-event']).toBe('webhook.test');
+
+    status = 503;
+    const failed = await request(app).post(`/webhooks/${hook.id}/test`);
+    expect(failed.body).toMatchObject({ outcome: 'test_failed', status_code: 503 });
+
+    expect((await request(app).post('/webhooks/nope/test')).status).toBe(404);
+  });
+
+  test('un webhook solo se ve y solo recibe eventos desde su tenant', async () => {
+
+    const hook = (await request(app).post('/webhooks').set('X-Tenant-ID', 'acme').send({ url: receiverUrl })).body;
+
+    expect((await request(app).get('/webhooks')).body).toEqual([]);
+    expect((await request(app).get(`/webhooks/${hook.id}`)).status).toBe(404);
+
+    await request(app).post('/users').send({ name: 'Ana', email: 'ana@test.com' });
+    await getWebhookDispatcher().handleEvent(lastEvent());
+    expect(receiver.received).toHaveLength(0);
+
+    await request(app).post('/users').set('X-Tenant-ID', 'acme').send({ name: 'Ana', email: 'ana@test.com' });
+    const event = lastEvent();
+    expect(event.tenant).toBe('acme');
+
+    await getWebhookDispatcher().handleEvent(event);
+    expect(receiver.received).toHaveLength(1);
+    expect(receiver.received[0].body.tenant).toBe('acme');
+
+    const log = await request(app).get(`/webhooks/${hook.id}/deliveries`).set('X-Tenant-ID', 'acme');
+    expect(log.body).toEqual([expect.objectContaining({ event_id: event.id, outcome: 'delivered' })]);
+  });
+
+});
+
+
+// Import y export masivo
+
+describe('User Service - Import y export masivo', () => {
+
+  test('POST /users/bulk importa NDJSON y reporta el resultado de cada fila', async () => {
+
+    await seedUsers([
+      { id: 'u1', name: 'Ana', email: 'ana@test.com', created_at: '2024-01-01T10:00:00.000Z' },
+    ]);
+
+    const body = [
+      JSON.stringify({ name: 'Beto', email: 'beto@test.com' }),
+      '',
+      '{no es json',
+      JSON.stringify({ name: 'Otra Ana', email: 'ANA@test.com' }),
+      JSON.stringify({ name: 'Caro' }),
+      JSON.stringify({ name: 'Beto 2', email: 'beto@test.com' }),
+    ].join('\n');
+
+    const res = await request(app)
+      .post('/users/bulk')
+      .set('Content-Type', 'application/x-ndjson')
+      .send(body);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 5, created: 1, failed: 4, truncated: false });
+    expect(res.body.results.map((r) => [r.line, r.status, r.error && r.error.code])).toEqual([
+      [1, 'created', undefined],
+      [3, 'error', 'invalid_json'],
+      [4, 'error', 'duplicate_email'],
+      [5, 'error', 'validation_error'],
+      [6, 'error', 'duplicate_email'],
+    ]);
+    expect(res.body.results[3].error.details).toEqual([
+      expect.objectContaining({ field: 'email', code: 'required' }),
+    ]);
+
+    const created = await request(app).get(`/users/${res.body.results[0].id}`);
+    expect(created.body.email).toBe('beto@test.com');
+  });
+
+  test('POST /users/bulk importa CSV con encabezados y comillas', async () => {
+
+    const body = [
+      'name,email',
+      '"Pérez, Juan",juan@test.com',
+      'Solo un campo',
+      'Lu,no-es-un-email',
+    ].join('\r\n');
+
+    const res = await request(app)
+      .post('/users/bulk')
+      .set('Content-Type', 'text/csv')
+      .send(body);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 3, created: 1, failed: 2 });
+    expect(res.body.results[1].error.code).toBe('invalid_csv');
+    expect(res.body.results[2].error.code).toBe('validation_error');
+
+    const list = await request(app).get('/users');
+    expect(list.body.map((u) => u.name)).toEqual(['Pérez, Juan']);
+  });
+
+  test('POST /users/bulk rechaza otros Content-Type', async () => {
+
+    const res = await request(app)
+      .post('/users/bulk')
+      .send([{ name: 'Ana', email: 'ana@test.com' }]);
+
+    expect(res.status).toBe(415);
+    expect(res.body.error).toBe('unsupported_media_type');
+  });
+
+  describe('export', () => {
+
+    beforeEach(async () => {
+      await seedUsers([
+        { id: 'u1', name: 'Ana', email: 'ana@test.com', version: 1, created_at: '2024-01-01T10:00:00.000Z' },
+        { id: 'u2', name: 'Lopez, Beto', email: 'beto@test.com', version: 2, created_at: '2024-01-02T10:00:00.000Z' },
+        {
+          id: 'u3',
+          name: 'Caro',
+          email: 'caro@test.com',
+          version: 3,
+          created_at: '2024-01-03T10:00:00.000Z',
+          deleted_at: '2024-02-01T10:00:00.000Z',
+        },
+      ]);
+    });
+
+    test('GET /users/export devuelve NDJSON en orden de alta sin los borrados', async () => {
+
+      const res = await request(app).get('/users/export');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('application/x-ndjson');
+      expect(res.headers['content-disposition']).toContain('users.ndjson');
+
+      const lines = res.text.trim().split('\n').map((line) => JSON.parse(line));
+      expect(lines.map((u) => u.id)).toEqual(['u1', 'u2']);
+    });
+
+    test('GET /users/export?format=csv escapa campos e incluye borrados si se piden', async () => {
+
+      const res = await request(app).get('/users/export?format=csv&include_deleted=true');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/csv');
+      expect(res.text.trim().split('\n')).toEqual([
+        'id,name,email,version,created_at,updated_at,deleted_at',
+        'u1,Ana,ana@test.com,1,2024-01-01T10:00:00.000Z,,',
+        'u2,"Lopez, Beto",beto@test.com,2,2024-01-02T10:00:00.000Z,,',
+        'u3,Caro,caro@test.com,3,2024-01-03T10:00:00.000Z,,2024-02-01T10:00:00.000Z',
+      ]);
+    });
+
+    test('GET /users/export elige CSV por Accept y rechaza formatos desconocidos', async () => {
+
+      const byAccept = await request(app).get('/users/export').set('Accept', 'text/csv');
+      expect(byAccept.headers['content-type']).toContain('text/csv');
+
+      const bad = await request(app).get('/users/export?format=xml');
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toBe('invalid_query');
+    });
+
+  });
+
+});
+
+
+// API keys
+
+describe('User Service - API keys', () => {
+
+  const verify = (key) => request(app).post('/internal/api-keys/verify').send({ key });
+
+  test('POST /api-keys valida el payload y devuelve el key una sola vez, guardando solo el hash', async () => {
+
+    const invalid = await request(app)
+      .post('/api-keys')
+      .send({ name: 'etl', scopes: ['users:root'], expires_at: '2000-01-01T00:00:00Z' });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.map((d) => d.code)).toContain('invalid_value');
+
+    const past = await request(app)
+      .post('/api-keys')
+      .send({ name: 'etl', scopes: ['users:read'], expires_at: '2000-01-01T00:00:00Z' });
+
+    expect(past.status).toBe(400);
+    expect(past.body.details[0].field).toBe('expires_at');
+
+    const created = await request(app)
+      .post('/api-keys')
+      .set('X-Actor-ID', 'alice')
+      .send({ name: 'etl nocturno', scopes: ['users:read'] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.key).toMatch(/^uk_[0-9a-f]{16}_[0-9a-f]{64}$/);
+    expect(created.body.prefix).toBe(`uk_${created.body.id}`);
+    expect(created.body.created_by).toBe('alice');
+    expect(Date.parse(created.body.expires_at)).toBeGreaterThan(Date.now() + 89 * 24 * 60 * 60 * 1000);
+
+    const stored = mockRedis._store.get(`apikeys:key:${created.body.id}`);
+    expect(stored).not.toContain(created.body.key);
+
+    const list = await request(app).get('/api-keys');
+    expect(list.body).toEqual([expect.objectContaining({ id: created.body.id, last_used_at: null })]);
+    expect(list.body[0].key).toBeUndefined();
+    expect(list.body[0].key_hash).toBeUndefined();
+  });
+
+  test('verify acepta el key, devuelve sus scopes y marca el último uso', async () => {
+
+    const { key, id } = (await request(app).post('/api-keys').send({ name: 'etl', scopes: ['users:write'] })).body;
+
+    const res = await verify(key);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id, scopes: ['users:write'] });
+    expect(res.body.key_hash).toBeUndefined();
+
+    const detail = await request(app).get(`/api-keys/${id}`);
+    expect(detail.body.last_used_at).toBe(res.body.last_used_at);
+  });
+
+  test('verify rechaza keys mal formados, desconocidos, revocados y vencidos', async () => {
+
+    const { key, id } = (await request(app).post('/api-keys').send({ name: 'etl', scopes: ['users:read'] })).body;
+
+    expect((await verify('no-es-un-key')).body.reason).toBe('malformed');
+    expect((await verify(key.replace(/.$/, (c) => (c === '0' ? '1' : '0')))).body.reason).toBe('unknown');
+
+    expect((await request(app).delete(`/api-keys/${id}`)).status).toBe(204);
+
+    const revoked = await verify(key);
+    expect(revoked.status).toBe(401);
+    expect(revoked.body).toEqual({ error: 'invalid_api_key', reason: 'revoked' });
+    expect((await request(app).get(`/api-keys/${id}`)).body.revoked_at).toBeTruthy();
+
+    const other = (await request(app).post('/api-keys').send({ name: 'viejo', scopes: ['users:read'] })).body;
+    const record = JSON.parse(mockRedis._store.get(`apikeys:key:${other.id}`));
+    mockRedis._store.set(`apikeys:key:${other.id}`, JSON.stringify({ ...record, expires_at: new Date(Date.now() - 1000).toISOString() }));
+
+    expect((await verify(other.key)).body.reason).toBe('expired');
+    expect((await request(app).delete('/api-keys/nope')).status).toBe(404);
+  });
+
+  test('una key es de su tenant: verify lo informa y desde otro tenant no se ve ni se revoca', async () => {
+
+    const { key, id } = (await request(app)
+      .post('/api-keys')
+      .set('X-Tenant-ID', 'acme')
+      .send({ name: 'etl', scopes: ['users:read'] })).body;
+
+    expect((await verify(key)).body).toMatchObject({ id, tenant: 'acme' });
+
+    expect((await request(app).get('/api-keys')).body).toEqual([]);
+    expect((await request(app).get(`/api-keys/${id}`)).status).toBe(404);
+    expect((await request(app).delete(`/api-keys/${id}`)).status).toBe(404);
+    expect((await verify(key)).status).toBe(200);
+
+    const own = await request(app).get('/api-keys').set('X-Tenant-ID', 'acme');
+    expect(own.body).toEqual([expect.objectContaining({ id, tenant: 'acme' })]);
+  });
+
+});
+
+
+// Multi-tenancy
+
+describe('User Service - Multi-tenancy', () => {
+
+  const as = (tenant) => ({
+    get: (path) => request(app).get(path).set('X-Tenant-ID', tenant),
+    post: (path) => request(app).post(path).set('X-Tenant-ID', tenant),
+    delete: (path) => request(app).delete(path).set('X-Tenant-ID', tenant),
+  });
+
+  test('cada tenant ve solo sus usuarios y el mismo email puede existir en dos tenants', async () => {
+
+    const acme = (await as('acme').post('/users').send({ name: 'Ana', email: 'ana@test.com' })).body;
+    const initech = await as('initech').post('/users').send({ name: 'Ana', email: 'ana@test.com' });
+
+    expect(initech.status).toBe(201);
+
+    expect((await as('acme').get(`/users/${acme.id}`)).status).toBe(200);
+    expect((await as('initech').get(`/users/${acme.id}`)).status).toBe(404);
+    expect((await request(app).get(`/users/${acme.id}`)).status).toBe(404);
+    expect((await as('initech').delete(`/users/${acme.id}`)).status).toBe(404);
+    expect((await as('initech').get(`/users/${acme.id}/history`)).status).toBe(404);
+
+    expect((await as('acme').get('/users')).body.map((user) => user.id)).toEqual([acme.id]);
+    expect((await request(app).get('/users')).body).toEqual([]);
+  });
+
+  test('las claves de un tenant llevan el prefijo t:<tenant>: y las del default quedan como antes', async () => {
+
+    const acme = (await as('acme').post('/users').send({ name: 'Ana', email: 'ana@test.com' })).body;
+    const plain = (await request(app).post('/users').send({ name: 'Beto', email: 'beto@test.com' })).body;
+
+    expect(mockRedis._store.has(`t:acme:user:${acme.id}`)).toBe(true);
+    expect(mockRedis._store.has(`user:${acme.id}`)).toBe(false);
+    expect(mockRedis._store.get('t:acme:users:email:ana@test.com')).toBe(acme.id);
+    expect(mockRedis._store.has(`user:${plain.id}`)).toBe(true);
+    expect([...mockRedis._sets.get('tenants:index')]).toEqual(['acme', 'default']);
+  });
+
+  test('un X-Tenant-ID inválido responde 400', async () => {
+
+    const res = await as('Acme Corp').get('/users');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('invalid_tenant');
+    expect((await as('t:acme').get('/users')).status).toBe(400);
+  });
+
+  test('el purge recorre todos los tenants y las métricas llevan el tenant', async () => {
+
+    const acme = (await as('acme').post('/users').send({ name: 'Ana', email: 'ana@test.com' })).body;
+    await as('acme').delete(`/users/${acme.id}`);
+
+    const key = `t:acme:user:${acme.id}`;
+    const deletedAt = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString();
+    mockRedis._store.set(key, JSON.stringify({ ...JSON.parse(mockRedis._store.get(key)), deleted_at: deletedAt }));
+    mockRedis._zsets.get('t:acme:users:deleted').set(acme.id, Date.parse(deletedAt));
+
+    await runPurge();
+
+    expect(mockRedis._store.has(key)).toBe(false);
+    expect((await as('acme').get('/users')).body).toEqual([]);
+
+    const metrics = (await request(app).get('/metrics')).text;
+    expect(metrics).toMatch(/^tenant_requests_total{tenant="acme",class="2xx"} \d+$/m);
+    expect(metrics).toMatch(/^users_total{tenant="acme"} 0$/m);
+  });
+
+});
+
+
+// Roles y grupos
+
+describe('User Service - Roles y grupos', () => {
+
+  const createUser = async (name, email) => (await request(app).post('/users').send({ name, email })).body;
+  const createGroup = async (body) => (await request(app).post('/groups').send(body)).body;
+
+  test('PUT /users/:id/roles reemplaza los roles y GET /users filtra por rol', async () => {
+
+    const ana = await createUser('Ana', 'ana@test.com');
+    await createUser('Beto', 'beto@test.com');
+
+    const res = await request(app).put(`/users/${ana.id}/roles`).send({ roles: ['billing:admin', 'support'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.roles).toEqual(['billing:admin', 'support']);
+    expect(res.body.version).toBe(2);
+    expect(res.headers.etag).toBe('"2"');
+
+    const filtered = await request(app).get('/users?role=support');
+    expect(filtered.body.map((user) => user.id)).toEqual([ana.id]);
+
+    // PUT y PATCH del usuario conservan los roles y no los pueden cambiar
+
+    const replaced = await request(app).put(`/users/${ana.id}`).send({ name: 'Ana María', email: 'ana@test.com' });
+    expect(replaced.body.roles).toEqual(['billing:admin', 'support']);
+
+    const patched = await request(app)
+      .patch(`/users/${ana.id}`)
+      .set('Content-Type', 'application/merge-patch+json')
+      .send({ roles: ['root'] });
+
+    expect(patched.status).toBe(400);
+    expect(patched.body.details).toContainEqual(expect.objectContaining({ field: 'roles', code: 'read_only' }));
+
+    const history = await request(app).get(`/users/${ana.id}/history`);
+    expect(history.body[1].changes).toEqual([{ field: 'roles', before: null, after: ['billing:admin', 'support'] }]);
+  });
+
+  test('PUT /users/:id/roles valida los roles contra el schema publicado', async () => {
+
+    const ana = await createUser('Ana', 'ana@test.com');
+
+    const res = await request(app).put(`/users/${ana.id}/roles`).send({ roles: ['Admin', 'support', 'support'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map((detail) => detail.code)).toEqual(
+      expect.arrayContaining(['invalid_format', 'duplicate_value'])
+    );
+
+    expect((await request(app).put('/users/no-existe/roles').send({ roles: [] })).status).toBe(404);
+    expect((await request(app).get('/schemas/user')).body.roles.required).toEqual(['roles']);
+  });
+
+  test('CRUD de grupos', async () => {
+
+    const created = await request(app).post('/groups').send({ name: 'Soporte', description: 'Primer nivel' });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: 'Soporte', description: 'Primer nivel' });
+
+    const invalid = await request(app).post('/groups').send({ description: 'sin nombre' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details[0]).toMatchObject({ field: 'name', code: 'required' });
+
+    const replaced = await request(app).put(`/groups/${created.body.id}`).send({ name: 'Soporte N1' });
+    expect(replaced.body.name).toBe('Soporte N1');
+    expect(replaced.body).not.toHaveProperty('description');
+
+    expect((await request(app).get(`/groups/${created.body.id}`)).body.name).toBe('Soporte N1');
+    expect((await request(app).get('/groups')).body.map((group) => group.id)).toEqual([created.body.id]);
+
+    expect((await request(app).delete(`/groups/${created.body.id}`)).status).toBe(204);
+    expect((await request(app).get(`/groups/${created.body.id}`)).status).toBe(404);
+  });
+
+  test('los miembros se guardan en el usuario y el índice sigue al borrado y al restore', async () => {
+
+    const group = await createGroup({ name: 'Soporte' });
+    const ana = await createUser('Ana', 'ana@test.com');
+    const beto = await createUser('Beto', 'beto@test.com');
+    const membersKey = `groups:members:${group.id}`;
+
+    const added = await request(app).put(`/groups/${group.id}/members/${ana.id}`);
+
+    expect(added.status).toBe(200);
+    expect(added.body.groups).toEqual([group.id]);
+    expect(added.body.version).toBe(2);
+
+    await request(app).put(`/groups/${group.id}/members/${beto.id}`);
+    await request(app).put(`/groups/${group.id}/members/${beto.id}`);
+
+    const [first, second] = [ana.id, beto.id].sort();
+
+    const page = await request(app).get(`/groups/${group.id}/members?limit=1`);
+    expect(page.body.map((user) => user.id)).toEqual([first]);
+    expect(page.headers['x-next-cursor']).toBe(first);
+
+    const next = await request(app).get(`/groups/${group.id}/members?limit=1&cursor=${first}`);
+    expect(next.body.map((user) => user.id)).toEqual([second]);
+    expect(next.headers['x-next-cursor']).toBeUndefined();
+
+    await request(app).delete(`/users/${ana.id}`);
+    expect([...mockRedis._zsets.get(membersKey).keys()]).toEqual([beto.id]);
+
+    await request(app).post(`/users/${ana.id}/restore`);
+    expect([...mockRedis._zsets.get(membersKey).keys()].sort()).toEqual([first, second]);
+
+    expect((await request(app).delete(`/groups/${group.id}/members/${beto.id}`)).status).toBe(204);
+    expect((await request(app).get(`/users/${beto.id}`)).body.groups).toEqual([]);
+    expect([...mockRedis._zsets.get(membersKey).keys()]).toEqual([ana.id]);
+
+    // La escritura del miembro vigila el grupo: un DELETE /groups/:id concurrente la hace repetir
+
+    expect(mockRedis.watch).toHaveBeenCalledWith([`user:${beto.id}`, `groups:group:${group.id}`]);
+
+    expect((await request(app).put(`/groups/${group.id}/members/no-existe`)).status).toBe(404);
+    expect((await request(app).put(`/groups/no-existe/members/${ana.id}`)).body.error).toBe('group_not_found');
+  });
+
+  test('una página de miembros saltea entradas de usuarios borrados o que ya no existen', async () => {
+
+    const group = await createGroup({ name: 'Soporte' });
+    const ana = await createUser('Ana', 'ana@test.com');
+    const beto = await createUser('Beto', 'beto@test.com');
+    const membersKey = `groups:members:${group.id}`;
+
+    await request(app).put(`/groups/${group.id}/members/${ana.id}`);
+    await request(app).put(`/groups/${group.id}/members/${beto.id}`);
+
+    // Entradas que el índice no debería tener, pero que una página no puede devolver
+
+    await mockRedis.set('user:0-borrado', JSON.stringify({ id: '0-borrado', deleted_at: '2024-01-01T00:00:00.000Z' }));
+    await mockRedis.zAdd(membersKey, { score: 0, value: '0-borrado' });
+    await mockRedis.zAdd(membersKey, { score: 0, value: '0-no-existe' });
+
+    const page = await request(app).get(`/groups/${group.id}/members?limit=2`);
+
+    expect(page.body.map((user) => user.id)).toEqual([ana.id, beto.id].sort());
+    expect(page.headers['x-next-cursor']).toBeUndefined();
+  });
+
+  test('borrar un grupo lo saca de sus miembros, también de los que estaban borrados al restaurarlos', async () => {
+
+    const group = await createGroup({ name: 'Soporte' });
+    const ana = await createUser('Ana', 'ana@test.com');
+    const beto = await createUser('Beto', 'beto@test.com');
+
+    await request(app).put(`/groups/${group.id}/members/${ana.id}`);
+    await request(app).put(`/groups/${group.id}/members/${beto.id}`);
+    await request(app).delete(`/users/${beto.id}`);
+
+    expect((await request(app).delete(`/groups/${group.id}`)).status).toBe(204);
+
+    expect((await request(app).get(`/users/${ana.id}`)).body.groups).toEqual([]);
+    expect(mockRedis._zsets.has(`groups:members:${group.id}`)).toBe(false);
+
+    const restored = await request(app).post(`/users/${beto.id}/restore`);
+    expect(restored.body.groups).toEqual([]);
+    expect(mockRedis._zsets.has(`groups:members:${group.id}`)).toBe(false);
+  });
+
+});
+
+
+// Repositorio de usuarios: la misma suite contra cada driver (el de redis, sobre el mock)
+
+describeUserStore('redis', () => createUserStore({ driver: 'redis', redisClient: mockRedis }));
+describeUserStore('memory', () => createUserStore({ driver: 'memory' }));
+describeUserStore('redis (tenant acme)', () => createUserStore({ driver: 'redis', redisClient: mockRedis, tenant: 'acme' }));
+
+
+// Migraciones de datos
+
+describe('User Service - Migraciones', () => {
+
+  // Usuarios guardados antes de version y updated_at: u1..u4 vivos y u5 borrado
+
+  beforeEach(async () => {
+    await seedUsers(['u1', 'u2', 'u3', 'u4'].map((id, i) => ({
+      id,
+      name: `Usuario ${id}`,
+      email: `${id}@test.com`,
+      created_at: `2024-01-0${i + 1}T10:00:00.000Z`,
+    })));
+
+    await mockRedis.set('user:u5', JSON.stringify({
+      id: 'u5',
+      name: 'Borrado',
+      email: 'u5@test.com',
+      created_at: '2024-01-05T10:00:00.000Z',
+      deleted_at: '2024-02-01T10:00:00.000Z',
+    }));
+    await mockRedis.zAdd('users:deleted', { score: Date.parse('2024-02-01T10:00:00.000Z'), value: 'u5' });
+  });
+
+  const stored = (id) => JSON.parse(mockRedis._store.get(`user:${id}`));
+
+  test('Las migraciones se cargan en orden desde src/migrations', () => {
+    expect(loadMigrations().map((migration) => migration.name)).toEqual(['001-backfill-version']);
+  });
+
+  test('dry-run cuenta los cambios sin escribir nada', async () => {
+    const report = await runMigrations(mockRedis, { dryRun: true, batchSize: 2 });
+
+    expect(report).toMatchObject({ dryRun: true, from: 0, to: 1, scanned: 5 });
+    expect(report.migrations).toEqual([expect.objectContaining({ name: '001-backfill-version', changed: 5 })]);
+
+    expect(stored('u1').version).toBeUndefined();
+    expect(mockRedis._store.has('users:schema_version')).toBe(false);
+    expect(mockRedis._store.has('users:migrations:lock')).toBe(false);
+  });
+
+  test('Migra vivos y borrados, marca la versión y la segunda corrida no hace nada', async () => {
+    const onProgress = jest.fn();
+    const report = await runMigrations(mockRedis, { batchSize: 2, onProgress });
+
+    expect(report).toMatchObject({ from: 0, to: 1, scanned: 5, resumed: false });
+    expect(onProgress).toHaveBeenCalledTimes(3);
+
+    expect(stored('u1')).toMatchObject({ version: 1, updated_at: '2024-01-01T10:00:00.000Z' });
+    expect(stored('u5')).toMatchObject({ version: 1, deleted_at: '2024-02-01T10:00:00.000Z' });
+
+    expect(mockRedis._store.get('users:schema_version')).toBe('1');
+    expect(mockRedis._store.has('users:migrations:progress')).toBe(false);
+    expect(mockRedis._store.has('users:migrations:lock')).toBe(false);
+
+    expect((await runMigrations(mockRedis)).migrations).toEqual([]);
+    expect(await migrationStatus(mockRedis)).toMatchObject({ current: 1, latest: 1, pending: [], locked: false });
+  });
+
+  test('Un usuario con grupos se migra; cambiarle los grupos no se permite', () => {
+    const user = { id: 'u1', email: 'u1@test.com', groups: ['g1'] };
+    const rename = { name: '002-rename', migrateUser: (current) => ({ ...current, name: 'Nuevo' }) };
+    const regroup = { name: '003-regroup', migrateUser: (current) => ({ ...current, groups: [] }) };
+
+    expect(applyMigrations(user, [{ version: 2, ...rename }])).toEqual({
+      user: { ...user, name: 'Nuevo' },
+      applied: [2],
+    });
+
+    expect(() => applyMigrations(user, [{ version: 3, ...regroup }])).toThrow(/no puede cambiar groups/);
+  });
+
+  test('Con el lock tomado por otra réplica tira MIGRATION_LOCKED y no escribe', async () => {
+    await mockRedis.set('users:migrations:lock', 'otra-replica');
+
+    await expect(runMigrations(mockRedis)).rejects.toMatchObject({ code: 'MIGRATION_LOCKED' });
+
+    expect(stored('u1').version).toBeUndefined();
+    expect(mockRedis._store.get('users:migrations:lock')).toBe('otra-replica');
+    expect((await migrationStatus(mockRedis)).locked).toBe(true);
+  });
+
+  test('Retoma desde el checkpoint de una corrida cortada', async () => {
+    await mockRedis.set('users:migrations:progress', JSON.stringify({
+      from: 0,
+      to: 1,
+      source: 'index',
+      cursor: 2,
+      scanned: 2,
+      corrupt: 0,
+      changed: { 1: 2 },
+    }));
+
+    const report = await runMigrations(mockRedis, { batchSize: 2 });
+
+    expect(report).toMatchObject({ resumed: true, scanned: 5 });
+    expect(report.migrations[0].changed).toBe(5);
+
+    // u1 y u2 ya estaban en lotes guardados: no se vuelven a recorrer
+
+    expect(stored('u2').version).toBeUndefined();
+    expect(stored('u3').version).toBe(1);
+    expect(stored('u5').version).toBe(1);
+    expect(mockRedis._store.has('users:migrations:progress')).toBe(false);
+  });
+
+});
+
+
+// Niveles de log y redacción
+
+describe('User Service - Logs', () => {
+
+  const admin = (req) => req.set('Authorization', 'Bearer test-admin-token');
+
+  test('PUT /admin/log-levels cambia el nivel de un módulo y DELETE lo restaura', async () => {
+    const put = await admin(request(app).put('/admin/log-levels')).send({ module: 'webhooks', level: 'debug', ttl_ms: 60000 });
+    expect(put.status).toBe(200);
+    expect(put.body).toMatchObject({ module: 'webhooks', level: 'debug' });
+
+    const state = await admin(request(app).get('/admin/log-levels'));
+    expect(state.body.levels.webhooks.level).toBe('debug');
+
+    expect((await admin(request(app).delete('/admin/log-levels/webhooks'))).status).toBe(204);
+    expect((await admin(request(app).get('/admin/log-levels'))).body.levels).toEqual({});
+  });
+
+  test('Los endpoints /admin piden el token y validan el nivel', async () => {
+    expect((await request(app).get('/admin/log-levels')).status).toBe(401);
+    expect((await request(app).get('/admin/log-levels').set('Authorization', 'Bearer otro')).status).toBe(401);
+
+    const invalid = await admin(request(app).put('/admin/log-levels')).send({ level: 'trace' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('invalid_log_level');
+  });
+
+  test('Los logs no llevan la clave de redis ni el email completo', () => {
+    const info = redactFormat().transform({
+      level: 'info',
+      message: 'usuario creado',
+      redis_url: 'redis://:s3cr3t@redis:6379',
+      user: { email: 'john@example.com' },
+    });
+
+    expect(info.redis_url).toBe('redis://***@redis:6379');
+    expect(info.user.email).toBe('j***@example.com');
+  });
+
+});
+
+
 // Rutas desconocidas
 
 describe('User Service - Rutas inválidas', () => {
@@ -0,0 +1,346 @@
+'use strict';
+
+const {
+  USERS_INDEX_KEY,
+  USERS_DELETED_KEY,
+  USERS_BY_CREATED_KEY,
+  USERS_BY_NAME_KEY,
+  userKey,
+} = require('./redis-keys');
+
+/**
+ * Listado paginado de usuarios.
+ *
+ * En vez de leer todo users:index, usamos dos sorted sets con score 0 y ordenamiento
+ * lexicográfico (ZRANGE ... BYLEX). Cada miembro es "<clave de orden>\0<id>", así el orden
+ * es estable aunque dos usuarios tengan el mismo nombre o la misma fecha, y el cursor
+ * es simplemente el último miembro devuelto.
+ *
+ * Los usuarios con borrado lógico siguen en los índices hasta que el purge los elimina;
+ * se filtran al leer salvo que se pida include_deleted=true.
+ */
+
+const SEPARATOR = '\u0000';
+
+// Cualquier miembro "<valor>\0<id>" es menor que "<valor>\u0001", nos sirve como límite superior inclusivo
+
+const AFTER_SEPARATOR = '\u0001';
+
+const SORT_INDEXES = {
+  created_at: USERS_BY_CREATED_KEY,
+  name: USERS_BY_NAME_KEY,
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SCAN_BATCH = 100;
+
+function indexMembers(user) {
+  return {
+    created: `${user.created_at}${SEPARATOR}${user.id}`,
+    name: `${String(user.name).toLowerCase()}${SEPARATOR}${user.id}`,
+  };
+}
+
+function idFromMember(member) {
+  return member.slice(member.lastIndexOf(SEPARATOR) + 1);
+}
+
+/**
+ * Agrega los comandos de indexado a un multi() (o directamente al cliente)
+ */
+
+function addToIndexes(pipeline, user) {
+  const members = indexMembers(user);
+  pipeline.zAdd(USERS_BY_CREATED_KEY, { score: 0, value: members.created });
+  pipeline.zAdd(USERS_BY_NAME_KEY, { score: 0, value: members.name });
+  return pipeline;
+}
+
+function removeFromIndexes(pipeline, user) {
+  const members = indexMembers(user);
+  pipeline.zRem(USERS_BY_CREATED_KEY, members.created);
+  pipeline.zRem(USERS_BY_NAME_KEY, members.name);
+  return pipeline;
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  try {
+    const cursor = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor.m !== 'string') return null;
+    return cursor;
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Valida los query params de GET /users.
+ * Devuelve { options } si todo está bien o { error } con un mensaje para el cliente.
+ */
+
+function parseListQuery(query) {
+  for (const [key, value] of Object.entries(query)) {
+    if (typeof value !== 'string') {
+      return { error: `el parámetro ${key} solo puede enviarse una vez` };
+    }
+  }
+
+  const options = {
+    limit: DEFAULT_LIMIT,
+    sort: query.sort || 'created_at',
+    order: query.order || 'asc',
+    name: query.name ? query.name.toLowerCase() : null,
+    email: query.email ? query.email.toLowerCase() : null,
+    role: query.role || null,
+    createdFrom: null,
+    createdTo: null,
+    cursor: null,
+    includeDeleted: false,
+  };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit debe ser un entero entre 1 y ${MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+
+  if (!SORT_INDEXES[options.sort]) {
+    return { error: `sort debe ser uno de: ${Object.keys(SORT_INDEXES).join(', ')}` };
+  }
+
+  if (options.order !== 'asc' && options.order !== 'desc') {
+    return { error: 'order debe ser asc o desc' };
+  }
+
+  for (const [param, field] of [['created_from', 'createdFrom'], ['created_to', 'createdTo']]) {
+    if (query[param] === undefined) continue;
+    options[field] = parseDate(query[param]);
+    if (!options[field]) {
+      return { error: `${param} debe ser una fecha ISO 8601 válida` };
+    }
+  }
+
+  if (query.include_deleted !== undefined) {
+    if (query.include_deleted !== 'true' && query.include_deleted !== 'false') {
+      return { error: 'include_deleted debe ser true o false' };
+    }
+    options.includeDeleted = query.include_deleted === 'true';
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.s !== options.sort || cursor.o !== options.order) {
+      return { error: 'cursor inválido para este sort/order' };
+    }
+    options.cursor = cursor.m;
+  }
+
+  return { options };
+}
+
+function matchesFilters(user, options) {
+  if (user.deleted_at && !options.includeDeleted) return false;
+  if (options.name && !String(user.name).toLowerCase().includes(options.name)) return false;
+  if (options.email && !String(user.email).toLowerCase().includes(options.email)) return false;
+  if (options.role && !(user.roles || []).includes(options.role)) return false;
+  if (options.createdFrom && user.created_at < options.createdFrom) return false;
+  if (options.createdTo && user.created_at > options.createdTo) return false;
+  return true;
+}
+
+/**
+ * Lee una página de usuarios recorriendo el índice en lotes.
+ * Los filtros por substring se aplican en memoria, pero nunca leemos más de maxScan
+ * entradas por request: si llegamos al tope devolvemos lo que haya con un cursor para seguir.
+ */
+
+async function listUsers(redisClient, options, { maxScan = 1000 } = {}) {
+  const key = SORT_INDEXES[options.sort];
+  const rev = options.order === 'desc';
+
+  let lower = '-';
+  let upper = '+';
+
+  // En el índice por fecha el rango created_from/created_to se resuelve directo en Redis
+
+  if (options.sort === 'created_at') {
+    if (options.createdFrom) lower = `[${options.createdFrom}`;
+    if (options.createdTo) upper = `(${options.createdTo}${AFTER_SEPARATOR}`;
+  }
+
+  if (options.cursor) {
+    if (rev) upper = `(${options.cursor}`;
+    else lower = `(${options.cursor}`;
+  }
+
+  const found = [];
+  let scanned = 0;
+  let lastMember = null;
+  let exhausted = false;
+
+  while (found.length <= options.limit && scanned < maxScan) {
+    const count = Math.min(SCAN_BATCH, maxScan - scanned);
+    const members = await redisClient.zRange(key, rev ? upper : lower, rev ? lower : upper, {
+      BY: 'LEX',
+      ...(rev && { REV: true }),
+      LIMIT: { offset: 0, count },
+    });
+
+    if (!members.length) {
+      exhausted = true;
+      break;
+    }
+
+    scanned += members.length;
+
+    const raws = await redisClient.mGet(members.map((member) => userKey(idFromMember(member))));
+
+    for (let i = 0; i < members.length && found.length <= options.limit; i++) {
+      lastMember = members[i];
+
+      let user = null;
+      try {
+        user = raws[i] ? JSON.parse(raws[i]) : null;
+      } catch {
+        user = null;
+      }
+
+      if (user && matchesFilters(user, options)) {
+        found.push({ user, member: members[i] });
+      }
+    }
+
+    if (members.length < count) {
+      exhausted = true;
+      break;
+    }
+
+    if (rev) upper = `(${lastMember}`;
+    else lower = `(${lastMember}`;
+  }
+
+  // Pedimos uno de más para saber si hay otra página sin devolver páginas vacías
+
+  let nextMember = null;
+  if (found.length > options.limit) {
+    nextMember = found[options.limit - 1].member;
+  } else if (!exhausted && lastMember) {
+    nextMember = lastMember;
+  }
+
+  return {
+    users: found.slice(0, options.limit).map((entry) => entry.user),
+    nextCursor: nextMember
+      ? encodeCursor({ s: options.sort, o: options.order, m: nextMember })
+      : null,
+  };
+}
+
+/**
+ * Recorre todos los usuarios en orden de alta, de a lotes, sin cargarlos todos en memoria.
+ * Lo usa el export en streaming.
+ */
+
+async function* iterateUsers(redisClient, { includeDeleted = false } = {}) {
+  let lower = '-';
+
+  for (;;) {
+    const members = await redisClient.zRange(USERS_BY_CREATED_KEY, lower, '+', {
+      BY: 'LEX',
+      LIMIT: { offset: 0, count: SCAN_BATCH },
+    });
+
+    if (!members.length) return;
+
+    const raws = await redisClient.mGet(members.map((member) => userKey(idFromMember(member))));
+
+    for (const raw of raws) {
+      if (!raw) continue;
+
+      let user;
+      try {
+        user = JSON.parse(raw);
+      } catch {
+        continue;
+      }
+
+      if (user.deleted_at && !includeDeleted) continue;
+
+      yield user;
+    }
+
+    if (members.length < SCAN_BATCH) return;
+
+    lower = `(${members[members.length - 1]}`;
+  }
+}
+
+/**
+ * Reconstruye los índices de listado a partir de users:index y de los borrados pendientes de purge.
+ * Sirve para datos creados antes de que existieran los sorted sets.
+ */
+
+async function rebuildListIndexes(redisClient) {
+  const [liveIds, deletedIds] = await Promise.all([
+    redisClient.sMembers(USERS_INDEX_KEY),
+    redisClient.zRange(USERS_DELETED_KEY, 0, -1),
+  ]);
+  const ids = [...liveIds, ...deletedIds];
+  let indexed = 0;
+
+  for (let i = 0; i < ids.length; i += SCAN_BATCH) {
+    const chunk = ids.slice(i, i + SCAN_BATCH);
+    const raws = await redisClient.mGet(chunk.map(userKey));
+    const pipeline = redisClient.multi();
+
+    raws.forEach((raw) => {
+      if (!raw) return;
+      try {
+        addToIndexes(pipeline, JSON.parse(raw));
+        indexed++;
+      } catch {
+        // registro corrupto, lo dejamos fuera del índice
+      }
+    });
+
+    await pipeline.exec();
+  }
+
+  return indexed;
+}
+
+async function listIndexesOutOfSync(redisClient) {
+  const [live, deleted, indexed] = await Promise.all([
+    redisClient.sCard(USERS_INDEX_KEY),
+    redisClient.zCard(USERS_DELETED_KEY),
+    redisClient.zCard(USERS_BY_CREATED_KEY),
+  ]);
+  return live + deleted !== indexed;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  addToIndexes,
+  removeFromIndexes,
+  indexMembers,
+  encodeCursor,
+  parseListQuery,
+  matchesFilters,
+  listUsers,
+  iterateUsers,
+  rebuildListIndexes,
+  listIndexesOutOfSync,
+};
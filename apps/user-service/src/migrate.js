@@ -0,0 +1,339 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  USERS_INDEX_KEY,
+  USERS_DELETED_KEY,
+  USERS_SCHEMA_VERSION_KEY,
+  USERS_MIGRATION_LOCK_KEY,
+  USERS_MIGRATION_PROGRESS_KEY,
+  userKey,
+} = require('./redis-keys');
+const listing = require('./listing');
+const { runWatched } = require('./transactions');
+
+/**
+ * Migraciones versionadas de los usuarios guardados en Redis.
+ *
+ * Cada archivo de src/migrations se llama NNN-descripcion.js (numerados desde 001, sin huecos) y exporta
+ * { description, migrateUser(user) }: migrateUser devuelve el usuario migrado o null si no hay nada que cambiar.
+ * Tiene que poder aplicarse dos veces al mismo usuario: SSCAN puede devolver un id repetido y el lote
+ * que se cortó a la mitad se vuelve a recorrer al retomar.
+ *
+ * users:schema_version guarda la última migración aplicada. Una corrida aplica todas las pendientes a cada
+ * usuario en una sola pasada (users:index y después users:deleted), guarda el cursor después de cada lote
+ * y toma un lock con TTL para que migre una sola réplica a la vez.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{3})-[a-z0-9-]+\.js$/;
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_LOCK_TTL_MS = 60000;
+
+// Una migración no puede tocar los campos de los que dependen users:index, users:deleted, el email reservado
+// y los miembros de cada grupo
+
+const FROZEN_FIELDS = ['id', 'email', 'deleted_at', 'groups'];
+
+// Lo que se recorre, en orden: los vivos y después los borrados pendientes de purge
+
+const SOURCES = {
+  index: async (redisClient, cursor, count) => {
+    const reply = await redisClient.sScan(USERS_INDEX_KEY, cursor, { COUNT: count });
+    return { cursor: Number(reply.cursor), ids: reply.members };
+  },
+  deleted: async (redisClient, cursor, count) => {
+    const reply = await redisClient.zScan(USERS_DELETED_KEY, cursor, { COUNT: count });
+    return { cursor: Number(reply.cursor), ids: reply.members.map((member) => member.value) };
+  },
+};
+
+const SOURCE_ORDER = Object.keys(SOURCES);
+
+function migrationError(message, code = 'INVALID_MIGRATION') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Lee las migraciones del directorio, ordenadas por número
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).filter((file) => file.endsWith('.js')).sort();
+
+  return files.map((file, i) => {
+    const match = MIGRATION_FILE.exec(file);
+
+    if (!match) {
+      throw migrationError(`nombre de migración inválido: ${file} (se espera NNN-descripcion.js)`);
+    }
+
+    if (Number(match[1]) !== i + 1) {
+      throw migrationError(`las migraciones tienen que ser correlativas desde 001: ${file} debería ser la ${i + 1}`);
+    }
+
+    const { description, migrateUser } = require(path.join(dir, file));
+
+    if (typeof migrateUser !== 'function') {
+      throw migrationError(`la migración ${file} no exporta migrateUser(user)`);
+    }
+
+    return { version: i + 1, name: path.basename(file, '.js'), description: description || '', migrateUser };
+  });
+}
+
+async function readSchemaVersion(redisClient) {
+  return parseInt((await redisClient.get(USERS_SCHEMA_VERSION_KEY)) || '0', 10);
+}
+
+/**
+ * Aplica en orden las migraciones a una copia del usuario.
+ * Devuelve el usuario resultante y las versiones que cambiaron algo.
+ */
+
+function applyMigrations(user, migrations) {
+  let current = user;
+  const applied = [];
+
+  for (const migration of migrations) {
+    const next = migration.migrateUser(structuredClone(current));
+
+    if (!next || JSON.stringify(next) === JSON.stringify(current)) continue;
+
+    // Por valor: groups es un array y cada migración recibe una copia
+
+    const frozen = FROZEN_FIELDS.find((field) => JSON.stringify(next[field]) !== JSON.stringify(current[field]));
+
+    if (frozen) {
+      throw migrationError(`la migración ${migration.name} no puede cambiar ${frozen} (usuario ${user.id})`);
+    }
+
+    current = next;
+    applied.push(migration.version);
+  }
+
+  return { user: current, applied };
+}
+
+// Usuario guardado -> { before, user, applied }; un registro que no es JSON se cuenta como corrupto y se deja como está
+
+function migrateRaw(raw, migrations) {
+  if (!raw) return { applied: [] };
+
+  let before;
+  try {
+    before = JSON.parse(raw);
+  } catch {
+    return { corrupt: true, applied: [] };
+  }
+
+  return { before, ...applyMigrations(before, migrations) };
+}
+
+/**
+ * Migra un usuario vigilando su clave, como cualquier otra escritura: si una request lo cambia entre medio,
+ * se vuelve a leer y a migrar. No deja entrada de historial ni sube la versión del usuario.
+ */
+
+async function migrateStoredUser(redisClient, id, migrations) {
+  return runWatched(redisClient, [userKey(id)], async (conn) => {
+    const outcome = migrateRaw(await conn.get(userKey(id)), migrations);
+
+    if (!outcome.applied.length) return { result: outcome };
+
+    const multi = conn.multi().set(userKey(id), JSON.stringify(outcome.user));
+
+    // Si cambió el nombre o la fecha de alta hay que mover las entradas de los índices de listado
+
+    listing.removeFromIndexes(multi, outcome.before);
+    listing.addToIndexes(multi, outcome.user);
+
+    return { multi, result: outcome };
+  });
+}
+
+async function migrateBatch(redisClient, ids, migrations, { dryRun }) {
+
+  // Dry-run: migra en memoria el lote entero sin escribir nada
+
+  if (dryRun) {
+    const raws = ids.length ? await redisClient.mGet(ids.map(userKey)) : [];
+    return raws.map((raw) => migrateRaw(raw, migrations));
+  }
+
+  const outcomes = [];
+
+  for (const id of ids) {
+    outcomes.push(await migrateStoredUser(redisClient, id, migrations));
+  }
+
+  return outcomes;
+}
+
+/**
+ * Lock de la migración: SET NX PX con un token propio.
+ * Renovar, guardar el checkpoint y terminar solo escriben si el lock sigue siendo nuestro.
+ */
+
+async function acquireLock(redisClient, ttlMs) {
+  const token = crypto.randomUUID();
+  const acquired = await redisClient.set(USERS_MIGRATION_LOCK_KEY, token, { NX: true, PX: ttlMs });
+
+  if (!acquired) {
+    throw migrationError('hay otra migración en curso (users:migrations:lock está tomado)', 'MIGRATION_LOCKED');
+  }
+
+  const whileOwned = (queue) => runWatched(redisClient, [USERS_MIGRATION_LOCK_KEY], async (conn) => {
+    if ((await conn.get(USERS_MIGRATION_LOCK_KEY)) !== token) return { result: false };
+    return { multi: queue(conn.multi()), result: true };
+  });
+
+  const orFail = async (write) => {
+    if (!(await write)) {
+      throw migrationError('se perdió el lock de la migración (venció el TTL)', 'MIGRATION_LOCK_LOST');
+    }
+  };
+
+  return {
+    checkpoint: (progress) => orFail(whileOwned((multi) => multi
+      .pExpire(USERS_MIGRATION_LOCK_KEY, ttlMs)
+      .set(USERS_MIGRATION_PROGRESS_KEY, JSON.stringify(progress)))),
+
+    finish: (version) => orFail(whileOwned((multi) => multi
+      .set(USERS_SCHEMA_VERSION_KEY, String(version))
+      .del(USERS_MIGRATION_PROGRESS_KEY)
+      .del(USERS_MIGRATION_LOCK_KEY))),
+
+    release: () => whileOwned((multi) => multi.del(USERS_MIGRATION_LOCK_KEY)),
+  };
+}
+
+async function readProgress(redisClient) {
+  const raw = await redisClient.get(USERS_MIGRATION_PROGRESS_KEY);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Estado para el CLI (--status): versión actual, migraciones pendientes, corrida a medias y lock
+ */
+
+async function migrationStatus(redisClient, { migrations = loadMigrations() } = {}) {
+  const [current, progress, locked] = await Promise.all([
+    readSchemaVersion(redisClient),
+    readProgress(redisClient),
+    redisClient.exists(USERS_MIGRATION_LOCK_KEY),
+  ]);
+
+  return {
+    current,
+    latest: migrations.length,
+    pending: migrations.filter((migration) => migration.version > current).map(({ version, name }) => ({ version, name })),
+    progress,
+    locked: locked > 0,
+  };
+}
+
+/**
+ * Corre las migraciones pendientes.
+ *
+ * Si hay un checkpoint de una corrida anterior con las mismas versiones, sigue desde ese cursor.
+ * Con dryRun no toma el lock ni escribe nada: recorre todo y cuenta cuántos usuarios cambiaría cada migración.
+ * Si otra réplica tiene el lock tira MIGRATION_LOCKED.
+ */
+
+async function runMigrations(redisClient, {
+  migrations = loadMigrations(),
+  dryRun = false,
+  batchSize = DEFAULT_BATCH_SIZE,
+  lockTtlMs = DEFAULT_LOCK_TTL_MS,
+  onProgress = () => {},
+} = {}) {
+  const to = migrations.length;
+  let from = await readSchemaVersion(redisClient);
+
+  if (from >= to) return { dryRun, from, to: from, scanned: 0, corrupt: 0, resumed: false, migrations: [] };
+
+  const lock = dryRun ? null : await acquireLock(redisClient, lockTtlMs);
+
+  try {
+    // Otra réplica pudo haber terminado entre la primera lectura y el lock
+
+    from = await readSchemaVersion(redisClient);
+
+    if (from >= to) return { dryRun, from, to: from, scanned: 0, corrupt: 0, resumed: false, migrations: [] };
+
+    const pending = migrations.filter((migration) => migration.version > from);
+    const saved = dryRun ? null : await readProgress(redisClient);
+    const resumed = Boolean(saved && saved.from === from && saved.to === to);
+
+    const progress = resumed ? saved : {
+      from,
+      to,
+      source: SOURCE_ORDER[0],
+      cursor: 0,
+      scanned: 0,
+      corrupt: 0,
+      changed: Object.fromEntries(pending.map((migration) => [migration.version, 0])),
+    };
+
+    // source null: la corrida anterior recorrió todo y se cortó antes de marcar la versión
+
+    let position = progress.source === null ? SOURCE_ORDER.length : SOURCE_ORDER.indexOf(progress.source);
+
+    while (position < SOURCE_ORDER.length) {
+      const source = progress.source;
+      const batch = await SOURCES[source](redisClient, progress.cursor, batchSize);
+      const outcomes = await migrateBatch(redisClient, batch.ids, pending, { dryRun });
+
+      outcomes.forEach(({ applied, corrupt }) => {
+        progress.scanned++;
+        if (corrupt) progress.corrupt++;
+        applied.forEach((version) => { progress.changed[version]++; });
+      });
+
+      if (batch.cursor === 0) {
+        position++;
+        progress.source = SOURCE_ORDER[position] || null;
+      }
+
+      progress.cursor = batch.cursor;
+
+      if (lock) await lock.checkpoint(progress);
+
+      onProgress({ source, scanned: progress.scanned, changed: progress.changed });
+    }
+
+    if (lock) await lock.finish(to);
+
+    return {
+      dryRun,
+      from,
+      to,
+      scanned: progress.scanned,
+      corrupt: progress.corrupt,
+      resumed,
+      migrations: pending.map(({ version, name, description }) => ({
+        version,
+        name,
+        description,
+        changed: progress.changed[version],
+      })),
+    };
+  } finally {
+    if (lock) await lock.release();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  applyMigrations,
+  readSchemaVersion,
+  migrationStatus,
+  runMigrations,
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Los usuarios guardados antes de los ETag no tienen version (preconditions.versionOf los trata como 1)
+ * y algunos tampoco updated_at. Se completan para que todos los registros tengan la misma forma.
+ */
+
+const description = 'completa version y updated_at en usuarios viejos';
+
+function migrateUser(user) {
+  if (Number.isInteger(user.version) && user.updated_at) return null;
+
+  return {
+    ...user,
+    version: Number.isInteger(user.version) ? user.version : 1,
+    updated_at: user.updated_at || user.created_at,
+  };
+}
+
+module.exports = { description, migrateUser };
@@ -0,0 +1,107 @@
+'use strict';
+
+const jsonpatch = require('fast-json-patch');
+const { validateUser, validationErrorBody } = require('./user-schema');
+
+/**
+ * PATCH /users/:id
+ * Soporta JSON Merge Patch (RFC 7396) y JSON Patch (RFC 6902). El patch se aplica sobre la
+ * representación completa del usuario (así un "test" sobre /version sirve como guarda), y el
+ * resultado se valida con el mismo schema que PUT.
+ */
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+const PATCH_MEDIA_TYPES = [MERGE_PATCH, JSON_PATCH];
+
+// Campos que maneja el servicio; un patch no puede cambiarlos. Roles y grupos tienen sus propios endpoints.
+
+const READ_ONLY_FIELDS = ['id', 'version', 'created_at', 'updated_at', 'deleted_at', 'roles', 'groups'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+
+  const result = isPlainObject(target) ? { ...target } : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  });
+
+  return result;
+}
+
+function applyJsonPatch(user, operations) {
+  if (!Array.isArray(operations)) {
+    return { error: invalidPatch('un JSON Patch debe ser un array de operaciones') };
+  }
+
+  try {
+    const { newDocument } = jsonpatch.applyPatch(jsonpatch.deepClone(user), operations, true);
+    return { result: newDocument };
+  } catch (err) {
+    if (err.name === 'TEST_OPERATION_FAILED') {
+      return {
+        error: {
+          status: 409,
+          body: { error: 'patch_test_failed', message: 'Una operación test del patch no se cumplió' },
+        },
+      };
+    }
+
+    return { error: invalidPatch(err.message.split('\n')[0]) };
+  }
+}
+
+function invalidPatch(message) {
+  return { status: 400, body: { error: 'invalid_patch', message } };
+}
+
+/**
+ * Aplica el patch según el media type y devuelve { fields } con los campos editables resultantes,
+ * o { error: { status, body } } si no se puede aplicar.
+ */
+
+function applyUserPatch(mediaType, user, body) {
+  let result;
+
+  if (mediaType === MERGE_PATCH) {
+    result = applyMergePatch(user, body);
+  } else {
+    const applied = applyJsonPatch(user, body);
+    if (applied.error) return { error: applied.error };
+    result = applied.result;
+  }
+
+  if (!isPlainObject(result)) {
+    return { error: invalidPatch('el patch debe producir un objeto') };
+  }
+
+  const details = READ_ONLY_FIELDS
+    .filter((field) => JSON.stringify(result[field]) !== JSON.stringify(user[field]))
+    .map((field) => ({ field, code: 'read_only', message: 'el campo no se puede modificar' }));
+
+  const fields = Object.fromEntries(
+    Object.entries(result).filter(([key]) => !READ_ONLY_FIELDS.includes(key))
+  );
+
+  details.push(...validateUser('replace', fields));
+
+  if (details.length) {
+    return { error: { status: 400, body: validationErrorBody(details) } };
+  }
+
+  return { fields };
+}
+
+module.exports = {
+  MERGE_PATCH,
+  JSON_PATCH,
+  PATCH_MEDIA_TYPES,
+  applyMergePatch,
+  applyUserPatch,
+};
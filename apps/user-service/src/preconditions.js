@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Control de concurrencia optimista con ETag / If-Match / If-None-Match.
+ * El ETag es la versión del usuario, que sube en uno con cada escritura.
+ * Los registros viejos sin campo version se tratan como versión 1.
+ */
+
+function versionOf(user) {
+  return Number.isInteger(user.version) ? user.version : 1;
+}
+
+function etagFor(user) {
+  return `"${versionOf(user)}"`;
+}
+
+function parseEtagList(header) {
+  return String(header)
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
+// If-Match usa comparación fuerte: un ETag débil (W/"...") nunca coincide
+
+function ifMatchPasses(header, user) {
+  const etag = etagFor(user);
+  return parseEtagList(header).some((tag) => tag === '*' || tag === etag);
+}
+
+// If-None-Match usa comparación débil: ignoramos el prefijo W/
+
+function ifNoneMatchHits(header, user) {
+  const etag = etagFor(user);
+  return parseEtagList(header).some((tag) => tag === '*' || tag.replace(/^W\//, '') === etag);
+}
+
+/**
+ * Evalúa If-Match para una escritura sobre un usuario existente.
+ * Devuelve null si se puede seguir, o { status, body } con la respuesta de error.
+ */
+
+function checkIfMatch(req, user, { required = false } = {}) {
+  const header = req.get('if-match');
+
+  if (!header) {
+    if (!required) return null;
+
+    return {
+      status: 428,
+      body: {
+        error: 'precondition_required',
+        message: 'Esta operación requiere el header If-Match con el ETag actual del usuario',
+      },
+    };
+  }
+
+  if (ifMatchPasses(header, user)) return null;
+
+  return {
+    status: 412,
+    body: {
+      error: 'precondition_failed',
+      message: 'El usuario fue modificado por otra petición',
+      current_etag: etagFor(user),
+    },
+  };
+}
+
+module.exports = {
+  versionOf,
+  etagFor,
+  ifMatchPasses,
+  ifNoneMatchHits,
+  checkIfMatch,
+};
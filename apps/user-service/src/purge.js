@@ -0,0 +1,61 @@
+'use strict';
+
+const { USERS_DELETED_KEY, userKey } = require('./redis-keys');
+const listing = require('./listing');
+const { runWatched } = require('./transactions');
+const audit = require('./audit');
+
+/**
+ * Purge de usuarios con borrado lógico.
+ * Borra físicamente los usuarios cuyo deleted_at es más viejo que la retención configurada.
+ * Cada usuario se borra en su propia transacción vigilando la clave, así si alguien lo restaura
+ * mientras corre el purge (o dos réplicas purgan a la vez) no pasa nada raro.
+ * El historial de auditoría no se borra: queda con una última entrada "purged".
+ */
+
+const PURGE_BATCH = 100;
+
+async function purgeDeletedUsers(redisClient, { retentionMs, now = Date.now() }) {
+  const cutoff = now - retentionMs;
+  let purged = 0;
+
+  for (;;) {
+    const ids = await redisClient.zRange(USERS_DELETED_KEY, '-inf', cutoff, {
+      BY: 'SCORE',
+      LIMIT: { offset: 0, count: PURGE_BATCH },
+    });
+
+    if (!ids.length) break;
+
+    for (const id of ids) {
+      const removed = await runWatched(redisClient, [userKey(id)], async (conn) => {
+        const raw = await conn.get(userKey(id));
+        const user = raw ? JSON.parse(raw) : null;
+
+        // Si fue restaurado entre medio, solo limpiamos la entrada huérfana del sorted set
+
+        if (!user || !user.deleted_at) {
+          return { multi: conn.multi().zRem(USERS_DELETED_KEY, id), result: false };
+        }
+
+        const multi = conn
+          .multi()
+          .del(userKey(id))
+          .zRem(USERS_DELETED_KEY, id);
+
+        listing.removeFromIndexes(multi, user);
+        audit.recordChange(multi, { action: 'purged', context: audit.SYSTEM_CONTEXT, before: user, after: null });
+
+        return { multi, result: true };
+      });
+
+      if (removed) purged++;
+    }
+
+    if (ids.length < PURGE_BATCH) break;
+  }
+
+  return purged;
+}
+
+module.exports = { purgeDeletedUsers };
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Claves e índices que usamos en Redis.
+ * Los centralizamos acá para no repetir prefijos por todo el código.
+ */
+
+const REDIS_KEY_PREFIX = 'user:';
+const USERS_INDEX_KEY = 'users:index';
+
+// Índices secundarios (sorted sets lexicográficos) para listar paginado sin escanear todo
+
+const USERS_BY_CREATED_KEY = 'users:by_created';
+const USERS_BY_NAME_KEY = 'users:by_name';
+
+// Índice de unicidad email -> id (no empieza con "user:" para no mezclarse al escanear usuarios)
+
+const USERS_EMAIL_PREFIX = 'users:email:';
+
+// Usuarios con borrado lógico: sorted set id -> timestamp (ms) del borrado, lo usa el purge
+
+const USERS_DELETED_KEY = 'users:deleted';
+
+// Historial de auditoría: un stream por usuario. Sobrevive al purge, por eso no cuelga de "user:<id>"
+
+const USERS_HISTORY_PREFIX = 'users:history:';
+
+// Eventos de dominio (user.created, user.updated, user.deleted) para otros servicios
+
+const USERS_EVENTS_KEY = 'users:events';
+
+// Migraciones de datos: última migración aplicada, lock de la réplica que migra y checkpoint para retomar
+
+const USERS_SCHEMA_VERSION_KEY = 'users:schema_version';
+const USERS_MIGRATION_LOCK_KEY = 'users:migrations:lock';
+const USERS_MIGRATION_PROGRESS_KEY = 'users:migrations:progress';
+
+// Webhooks: registro por id, set con todos los ids, log de entregas, dead-letter y cola de reintentos
+// (sorted set delivery id -> timestamp ms del próximo intento)
+
+const WEBHOOKS_INDEX_KEY = 'webhooks:index';
+const WEBHOOKS_RETRY_KEY = 'webhooks:retry';
+
+// API keys: registro por id (con el hash, nunca el key en claro), set con todos los ids y último uso aparte,
+// para que marcar el uso no pise una revocación concurrente
+
+const API_KEYS_INDEX_KEY = 'apikeys:index';
+
+// Grupos: registro por id, set con todos los ids y, por grupo, los ids de sus miembros vivos
+// (sorted set con score 0, para paginar por id con ZRANGE BYLEX)
+
+const GROUPS_INDEX_KEY = 'groups:index';
+
+// Tenants que escribieron usuarios alguna vez, para los procesos que recorren todos (purge, migraciones)
+
+const TENANTS_INDEX_KEY = 'tenants:index';
+
+/**
+ * Claves compartidas entre tenants: el cliente de un tenant (tenancy.js) no les agrega prefijo.
+ * El stream de eventos y la cola de entregas de webhooks son uno solo (cada evento y entrega lleva su tenant),
+ * y una API key se busca por id sin saber de qué tenant es (el registro lo dice).
+ */
+
+const SHARED_KEYS = [USERS_EVENTS_KEY, WEBHOOKS_RETRY_KEY, TENANTS_INDEX_KEY];
+const SHARED_KEY_PREFIXES = ['webhooks:delivery:', 'webhooks:lock:', 'apikeys:key:', 'apikeys:last_used:'];
+
+function isSharedKey(key) {
+  return SHARED_KEYS.includes(key) || SHARED_KEY_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
+
+function userKey(id) {
+  return `${REDIS_KEY_PREFIX}${id}`;
+}
+
+function historyKey(id) {
+  return `${USERS_HISTORY_PREFIX}${id}`;
+}
+
+function webhookKey(id) {
+  return `webhooks:hook:${id}`;
+}
+
+function webhookLogKey(id) {
+  return `webhooks:log:${id}`;
+}
+
+function webhookDeadLetterKey(id) {
+  return `webhooks:dead_letter:${id}`;
+}
+
+function deliveryKey(id) {
+  return `webhooks:delivery:${id}`;
+}
+
+function deliveryLockKey(id) {
+  return `webhooks:lock:${id}`;
+}
+
+function apiKeyKey(id) {
+  return `apikeys:key:${id}`;
+}
+
+function apiKeyLastUsedKey(id) {
+  return `apikeys:last_used:${id}`;
+}
+
+function groupKey(id) {
+  return `groups:group:${id}`;
+}
+
+function groupMembersKey(id) {
+  return `groups:members:${id}`;
+}
+
+module.exports = {
+  REDIS_KEY_PREFIX,
+  USERS_INDEX_KEY,
+  USERS_BY_CREATED_KEY,
+  USERS_BY_NAME_KEY,
+  USERS_EMAIL_PREFIX,
+  USERS_DELETED_KEY,
+  USERS_HISTORY_PREFIX,
+  USERS_EVENTS_KEY,
+  USERS_SCHEMA_VERSION_KEY,
+  USERS_MIGRATION_LOCK_KEY,
+  USERS_MIGRATION_PROGRESS_KEY,
+  WEBHOOKS_INDEX_KEY,
+  WEBHOOKS_RETRY_KEY,
+  API_KEYS_INDEX_KEY,
+  GROUPS_INDEX_KEY,
+  TENANTS_INDEX_KEY,
+  isSharedKey,
+  userKey,
+  historyKey,
+  webhookKey,
+  webhookLogKey,
+  webhookDeadLetterKey,
+  deliveryKey,
+  deliveryLockKey,
+  apiKeyKey,
+  apiKeyLastUsedKey,
+  groupKey,
+  groupMembersKey,
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Worker de ejemplo que consume los eventos de usuarios con un consumer group y los loguea.
+ * Sirve como punto de partida para otros equipos: reemplazar handleEvent por la lógica propia.
+ *
+ * Uso:
+ *   EVENTS_GROUP=mi-equipo npm run events:worker
+ *   npm run events:worker -- --replay [desde-id]   (recorre el stream sin grupo y termina)
+ */
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const os = require('os');
+const { createClient } = require('redis');
+const { createLogger, format, transports } = require('winston');
+const { ensureGroup, createEventConsumer, replay } = require('../event-consumer');
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(format.timestamp(), format.json()),
+  defaultMeta: { service: 'user-service', job: 'events-worker' },
+  transports: [new transports.Console()],
+});
+
+const GROUP = process.env.EVENTS_GROUP || 'events-worker';
+const CONSUMER = process.env.EVENTS_CONSUMER || os.hostname();
+
+async function handleEvent(event) {
+  logger.info('evento recibido', {
+    event_id: event.id,
+    type: event.type,
+    subject: event.subject,
+    stream_id: event.stream_id,
+  });
+}
+
+async function main() {
+  const redisClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  redisClient.on('error', (err) => logger.error('error en redis', { error: err.message }));
+
+  await redisClient.connect();
+
+  const replayIndex = process.argv.indexOf('--replay');
+
+  if (replayIndex !== -1) {
+    const count = await replay(redisClient, { from: process.argv[replayIndex + 1] || '-', handler: handleEvent });
+    logger.info('replay terminado', { events: count });
+    await redisClient.quit();
+    return;
+  }
+
+  // Un grupo nuevo arranca desde el principio del stream para no perder eventos previos
+  await ensureGroup(redisClient, GROUP, '0');
+
+  const consumer = createEventConsumer({
+    redisClient,
+    group: GROUP,
+    consumer: CONSUMER,
+    handler: handleEvent,
+    logger,
+  });
+
+  const shutdown = async (signal) => {
+    logger.info('apagando worker', { signal });
+    await consumer.stop();
+    await redisClient.quit();
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  logger.info('worker escuchando eventos', { group: GROUP, consumer: CONSUMER });
+
+  await consumer.start();
+}
+
+main().catch((err) => {
+  logger.error('falló el worker de eventos', { error: err.message });
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Corre las migraciones de datos pendientes (src/migrations) sobre los usuarios en Redis.
+ * En Kubernetes corre como Job antes del rollout (k8s/base/user-service-migrate-job.yaml).
+ *
+ * Uso: REDIS_URL=redis://... npm run migrate [-- --dry-run | --status]
+ *   --dry-run  recorre todo y cuenta cuántos usuarios cambiaría cada migración, sin escribir
+ *   --status   muestra la versión actual, las migraciones pendientes y si hay una corrida a medias
+ *
+ * Migra tenant por tenant (cada uno tiene su versión, su lock y su checkpoint).
+ * Sale con código 2 si otra réplica tiene el lock: hay que esperar a que termine o a que venza el TTL.
+ */
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const { createClient } = require('redis');
+const { createLogger, format, transports } = require('winston');
+const { runMigrations, migrationStatus } = require('../migrate');
+const { createTenantClient, listTenants } = require('../tenancy');
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(format.timestamp(), format.json()),
+  defaultMeta: { service: 'user-service', job: 'migrate' },
+  transports: [new transports.Console()],
+});
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const STATUS = process.argv.includes('--status');
+
+// Usuarios por lote (y por checkpoint) y TTL del lock, que se renueva después de cada lote
+
+const MIGRATION_BATCH_SIZE = parseInt(process.env.MIGRATION_BATCH_SIZE || '100', 10);
+const MIGRATION_LOCK_TTL_MS = parseInt(process.env.MIGRATION_LOCK_TTL_MS || '60000', 10);
+
+async function migrateTenant(redisClient, tenant) {
+  if (STATUS) {
+    logger.info('estado de las migraciones', { tenant, ...(await migrationStatus(redisClient)) });
+    return;
+  }
+
+  const report = await runMigrations(redisClient, {
+    dryRun: DRY_RUN,
+    batchSize: MIGRATION_BATCH_SIZE,
+    lockTtlMs: MIGRATION_LOCK_TTL_MS,
+    onProgress: (progress) => logger.info('lote migrado', { tenant, dry_run: DRY_RUN, ...progress }),
+  });
+
+  if (!report.migrations.length) {
+    logger.info('no hay migraciones pendientes', { tenant, schema_version: report.from });
+    return;
+  }
+
+  report.migrations.forEach((migration) => {
+    logger.info(DRY_RUN ? 'migración simulada' : 'migración aplicada', { tenant, dry_run: DRY_RUN, ...migration });
+  });
+
+  logger.info(DRY_RUN ? 'dry-run terminado, no se escribió nada' : 'migraciones aplicadas', {
+    tenant,
+    from: report.from,
+    to: report.to,
+    scanned: report.scanned,
+    corrupt: report.corrupt,
+    resumed: report.resumed,
+  });
+}
+
+async function main() {
+  const redisClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  redisClient.on('error', (err) => logger.error('error en redis', { error: err.message }));
+
+  await redisClient.connect();
+
+  try {
+    for (const tenant of await listTenants(redisClient)) {
+      await migrateTenant(createTenantClient(redisClient, tenant), tenant);
+    }
+  } finally {
+    await redisClient.quit();
+  }
+}
+
+main().catch((err) => {
+  if (err.code === 'MIGRATION_LOCKED') {
+    logger.warn('otra réplica está migrando', { error: err.message });
+    process.exit(2);
+  }
+
+  logger.error('falló la migración', { error: err.message, code: err.code });
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Rebuild one-off del índice de emails (users:email:<email> -> id).
+ * Recorre todas las claves user:* de cada tenant y completa el índice para datos creados antes de que existiera.
+ *
+ * Uso: REDIS_URL=redis://... npm run rebuild:email-index
+ * Sale con código 2 si encontró emails duplicados que hay que resolver a mano.
+ */
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const { createClient } = require('redis');
+const { createLogger, format, transports } = require('winston');
+const { rebuildEmailIndex } = require('../email-index');
+const { createTenantClient, listTenants } = require('../tenancy');
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(format.timestamp(), format.json()),
+  defaultMeta: { service: 'user-service', job: 'rebuild-email-index' },
+  transports: [new transports.Console()],
+});
+
+async function main() {
+  const redisClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  redisClient.on('error', (err) => logger.error('error en redis', { error: err.message }));
+
+  await redisClient.connect();
+
+  try {
+    let conflicts = 0;
+
+    for (const tenant of await listTenants(redisClient)) {
+      const report = await rebuildEmailIndex(createTenantClient(redisClient, tenant));
+
+      logger.info('índice de emails reconstruido', {
+        tenant,
+        scanned: report.scanned,
+        indexed: report.indexed,
+        conflicts: report.conflicts.length,
+      });
+
+      report.conflicts.forEach((conflict) => {
+        logger.warn('email duplicado en datos existentes', { tenant, ...conflict });
+      });
+
+      conflicts += report.conflicts.length;
+    }
+
+    process.exitCode = conflicts ? 2 : 0;
+  } finally {
+    await redisClient.quit();
+  }
+}
+
+main().catch((err) => {
+  logger.error('falló el rebuild del índice de emails', { error: err.message });
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Receptor de webhooks para pruebas locales. Guarda lo que recibe, verifica la firma y loguea.
+ * También lo usan los tests como stand-in del endpoint de un cliente.
+ *
+ * Uso: WEBHOOK_SECRET=whsec_... PORT=4000 npm run webhooks:receiver
+ *      RESPOND_STATUS=500 para simular un receptor caído y ver los reintentos.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { signPayload } = require('../webhooks');
+
+function verifySignature(secret, headers, body) {
+  const expected = signPayload(secret, headers['x-webhook-timestamp'], body);
+  const received = String(headers['x-webhook-signature'] || '');
+
+  return received.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+/**
+ * Crea el servidor (sin escuchar). respond(request) decide el status de cada respuesta.
+ */
+
+function createWebhookReceiver({ secret, respond = () => 200 } = {}) {
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = {
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null,
+        signature_valid: secret ? verifySignature(secret, req.headers, body) : null,
+      };
+
+      received.push(request);
+
+      res.statusCode = respond(request);
+      res.end();
+    });
+  });
+
+  server.received = received;
+
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT || '4000', 10);
+  const status = parseInt(process.env.RESPOND_STATUS || '200', 10);
+
+  const server = createWebhookReceiver({
+    secret: process.env.WEBHOOK_SECRET,
+    respond: (request) => {
+      console.log(JSON.stringify({
+        event: request.headers['x-webhook-event'],
+        delivery: request.headers['x-webhook-delivery'],
+        signature_valid: request.signature_valid,
+        body: request.body,
+      }));
+      return status;
+    },
+  });
+
+  server.listen(port, () => console.log(`receptor de webhooks escuchando en :${port}`));
+}
+
+module.exports = { createWebhookReceiver, verifySignature };
@@ -0,0 +1,197 @@
+'use strict';
+
+const { parseListQuery } = require('../listing');
+const { parseHistoryQuery } = require('../audit');
+
+/**
+ * Suite de conformidad del repositorio de usuarios (contrato en storage/index.js).
+ * index.test.js la corre contra cada driver: un driver que se aparta del resto falla acá.
+ */
+
+const CONTEXT = { actor: 'conformance', requestId: 'req-1' };
+
+function userFixture(id, fields = {}) {
+  return {
+    id,
+    name: `Usuario ${id}`,
+    email: `${id}@test.com`,
+    version: 1,
+    created_at: '2024-01-01T10:00:00.000Z',
+    updated_at: '2024-01-01T10:00:00.000Z',
+    ...fields,
+  };
+}
+
+function describeUserStore(driver, createStore) {
+  describe(`Storage - driver ${driver}`, () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+    });
+
+    const write = (id, action, change) => store.save(id, (existing) => ({
+      action,
+      user: change(existing),
+      result: true,
+    }), { context: CONTEXT });
+
+    const create = (user) => write(user.id, 'created', () => user);
+    const update = (id, fields) => write(id, 'updated', (existing) => ({ ...existing, ...fields, version: existing.version + 1 }));
+    const remove = (id, at = new Date()) => write(id, 'deleted', (existing) => ({
+      ...existing,
+      version: existing.version + 1,
+      deleted_at: at.toISOString(),
+    }));
+    const restore = (id) => write(id, 'restored', (existing) => {
+      const restored = { ...existing, version: existing.version + 1 };
+      delete restored.deleted_at;
+      return restored;
+    });
+
+    const list = async (query) => {
+      const { options } = parseListQuery(query);
+      const page = await store.list(options, { maxScan: 1000 });
+      return { ids: page.users.map((user) => user.id), nextCursor: page.nextCursor };
+    };
+
+    test('save guarda el usuario y get devuelve una copia', async () => {
+      await create(userFixture('u1'));
+
+      const user = await store.get('u1');
+      expect(user).toEqual(userFixture('u1'));
+
+      user.name = 'Otro';
+      expect((await store.get('u1')).name).toBe('Usuario u1');
+      expect(await store.get('nope')).toBeNull();
+      expect(await store.count()).toBe(1);
+    });
+
+    test('si decide no devuelve action no se escribe nada y save resuelve con result', async () => {
+      const result = await store.save('u1', (existing) => ({ result: { status: existing ? 200 : 404 } }), { context: CONTEXT });
+
+      expect(result).toEqual({ status: 404 });
+      expect(await store.get('u1')).toBeNull();
+      expect(await store.exists('u1')).toBe(false);
+    });
+
+    test('un email de otro usuario tira DUPLICATE_EMAIL sin importar mayúsculas', async () => {
+      await create(userFixture('u1', { email: 'ana@test.com' }));
+
+      await expect(create(userFixture('u2', { email: ' ANA@Test.com' }))).rejects.toMatchObject({ code: 'DUPLICATE_EMAIL' });
+      expect(await store.get('u2')).toBeNull();
+
+      // Cambiar solo mayúsculas del propio email no es un conflicto, y cambiarlo libera el anterior
+      await update('u1', { email: 'Ana@test.com' });
+      await update('u1', { email: 'ana.nueva@test.com' });
+      await create(userFixture('u2', { email: 'ana@test.com' }));
+
+      await expect(update('u2', { email: 'ANA.NUEVA@test.com' })).rejects.toMatchObject({ code: 'DUPLICATE_EMAIL' });
+      expect((await store.get('u2')).email).toBe('ana@test.com');
+    });
+
+    test('el borrado lógico libera el email y restore lo vuelve a reservar', async () => {
+      await create(userFixture('u1', { email: 'ana@test.com' }));
+      await remove('u1');
+
+      expect((await store.get('u1')).deleted_at).toBeDefined();
+      expect(await store.count()).toBe(0);
+
+      await create(userFixture('u2', { email: 'ana@test.com' }));
+      await expect(restore('u1')).rejects.toMatchObject({ code: 'DUPLICATE_EMAIL' });
+
+      await remove('u2');
+      await restore('u1');
+
+      expect((await store.get('u1')).deleted_at).toBeUndefined();
+      expect(await store.count()).toBe(1);
+      await expect(create(userFixture('u3', { email: 'ana@test.com' }))).rejects.toMatchObject({ code: 'DUPLICATE_EMAIL' });
+    });
+
+    test('list pagina con cursor en los dos órdenes y aplica los filtros', async () => {
+      const names = ['Carla', 'ana', 'Beto', 'Dario', 'Ana'];
+      for (const [i, name] of names.entries()) {
+        await create(userFixture(`u${i}`, { name, created_at: `2024-01-0${i + 1}T10:00:00.000Z` }));
+      }
+      await remove('u3');
+
+      const first = await list({ limit: '2' });
+      expect(first.ids).toEqual(['u0', 'u1']);
+
+      const second = await list({ limit: '2', cursor: first.nextCursor });
+      expect(second.ids).toEqual(['u2', 'u4']);
+      expect(second.nextCursor).toBeNull();
+
+      const byName = await list({ sort: 'name', order: 'desc', limit: '2' });
+      expect(byName.ids).toEqual(['u0', 'u2']);
+      expect((await list({ sort: 'name', order: 'desc', cursor: byName.nextCursor })).ids).toEqual(['u4', 'u1']);
+
+      expect((await list({ name: 'AN' })).ids).toEqual(['u1', 'u4']);
+      expect((await list({ created_from: '2024-01-02T00:00:00Z', created_to: '2024-01-04T23:00:00Z' })).ids).toEqual(['u1', 'u2']);
+      expect((await list({ include_deleted: 'true', sort: 'name' })).ids).toEqual(['u1', 'u4', 'u2', 'u0', 'u3']);
+    });
+
+    test('iterate recorre en orden de alta y saltea los borrados salvo que se pidan', async () => {
+      await create(userFixture('u2', { created_at: '2024-01-02T10:00:00.000Z' }));
+      await create(userFixture('u1', { created_at: '2024-01-01T10:00:00.000Z' }));
+      await create(userFixture('u3', { created_at: '2024-01-03T10:00:00.000Z' }));
+      await remove('u2');
+
+      const ids = async (options) => {
+        const seen = [];
+        for await (const user of store.iterate(options)) seen.push(user.id);
+        return seen;
+      };
+
+      expect(await ids()).toEqual(['u1', 'u3']);
+      expect(await ids({ includeDeleted: true })).toEqual(['u1', 'u2', 'u3']);
+    });
+
+    test('history guarda cada cambio con su diff, actor y versión, y pagina con cursor', async () => {
+      await create(userFixture('u1', { name: 'Ana' }));
+      await update('u1', { name: 'Ana María' });
+      await remove('u1');
+
+      const { options } = parseHistoryQuery({ limit: '2' });
+      const first = await store.history('u1', options);
+
+      expect(first.entries.map((entry) => entry.action)).toEqual(['created', 'updated']);
+      expect(first.entries[1]).toMatchObject({
+        actor: 'conformance',
+        request_id: 'req-1',
+        version: 2,
+        changes: [{ field: 'name', before: 'Ana', after: 'Ana María' }],
+      });
+
+      const second = await store.history('u1', { ...options, cursor: first.nextCursor });
+      expect(second.entries.map((entry) => entry.action)).toEqual(['deleted']);
+      expect(second.nextCursor).toBeNull();
+
+      const future = parseHistoryQuery({ from: new Date(Date.now() + 60000).toISOString() }).options;
+      expect((await store.history('u1', future)).entries).toEqual([]);
+      expect((await store.history('nope', options)).entries).toEqual([]);
+    });
+
+    test('purgeDeleted borra solo los borrados más viejos que la retención y deja el historial', async () => {
+      const hour = 60 * 60 * 1000;
+
+      await create(userFixture('u1'));
+      await create(userFixture('u2'));
+      await create(userFixture('u3'));
+      await remove('u1', new Date(Date.now() - 2 * hour));
+      await remove('u2');
+
+      expect(await store.purgeDeleted({ retentionMs: hour })).toBe(1);
+
+      expect(await store.get('u1')).toBeNull();
+      expect(await store.get('u2')).not.toBeNull();
+      expect(await store.exists('u1')).toBe(true);
+      expect((await list({ include_deleted: 'true' })).ids).toEqual(['u2', 'u3']);
+
+      const { entries } = await store.history('u1', parseHistoryQuery({}).options);
+      expect(entries.map((entry) => entry.action)).toEqual(['created', 'deleted', 'purged']);
+    });
+  });
+}
+
+module.exports = { describeUserStore };
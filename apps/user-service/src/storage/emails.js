@@ -0,0 +1,32 @@
+'use strict';
+
+const { sameEmail } = require('../email-index');
+
+/**
+ * Qué email reserva y cuál libera cada cambio de un usuario, igual para todos los drivers.
+ * Un usuario vivo tiene su email reservado; uno borrado (o purgado, after = null) no.
+ */
+
+function heldEmail(user) {
+  return user && !user.deleted_at ? user.email : null;
+}
+
+function emailToClaim(before, after) {
+  const next = heldEmail(after);
+  const previous = heldEmail(before);
+  return next && !(previous && sameEmail(previous, next)) ? next : null;
+}
+
+function emailToRelease(before, after) {
+  const previous = heldEmail(before);
+  const next = heldEmail(after);
+  return previous && !(next && sameEmail(previous, next)) ? previous : null;
+}
+
+function duplicateEmail(email) {
+  const err = new Error(`ya existe un usuario con el email ${email}`);
+  err.code = 'DUPLICATE_EMAIL';
+  return err;
+}
+
+module.exports = { emailToClaim, emailToRelease, duplicateEmail };
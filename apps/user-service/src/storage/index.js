@@ -0,0 +1,45 @@
+'use strict';
+
+const { createRedisUserStore } = require('./redis');
+const { createMemoryUserStore } = require('./memory');
+
+/**
+ * Repositorio de usuarios. Los handlers no conocen las claves ni los comandos del backend, solo este contrato,
+ * que storage/conformance.js prueba contra cada driver:
+ *
+ *   get(id)                            el usuario (también si tiene borrado lógico) o null
+ *   save(id, decide, { context, watch })
+ *                                      lee el usuario y llama a decide(existing), que devuelve { result } para no
+ *                                      escribir o { action, user, result } para guardar user (null borra del todo).
+ *                                      Índices, email reservado, historial y eventos salen del cambio; un email
+ *                                      de otro usuario tira DUPLICATE_EMAIL. Resuelve con result. watch son
+ *                                      otras claves de Redis que decide lee: si cambian, la escritura se repite
+ *                                      (el driver memory las ignora, sus escrituras ya van de a una).
+ *   count()                            usuarios vivos
+ *   list(options, { maxScan })         una página de GET /users (options de listing.parseListQuery)
+ *   iterate({ includeDeleted })        todos los usuarios en orden de alta (async iterator)
+ *   history(id, options)               una página del historial (options de audit.parseHistoryQuery)
+ *   exists(id)                         si el usuario existe o tiene historial (sigue después del purge)
+ *   purgeDeleted({ retentionMs, now }) borra los borrados más viejos que la retención; devuelve cuántos
+ *   indexesOutOfSync(), rebuildIndexes(), ping()
+ *
+ * action es created | updated | deleted | restored | purged y queda en el historial con context.
+ * Cada store es de un solo tenant (createUserStore({ tenant })): no ve ni escribe datos de otro.
+ */
+
+const DRIVERS = {
+  redis: createRedisUserStore,
+  memory: createMemoryUserStore,
+};
+
+function createUserStore({ driver = 'redis', ...options }) {
+  if (!DRIVERS[driver]) {
+    const err = new Error(`driver de storage desconocido: ${driver}; válidos: ${Object.keys(DRIVERS).join(', ')}`);
+    err.code = 'INVALID_STORAGE_DRIVER';
+    throw err;
+  }
+
+  return DRIVERS[driver](options);
+}
+
+module.exports = { createUserStore, DRIVERS };
@@ -0,0 +1,169 @@
+'use strict';
+
+const listing = require('../listing');
+const { normalizeEmail } = require('../email-index');
+const audit = require('../audit');
+const { emailToClaim, emailToRelease, duplicateEmail } = require('./emails');
+
+/**
+ * Driver en memoria del repositorio de usuarios, para desarrollo local y tests: no necesita Redis.
+ * Guarda lo mismo que el driver redis (usuarios serializados, emails reservados, borrados e historial)
+ * y arma los cursores de listado e historial con el mismo formato.
+ *
+ * No publica eventos de dominio: sin el stream de Redis no hay quien los consuma. Los datos se pierden
+ * al reiniciar y cada réplica tiene los suyos.
+ */
+
+// Campo de listing.indexMembers que ordena cada sort de GET /users
+
+const MEMBER_BY_SORT = { created_at: 'created', name: 'name' };
+
+// "1700000000000-3" -> [1700000000000, 3], para comparar ids de entradas como lo hace XRANGE
+
+const entryKey = (id) => id.split('-').map(Number);
+const compareEntries = (a, b) => a[0] - b[0] || a[1] - b[1];
+
+function createMemoryUserStore() {
+  const users = new Map();
+  const emails = new Map();
+  const deleted = new Map();
+  const histories = new Map();
+  let lastEntry = [0, 0];
+  let queue = Promise.resolve();
+
+  const read = (id) => (users.has(id) ? JSON.parse(users.get(id)) : null);
+  const all = () => [...users.values()].map((raw) => JSON.parse(raw));
+
+  // Ids de entrada crecientes aunque dos cambios caigan en el mismo milisegundo, como los de un stream
+
+  function appendHistory(id, message) {
+    const now = Math.max(Date.now(), lastEntry[0]);
+    lastEntry = [now, now === lastEntry[0] ? lastEntry[1] + 1 : 0];
+
+    if (!histories.has(id)) histories.set(id, []);
+    histories.get(id).push({ id: lastEntry.join('-'), message });
+  }
+
+  function apply(id, { action, context, before, after }) {
+    const released = emailToRelease(before, after);
+    const claimed = emailToClaim(before, after);
+
+    if (released) emails.delete(normalizeEmail(released));
+    if (claimed) emails.set(normalizeEmail(claimed), id);
+
+    if (after) users.set(id, JSON.stringify(after));
+    else users.delete(id);
+
+    if (after && after.deleted_at) deleted.set(id, Date.parse(after.deleted_at));
+    else deleted.delete(id);
+
+    appendHistory(id, audit.changeMessage({ action, context, before, after }));
+  }
+
+  async function write(id, decide, context) {
+    const existing = read(id);
+    const { action, user, result } = await decide(existing);
+
+    if (!action) return result;
+
+    const claimed = emailToClaim(existing, user);
+    const owner = claimed && emails.get(normalizeEmail(claimed));
+
+    if (owner && owner !== id) throw duplicateEmail(claimed);
+
+    apply(id, { action, context, before: existing, after: user });
+    return result;
+  }
+
+  /**
+   * Las escrituras van de a una, como la transacción del driver redis: ninguna lee el usuario
+   * mientras otra está entre su lectura y su escritura.
+   */
+
+  function save(id, decide, { context }) {
+    const run = queue.then(() => write(id, decide, context));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function sortedByMember(sort, order) {
+    const direction = order === 'desc' ? -1 : 1;
+
+    return all()
+      .map((user) => ({ user, member: listing.indexMembers(user)[MEMBER_BY_SORT[sort]] }))
+      .sort((a, b) => (a.member < b.member ? -1 : a.member > b.member ? 1 : 0) * direction);
+  }
+
+  async function list(options) {
+    const after = (member) => (options.order === 'desc' ? member < options.cursor : member > options.cursor);
+
+    const found = sortedByMember(options.sort, options.order)
+      .filter(({ member }) => !options.cursor || after(member))
+      .filter(({ user }) => listing.matchesFilters(user, options));
+
+    const page = found.slice(0, options.limit);
+
+    return {
+      users: page.map((entry) => entry.user),
+      nextCursor: found.length > options.limit
+        ? listing.encodeCursor({ s: options.sort, o: options.order, m: page[page.length - 1].member })
+        : null,
+    };
+  }
+
+  async function* iterate({ includeDeleted = false } = {}) {
+    for (const { user } of sortedByMember('created_at', 'asc')) {
+      if (user.deleted_at && !includeDeleted) continue;
+      yield user;
+    }
+  }
+
+  async function history(id, { limit, from, to, cursor }) {
+    const start = cursor ? entryKey(cursor) : null;
+
+    const entries = (histories.get(id) || []).filter((entry) => {
+      const key = entryKey(entry.id);
+      if (start ? compareEntries(key, start) <= 0 : from !== null && key[0] < from) return false;
+      return to === null || key[0] <= to;
+    });
+
+    const page = entries.slice(0, limit).map(audit.toEntry);
+
+    return {
+      entries: page,
+      nextCursor: entries.length > limit ? page[page.length - 1].id : null,
+    };
+  }
+
+  async function purgeDeleted({ retentionMs, now = Date.now() }) {
+    const cutoff = now - retentionMs;
+    const due = [...deleted.entries()].filter(([, at]) => at <= cutoff).map(([id]) => id);
+    let purged = 0;
+
+    for (const id of due) {
+      const removed = await save(id, (existing) => (
+        existing && existing.deleted_at ? { action: 'purged', user: null, result: true } : { result: false }
+      ), { context: audit.SYSTEM_CONTEXT });
+
+      if (removed) purged++;
+    }
+
+    return purged;
+  }
+
+  return {
+    get: async (id) => read(id),
+    save,
+    count: async () => users.size - deleted.size,
+    list,
+    iterate,
+    history,
+    exists: async (id) => users.has(id) || histories.has(id),
+    purgeDeleted,
+    indexesOutOfSync: async () => false,
+    rebuildIndexes: async () => 0,
+    ping: async () => 'PONG',
+  };
+}
+
+module.exports = { createMemoryUserStore };
@@ -0,0 +1,134 @@
+'use strict';
+
+const { USERS_INDEX_KEY, USERS_DELETED_KEY, TENANTS_INDEX_KEY, userKey, historyKey } = require('../redis-keys');
+const listing = require('../listing');
+const emailIndex = require('../email-index');
+const audit = require('../audit');
+const events = require('../events');
+const groups = require('../groups');
+const { runWatched } = require('../transactions');
+const { DEFAULT_TENANT, createTenantClient } = require('../tenancy');
+const { purgeDeletedUsers } = require('../purge');
+const { emailToClaim, emailToRelease, duplicateEmail } = require('./emails');
+
+/**
+ * Driver redis del repositorio de usuarios: el usuario en user:<id>, users:index con los vivos,
+ * users:deleted con los borrados, los índices de listado y de miembros de grupos, users:email:<email> y el historial
+ * en un stream.
+ * Cada cambio escribe todo eso, la entrada de auditoría y el evento de dominio en un solo MULTI.
+ * Con tenant, todas esas claves llevan el prefijo del tenant (ver tenancy.js) salvo el stream de eventos.
+ */
+
+// Un restore se publica como user.updated (deleted_at pasa a null en los changes). El purge no publica nada.
+
+const EVENT_TYPE_BY_ACTION = {
+  created: events.EVENT_TYPES.created,
+  updated: events.EVENT_TYPES.updated,
+  restored: events.EVENT_TYPES.updated,
+  deleted: events.EVENT_TYPES.deleted,
+};
+
+async function readUser(conn, id) {
+  const raw = await conn.get(userKey(id));
+  return raw ? JSON.parse(raw) : null;
+}
+
+function queueChange(multi, { id, tenant, action, context, before, after }) {
+  multi.sAdd(TENANTS_INDEX_KEY, tenant);
+
+  if (after) {
+    multi.set(userKey(id), JSON.stringify(after));
+
+    if (after.deleted_at) {
+      multi
+        .sRem(USERS_INDEX_KEY, id)
+        .zAdd(USERS_DELETED_KEY, { score: Date.parse(after.deleted_at), value: id });
+    } else {
+      multi.sAdd(USERS_INDEX_KEY, id);
+      if (before && before.deleted_at) multi.zRem(USERS_DELETED_KEY, id);
+    }
+  } else {
+    multi.del(userKey(id)).sRem(USERS_INDEX_KEY, id).zRem(USERS_DELETED_KEY, id);
+  }
+
+  // Si cambió el nombre hay que mover la entrada en el índice por nombre
+
+  if (before) listing.removeFromIndexes(multi, before);
+  if (after) listing.addToIndexes(multi, after);
+
+  groups.queueMembershipChange(multi, id, before, after);
+
+  const released = emailToRelease(before, after);
+  const claimed = emailToClaim(before, after);
+
+  if (released) emailIndex.releaseEmail(multi, released);
+  if (claimed) emailIndex.claimEmail(multi, claimed, id);
+
+  audit.recordChange(multi, { action, context, before, after });
+
+  if (EVENT_TYPE_BY_ACTION[action]) {
+    events.publishEvent(multi, EVENT_TYPE_BY_ACTION[action], {
+      tenant,
+      user: after,
+      changes: audit.diffUser(before, after),
+      context,
+    });
+  }
+}
+
+function createRedisUserStore({ redisClient: sharedClient, tenant = DEFAULT_TENANT }) {
+  const redisClient = createTenantClient(sharedClient, tenant);
+
+  /**
+   * Lee el usuario vigilando su clave y, si decide devuelve un cambio, lo escribe en el MULTI.
+   * El email que el cambio reserva también se vigila: dos altas con el mismo email no pueden pasar las dos.
+   * watch son otras claves del tenant de las que depende decide (por ejemplo, el grupo al que se agrega el usuario).
+   */
+
+  async function save(id, decide, { context, watch = [] }) {
+    const outcome = await runWatched(redisClient, [userKey(id), ...watch], async (conn) => {
+      const existing = await readUser(conn, id);
+      const { action, user, result } = await decide(existing);
+
+      if (!action) return { result: { result } };
+
+      const claimed = emailToClaim(existing, user);
+
+      if (claimed) {
+        await conn.watch(emailIndex.emailKey(claimed));
+
+        const owner = await conn.get(emailIndex.emailKey(claimed));
+        if (owner && owner !== id) return { result: { duplicate: claimed } };
+      }
+
+      const multi = conn.multi();
+      queueChange(multi, { id, tenant, action, context, before: existing, after: user });
+
+      return { multi, result: { result } };
+    });
+
+    if (outcome.duplicate) throw duplicateEmail(outcome.duplicate);
+
+    return outcome.result;
+  }
+
+  async function exists(id) {
+    return (await redisClient.exists([historyKey(id), userKey(id)])) > 0;
+  }
+
+  return {
+    get: (id) => readUser(redisClient, id),
+    save,
+    count: () => redisClient.sCard(USERS_INDEX_KEY),
+    list: (options, { maxScan } = {}) => listing.listUsers(redisClient, options, { maxScan }),
+    iterate: (options) => listing.iterateUsers(redisClient, options),
+    history: (id, options) => audit.readHistory(redisClient, id, options),
+    exists,
+    purgeDeleted: (options) => purgeDeletedUsers(redisClient, options),
+    indexesOutOfSync: () => listing.listIndexesOutOfSync(redisClient),
+    rebuildIndexes: () => listing.rebuildListIndexes(redisClient),
+    ping: () => redisClient.ping(),
+  };
+}
+
+module.exports = { createRedisUserStore };
@@ -0,0 +1,116 @@
+'use strict';
+
+const { TENANTS_INDEX_KEY, isSharedKey } = require('./redis-keys');
+
+/**
+ * Multi-tenancy.
+ *
+ * El api-gateway resuelve el tenant (claim del JWT, API key o host) y lo manda en X-Tenant-ID; el header del
+ * cliente nunca llega, así que acá se confía en él. Sin header el request es del tenant default.
+ *
+ * Cada tenant tiene sus claves con el prefijo "t:<tenant>:" (user:<id>, users:index, índices, historial, webhooks...).
+ * El tenant default usa las claves sin prefijo, las mismas que antes de que hubiera tenants.
+ * Los módulos no saben nada de esto: reciben el cliente de su tenant, que agrega el prefijo a cada clave.
+ */
+
+const TENANT_HEADER = 'x-tenant-id';
+const DEFAULT_TENANT = 'default';
+const TENANT_ID_FORMAT = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Comandos cuyo primer argumento es una clave o un array de claves
+
+const KEY_COMMANDS = new Set([
+  'get', 'set', 'del', 'exists', 'mGet', 'watch', 'pExpire',
+  'sAdd', 'sRem', 'sMembers', 'sCard', 'sScan',
+  'zAdd', 'zRem', 'zCard', 'zRange', 'zScan',
+  'xAdd', 'xRange',
+  'lPush', 'lTrim', 'lRange',
+]);
+
+// Comandos y métodos que no tocan claves
+
+const KEYLESS_COMMANDS = new Set(['unwatch', 'ping', 'exec', 'on', 'quit']);
+
+function isValidTenant(tenant) {
+  return typeof tenant === 'string' && TENANT_ID_FORMAT.test(tenant);
+}
+
+function tenantOf(req) {
+  return req.get(TENANT_HEADER) || DEFAULT_TENANT;
+}
+
+function tenantKeyPrefix(tenant) {
+  return tenant === DEFAULT_TENANT ? '' : `t:${tenant}:`;
+}
+
+/**
+ * Envuelve un cliente, un multi() o la conexión de executeIsolated. Un comando que no está en las listas
+ * tira en vez de pasar sin prefijo: preferimos un error a leer las claves de otro tenant.
+ */
+
+function scope(target, prefix) {
+  const scopeKey = (key) => (isSharedKey(key) ? key : `${prefix}${key}`);
+  const scopeKeys = (keys) => (Array.isArray(keys) ? keys.map(scopeKey) : scopeKey(keys));
+
+  const scoped = new Proxy(target, {
+    get(obj, name) {
+      const value = obj[name];
+
+      if (typeof value !== 'function') return value;
+
+      // Los comandos de un multi() devuelven el multi para encadenar: devolvemos el proxy
+
+      const chained = (result) => (result === obj ? scoped : result);
+
+      if (KEY_COMMANDS.has(name)) return (keys, ...args) => chained(value.call(obj, scopeKeys(keys), ...args));
+      if (KEYLESS_COMMANDS.has(name)) return (...args) => chained(value.apply(obj, args));
+
+      if (name === 'multi') return () => scope(obj.multi(), prefix);
+      if (name === 'executeIsolated') return (fn) => obj.executeIsolated((conn) => fn(scope(conn, prefix)));
+
+      if (name === 'scanIterator') {
+        return async function* scanIterator({ MATCH = '*', ...options } = {}) {
+          for await (const key of obj.scanIterator({ ...options, MATCH: `${prefix}${MATCH}` })) {
+            yield key.slice(prefix.length);
+          }
+        };
+      }
+
+      return () => {
+        const err = new Error(`el comando ${String(name)} no está soportado en el cliente de un tenant`);
+        err.code = 'UNSCOPED_REDIS_COMMAND';
+        throw err;
+      };
+    },
+  });
+
+  return scoped;
+}
+
+/**
+ * Cliente de Redis del tenant. El del tenant default es el mismo cliente, sin envolver.
+ */
+
+function createTenantClient(redisClient, tenant) {
+  const prefix = tenantKeyPrefix(tenant);
+  return prefix ? scope(redisClient, prefix) : redisClient;
+}
+
+/**
+ * Tenants conocidos: el default y los que escribieron usuarios (storage/redis.js los registra)
+ */
+
+async function listTenants(redisClient) {
+  const tenants = await redisClient.sMembers(TENANTS_INDEX_KEY);
+  return [DEFAULT_TENANT, ...tenants.filter((tenant) => tenant !== DEFAULT_TENANT).sort()];
+}
+
+module.exports = {
+  TENANT_HEADER,
+  DEFAULT_TENANT,
+  isValidTenant,
+  tenantOf,
+  tenantKeyPrefix,
+  createTenantClient,
+  listTenants,
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+const { RedisInstrumentation } = require('@opentelemetry/instrumentation-redis');
+const { startTracing } = require('@devops-challenge/observability/tracing');
+
+/**
+ * Tracing del user-service (el esquema común está en packages/observability/tracing.js).
+ *
+ * El request entrante continúa la traza que manda el gateway en traceparent/tracestate, y cada comando
+ * de Redis es un span hijo (db.statement lleva el comando y la key; los valores van enmascarados). Se carga
+ * antes que express, http y redis para que las instrumentaciones alcancen a parchearlos.
+ */
+
+module.exports = startTracing({ serviceName: 'user-service', instrumentations: [new RedisInstrumentation()] });
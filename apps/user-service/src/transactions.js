@@ -0,0 +1,40 @@
+'use strict';
+
+const { WatchError } = require('redis');
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Transacción optimista con WATCH/MULTI/EXEC.
+ *
+ * attempt(conn) hace las lecturas que necesite sobre una conexión aislada (WATCH es por conexión,
+ * así que no podemos usar la compartida) y devuelve:
+ *   - { result } para cortar sin escribir nada (404, 409, etc.)
+ *   - { multi, result } para ejecutar el multi; si alguna clave vigilada cambió, se reintenta.
+ */
+
+async function runWatched(redisClient, keys, attempt) {
+  return redisClient.executeIsolated(async (conn) => {
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      await conn.watch(keys);
+
+      const { multi, result } = await attempt(conn);
+
+      if (!multi) {
+        await conn.unwatch();
+        return result;
+      }
+
+      try {
+        await multi.exec();
+        return result;
+      } catch (err) {
+        if (!(err instanceof WatchError)) throw err;
+      }
+    }
+
+    throw new Error(`la transacción sobre ${keys.join(', ')} no pudo completarse por conflictos concurrentes`);
+  });
+}
+
+module.exports = { runWatched };
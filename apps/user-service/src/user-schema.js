@@ -0,0 +1,141 @@
+'use strict';
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+/**
+ * Schema declarativo del recurso usuario (JSON Schema).
+ * Es la única fuente de verdad de validación: el servicio lo aplica en las escrituras y lo expone
+ * en GET /schemas/user para que el api-gateway rechace payloads inválidos antes de llegar acá.
+ */
+
+const userProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' },
+  email: { type: 'string', format: 'email', maxLength: 254 },
+};
+
+// Un rol es un nombre en minúsculas, por ejemplo "billing:admin" o "support.agent"
+
+const MAX_ROLES = 50;
+const ROLE_FORMAT = '^[a-z][a-z0-9_.:-]*$';
+
+// Una entrada por operación de escritura. PUT es reemplazo completo, así que usa el mismo schema que el alta.
+// merge_patch valida el documento de un JSON Merge Patch: como name y email son obligatorios, no admite null.
+// roles es el body de PUT /users/:id/roles, que reemplaza la lista entera.
+
+const fullUser = {
+  type: 'object',
+  properties: userProperties,
+  required: ['name', 'email'],
+  additionalProperties: false,
+};
+
+const USER_SCHEMAS = {
+  create: fullUser,
+  replace: fullUser,
+  merge_patch: {
+    type: 'object',
+    properties: userProperties,
+    additionalProperties: false,
+  },
+  roles: {
+    type: 'object',
+    properties: {
+      roles: {
+        type: 'array',
+        items: { type: 'string', maxLength: 64, pattern: ROLE_FORMAT },
+        maxItems: MAX_ROLES,
+        uniqueItems: true,
+      },
+    },
+    required: ['roles'],
+    additionalProperties: false,
+  },
+};
+
+// Traducción de keywords de JSON Schema a códigos estables para los clientes
+
+const ERROR_CODES = {
+  required: 'required',
+  type: 'invalid_type',
+  minLength: 'too_short',
+  maxLength: 'too_long',
+  pattern: 'invalid_format',
+  format: 'invalid_format',
+  additionalProperties: 'unknown_field',
+  enum: 'invalid_value',
+  minItems: 'too_short',
+  maxItems: 'too_long',
+  uniqueItems: 'duplicate_value',
+};
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+
+const validators = Object.fromEntries(
+  Object.entries(USER_SCHEMAS).map(([operation, schema]) => [operation, ajv.compile(schema)])
+);
+
+function fieldOf(error) {
+  if (error.keyword === 'required') return error.params.missingProperty;
+  if (error.keyword === 'additionalProperties') return error.params.additionalProperty;
+  return error.instancePath.replace(/^\//, '') || null;
+}
+
+function toFieldErrors(errors) {
+  return errors.map((error) => ({
+    field: fieldOf(error),
+    code: ERROR_CODES[error.keyword] || 'invalid',
+    message: error.message,
+  }));
+}
+
+/**
+ * Valida un payload para una operación. Devuelve la lista de errores por campo (vacía si es válido).
+ */
+
+function validateUser(operation, body) {
+  const validate = validators[operation];
+  return validate(body) ? [] : toFieldErrors(validate.errors);
+}
+
+/**
+ * Compila otro schema con los mismos formatos y códigos de error. Lo usan recursos que no son usuarios (webhooks).
+ */
+
+function createValidator(schema) {
+  const validate = ajv.compile(schema);
+  return (body) => (validate(body) ? [] : toFieldErrors(validate.errors));
+}
+
+function validationErrorBody(details) {
+  return {
+    error: 'validation_error',
+    message: 'El payload no cumple el schema de usuario',
+    details,
+  };
+}
+
+/**
+ * Middleware de Express que valida req.body contra el schema de la operación
+ */
+
+function validateBody(operation) {
+  return (req, res, next) => {
+    const details = validateUser(operation, req.body);
+
+    if (details.length) {
+      return res.status(400).json(validationErrorBody(details));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  USER_SCHEMAS,
+  validateUser,
+  validationErrorBody,
+  validateBody,
+  createValidator,
+};
@@ -0,0 +1,458 @@
+'use strict';
+
+const crypto = require('crypto');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const {
+  WEBHOOKS_INDEX_KEY,
+  WEBHOOKS_RETRY_KEY,
+  webhookKey,
+  webhookLogKey,
+  webhookDeadLetterKey,
+  deliveryKey,
+  deliveryLockKey,
+} = require('./redis-keys');
+const { EVENT_TYPES, ENVELOPE_VERSION } = require('./events');
+const { createEventConsumer } = require('./event-consumer');
+const { createValidator } = require('./user-schema');
+const { DEFAULT_TENANT, createTenantClient } = require('./tenancy');
+
+/**
+ * Webhooks salientes con los eventos de usuarios.
+ *
+ * Cada evento de users:events (consumer group "webhooks") genera una entrega por webhook suscripto.
+ * La entrega se guarda y se agenda en webhooks:retry antes de intentarla, así si el proceso se cae
+ * a mitad de camino el loop de reintentos la retoma. Los reintentos usan backoff exponencial y,
+ * agotados los intentos, la entrega pasa a la dead-letter del webhook.
+ *
+ * Los webhooks (registro, log y dead-letter) son de un tenant y se leen con su cliente (tenancy.js). El stream
+ * y la cola de entregas son compartidos: cada evento y cada entrega dicen de qué tenant son.
+ *
+ * Firma: X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>") en hex.
+ */
+
+const WEBHOOK_EVENT_TYPES = Object.values(EVENT_TYPES);
+const TEST_EVENT_TYPE = 'webhook.test';
+
+// Entradas del log de entregas que se conservan por webhook
+
+const DELIVERY_LOG_SIZE = 100;
+
+// Una entrega terminada (entregada o en dead-letter) se conserva este tiempo como marca, para no
+// volver a mandarla si el mismo evento llega otra vez al consumer group
+
+const COMPLETED_DELIVERY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const WEBHOOK_SCHEMA = {
+  type: 'object',
+  properties: {
+    url: { type: 'string', format: 'uri', pattern: '^https?://', maxLength: 2048 },
+    events: {
+      type: 'array',
+      items: { enum: WEBHOOK_EVENT_TYPES },
+      minItems: 1,
+      uniqueItems: true,
+    },
+    description: { type: 'string', maxLength: 200 },
+  },
+  required: ['url'],
+  additionalProperties: false,
+};
+
+const validateWebhook = createValidator(WEBHOOK_SCHEMA);
+
+function webhookValidationErrorBody(details) {
+  return {
+    error: 'validation_error',
+    message: 'El payload no cumple el schema de webhook',
+    details,
+  };
+}
+
+// El secret solo se muestra al crear el webhook
+
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+async function createWebhook(redisClient, { url, events = WEBHOOK_EVENT_TYPES, description }) {
+  const webhook = {
+    id: uuidv4(),
+    url,
+    events,
+    ...(description !== undefined ? { description } : {}),
+    secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    created_at: new Date().toISOString(),
+  };
+
+  await redisClient
+    .multi()
+    .set(webhookKey(webhook.id), JSON.stringify(webhook))
+    .sAdd(WEBHOOKS_INDEX_KEY, webhook.id)
+    .exec();
+
+  return webhook;
+}
+
+async function getWebhook(redisClient, id) {
+  const raw = await redisClient.get(webhookKey(id));
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function listWebhooks(redisClient) {
+  const ids = await redisClient.sMembers(WEBHOOKS_INDEX_KEY);
+  if (!ids.length) return [];
+
+  const raws = await redisClient.mGet(ids.map(webhookKey));
+
+  return raws
+    .filter(Boolean)
+    .map((raw) => JSON.parse(raw))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Borra el webhook con su log y dead-letter. Las entregas pendientes se descartan al intentarlas.
+ */
+
+async function deleteWebhook(redisClient, id) {
+  const results = await redisClient
+    .multi()
+    .del(webhookKey(id))
+    .sRem(WEBHOOKS_INDEX_KEY, id)
+    .del(webhookLogKey(id))
+    .del(webhookDeadLetterKey(id))
+    .exec();
+
+  return results[0] === 1;
+}
+
+async function readList(redisClient, key, limit) {
+  const raws = await redisClient.lRange(key, 0, limit - 1);
+  return raws.map((raw) => JSON.parse(raw));
+}
+
+function readDeliveryLog(redisClient, id, limit = DELIVERY_LOG_SIZE) {
+  return readList(redisClient, webhookLogKey(id), limit);
+}
+
+function readDeadLetters(redisClient, id, limit = DELIVERY_LOG_SIZE) {
+  return readList(redisClient, webhookDeadLetterKey(id), limit);
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Hace el POST al endpoint. Nunca tira: devuelve { ok, status_code, error, duration_ms }.
+ */
+
+async function sendWebhook(webhook, event, { deliveryId, timeoutMs }) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'user-service-webhooks/1',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    // No nos interesa el body de la respuesta, pero hay que consumirlo para liberar la conexión
+    await response.arrayBuffer().catch(() => {});
+
+    return {
+      ok: response.ok,
+      status_code: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+      duration_ms: Date.now() - started,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      status_code: null,
+      error: err.name === 'TimeoutError' ? `timeout después de ${timeoutMs}ms` : err.message,
+      duration_ms: Date.now() - started,
+    };
+  }
+}
+
+function createWebhookDispatcher({
+  redisClient,
+  logger,
+  maxAttempts = 6,
+  baseDelayMs = 1000,
+  maxDelayMs = 3600000,
+  timeoutMs = 5000,
+  retryIntervalMs = 1000,
+  batchSize = 50,
+  send = sendWebhook,
+  onAttempt = () => {},
+}) {
+  let retryTimer = null;
+  let consumer = null;
+
+  function backoff(attempt) {
+    return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  }
+
+  function logEntry(delivery, attempt, result, outcome) {
+    return {
+      delivery_id: delivery.id,
+      event_id: delivery.event.id,
+      event_type: delivery.event.type,
+      attempt,
+      outcome,
+      status_code: result.status_code,
+      error: result.error,
+      duration_ms: result.duration_ms,
+      at: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Crea y agenda una entrega por cada webhook suscripto al tipo del evento.
+   * El id de la entrega sale del webhook y el evento: si el evento se vuelve a recibir, el SET NX no pisa
+   * la entrega existente y deliver() descarta las que ya terminaron.
+   */
+
+  // Los eventos anteriores a multi-tenancy no traen tenant: son del default
+
+  const tenantOfEvent = (event) => event.tenant || DEFAULT_TENANT;
+
+  async function enqueue(event, now = Date.now()) {
+    const tenant = tenantOfEvent(event);
+    const webhooks = (await listWebhooks(createTenantClient(redisClient, tenant)))
+      .filter((webhook) => webhook.events.includes(event.type));
+    const ids = [];
+
+    for (const webhook of webhooks) {
+      const delivery = {
+        id: `${webhook.id}:${event.id}`,
+        webhook_id: webhook.id,
+        tenant,
+        event,
+        attempts: 0,
+        created_at: new Date(now).toISOString(),
+      };
+
+      await redisClient
+        .multi()
+        .set(deliveryKey(delivery.id), JSON.stringify(delivery), { NX: true })
+        .zAdd(WEBHOOKS_RETRY_KEY, { score: now, value: delivery.id }, { NX: true })
+        .exec();
+
+      ids.push(delivery.id);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Un intento de entrega. El lock evita que dos réplicas manden la misma entrega a la vez;
+   * vence solo, así que si el proceso se cae la entrega se reintenta.
+   * Devuelve la entrada del log o null si la entrega ya no existe o la tiene otro proceso.
+   */
+
+  async function deliver(id, now = Date.now()) {
+    const locked = await redisClient.set(deliveryLockKey(id), '1', { NX: true, PX: timeoutMs * 2 });
+    if (!locked) return null;
+
+    try {
+      const raw = await redisClient.get(deliveryKey(id));
+
+      if (!raw) {
+        await redisClient.zRem(WEBHOOKS_RETRY_KEY, id);
+        return null;
+      }
+
+      const delivery = JSON.parse(raw);
+
+      if (delivery.status) {
+        await redisClient.zRem(WEBHOOKS_RETRY_KEY, id);
+        return null;
+      }
+
+      const tenantClient = createTenantClient(redisClient, delivery.tenant || tenantOfEvent(delivery.event));
+      const webhook = await getWebhook(tenantClient, delivery.webhook_id);
+
+      if (!webhook) {
+        await redisClient.multi().del(deliveryKey(id)).zRem(WEBHOOKS_RETRY_KEY, id).exec();
+        return null;
+      }
+
+      const result = await send(webhook, delivery.event, { deliveryId: id, timeoutMs });
+      const attempt = delivery.attempts + 1;
+
+      let outcome;
+      const multi = tenantClient.multi();
+
+      const complete = (status) => multi
+        .set(deliveryKey(id), JSON.stringify({ ...delivery, attempts: attempt, status }), {
+          EX: COMPLETED_DELIVERY_TTL_SECONDS,
+        })
+        .zRem(WEBHOOKS_RETRY_KEY, id);
+
+      if (result.ok) {
+        outcome = 'delivered';
+        complete(outcome);
+      } else if (attempt >= maxAttempts) {
+        outcome = 'dead_lettered';
+        complete(outcome).lPush(webhookDeadLetterKey(webhook.id), JSON.stringify({
+          ...delivery,
+          attempts: attempt,
+          last_status_code: result.status_code,
+          last_error: result.error,
+          dead_lettered_at: new Date().toISOString(),
+        }));
+      } else {
+        outcome = 'retry_scheduled';
+        multi
+          .set(deliveryKey(id), JSON.stringify({ ...delivery, attempts: attempt }))
+          .zAdd(WEBHOOKS_RETRY_KEY, { score: now + backoff(attempt), value: id });
+      }
+
+      const entry = logEntry(delivery, attempt, result, outcome);
+
+      await multi
+        .lPush(webhookLogKey(webhook.id), JSON.stringify(entry))
+        .lTrim(webhookLogKey(webhook.id), 0, DELIVERY_LOG_SIZE - 1)
+        .exec();
+
+      onAttempt(entry);
+
+      if (outcome !== 'delivered') {
+        logger.warn('falló la entrega de webhook', { webhook_id: webhook.id, delivery_id: id, attempt, outcome, error: result.error });
+      }
+
+      return entry;
+    } finally {
+      await redisClient.del(deliveryLockKey(id));
+    }
+  }
+
+  /**
+   * Handler del consumer group: agenda las entregas del evento y hace el primer intento enseguida
+   */
+
+  async function handleEvent(event) {
+    const ids = await enqueue(event);
+    for (const id of ids) await deliver(id);
+  }
+
+  /**
+   * Intenta las entregas cuyo próximo intento ya venció
+   */
+
+  async function processDue(now = Date.now()) {
+    const ids = await redisClient.zRange(WEBHOOKS_RETRY_KEY, '-inf', now, {
+      BY: 'SCORE',
+      LIMIT: { offset: 0, count: batchSize },
+    });
+
+    let attempted = 0;
+
+    for (const id of ids) {
+      if (await deliver(id, now)) attempted++;
+    }
+
+    return attempted;
+  }
+
+  /**
+   * POST /webhooks/:id/test: un único intento con un evento sintético, sin reintentos
+   */
+
+  async function sendTest(webhook, tenant = DEFAULT_TENANT) {
+    const event = {
+      id: uuidv4(),
+      type: TEST_EVENT_TYPE,
+      envelope_version: ENVELOPE_VERSION,
+      source: 'user-service',
+      tenant,
+      occurred_at: new Date().toISOString(),
+      subject: webhook.id,
+      actor: 'system',
+      request_id: null,
+      data: {},
+    };
+
+    const delivery = { id: `${webhook.id}:${event.id}`, event };
+    const result = await send(webhook, event, { deliveryId: delivery.id, timeoutMs });
+    const entry = logEntry(delivery, 1, result, result.ok ? 'delivered' : 'test_failed');
+
+    await createTenantClient(redisClient, tenant)
+      .multi()
+      .lPush(webhookLogKey(webhook.id), JSON.stringify(entry))
+      .lTrim(webhookLogKey(webhook.id), 0, DELIVERY_LOG_SIZE - 1)
+      .exec();
+
+    onAttempt(entry);
+
+    return entry;
+  }
+
+  /**
+   * eventsClient tiene que ser una conexión exclusiva (el consumer bloquea leyendo el stream)
+   */
+
+  async function start({ eventsClient }) {
+    consumer = createEventConsumer({
+      redisClient: eventsClient,
+      group: 'webhooks',
+      consumer: os.hostname(),
+      handler: handleEvent,
+      logger,
+    });
+
+    await consumer.start();
+
+    retryTimer = setInterval(() => {
+      processDue().catch((err) => logger.error('error reintentando webhooks', { error: err.message }));
+    }, retryIntervalMs);
+    retryTimer.unref();
+  }
+
+  async function stop() {
+    if (retryTimer) clearInterval(retryTimer);
+    if (consumer) await consumer.stop();
+  }
+
+  return {
+    enqueue,
+    deliver,
+    handleEvent,
+    processDue,
+    sendTest,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  validateWebhook,
+  webhookValidationErrorBody,
+  publicWebhook,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  deleteWebhook,
+  readDeliveryLog,
+  readDeadLetters,
+  signPayload,
+  sendWebhook,
+  createWebhookDispatcher,
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Labels acotados para las métricas HTTP.
+ *
+ * El label route es siempre un template (/api/users/:id en el gateway, /users/:id en el user-service), nunca
+ * el path crudo: cada id o cada path inventado por un scanner sería una serie nueva. Lo que no se puede
+ * reconocer va a OTHER_ROUTE.
+ *
+ * Además, cada métrica acepta como mucho `limit` combinaciones de labels. Pasado el límite, una combinación
+ * nueva se descarta y la observación se cuenta con route=other: el total de requests no cambia y Prometheus
+ * no explota si se cuela un label sin acotar.
+ */
+
+const OTHER_ROUTE = 'other';
+
+/**
+ * onDrop(metric) se llama cada vez que se descarta una combinación por el límite
+ */
+
+function createCardinalityGuard({ limit, onDrop = () => {} }) {
+  const seen = new Map();
+
+  function labelsFor(metric, labels) {
+    if (!seen.has(metric)) seen.set(metric, new Set());
+
+    const labelSets = seen.get(metric);
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+    if (labelSets.has(key)) return labels;
+
+    if (labelSets.size < limit) {
+      labelSets.add(key);
+      return labels;
+    }
+
+    onDrop(metric);
+    return { ...labels, route: OTHER_ROUTE };
+  }
+
+  return { labelsFor, size: (metric) => seen.get(metric)?.size || 0 };
+}
+
+/**
+ * Tope de valores para un label que viene de los datos (el tenant): los primeros `limit` valores distintos
+ * pasan tal cual y el resto se cuenta como OTHER_ROUTE. onDrop(value) se llama la primera vez que se descarta cada uno.
+ */
+
+function createLabelValueCap({ limit, onDrop = () => {} }) {
+  const kept = new Set();
+  const dropped = new Set();
+
+  return (value) => {
+    if (kept.has(value)) return value;
+
+    if (kept.size < limit) {
+      kept.add(value);
+      return value;
+    }
+
+    if (!dropped.has(value)) {
+      dropped.add(value);
+      onDrop(value);
+    }
+
+    return OTHER_ROUTE;
+  };
+}
+
+module.exports = { createCardinalityGuard, createLabelValueCap, OTHER_ROUTE };
@@ -0,0 +1,304 @@
+'use strict';
+
+const fs = require('fs');
+const Ajv = require('ajv');
+
+/**
+ * Objetivos de servicio (SLOs) por ruta y el burn rate de su error budget, calculados dentro del proceso.
+ *
+ * Cada objetivo agrupa rutas (templates del label route de las métricas; "/api/users*" o "/webhooks*" toma
+ * todas las que empiezan así) y, opcionalmente, métodos. Puede declarar disponibilidad (requests sin 5xx) y latencia
+ * (requests que responden en menos de threshold_ms), cada uno con su target.
+ *
+ * Burn rate = proporción de requests malos en una ventana / error budget (1 - target). Con 1 el budget se
+ * gasta justo al ritmo que el objetivo permite. Cada alerta compara dos ventanas, una larga y una corta:
+ * se dispara solo si las dos pasan el umbral, así no queda prendida por un pico que ya pasó.
+ *
+ * Los contadores viven en memoria, en buckets de un minuto que cubren budget_window_minutes. Cada réplica
+ * ve su tráfico y arranca de cero al reiniciarse: el SLO del mes se sigue mirando en Prometheus.
+ */
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const NAME_PATTERN = '^[a-z][a-z0-9-]*$';
+const MINUTE_MS = 60 * 1000;
+const RATIO = { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 };
+
+// Ventanas de las alertas multi-ventana del SRE workbook, para un objetivo de 30 días
+
+const DEFAULT_ALERTS = [
+  { name: 'fast', long_minutes: 60, short_minutes: 5, burn_rate: 14.4 },
+  { name: 'slow', long_minutes: 360, short_minutes: 30, burn_rate: 6 },
+];
+
+const SLO_SCHEMA = {
+  type: 'object',
+  required: ['objectives'],
+  additionalProperties: false,
+  properties: {
+    budget_window_minutes: { type: 'integer', minimum: 5, maximum: 10080, default: 1440 },
+    min_requests: { type: 'integer', minimum: 0, default: 100 },
+    alerts: {
+      type: 'array',
+      minItems: 1,
+      default: DEFAULT_ALERTS,
+      items: {
+        type: 'object',
+        required: ['name', 'long_minutes', 'short_minutes', 'burn_rate'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', pattern: NAME_PATTERN },
+          long_minutes: { type: 'integer', minimum: 1 },
+          short_minutes: { type: 'integer', minimum: 1 },
+          burn_rate: { type: 'number', exclusiveMinimum: 0 },
+        },
+      },
+    },
+    objectives: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'routes'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', pattern: NAME_PATTERN },
+          routes: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+          methods: { type: 'array', minItems: 1, items: { enum: METHODS } },
+          availability: RATIO,
+          latency: {
+            type: 'object',
+            required: ['threshold_ms', 'target'],
+            additionalProperties: false,
+            properties: {
+              threshold_ms: { type: 'integer', minimum: 1 },
+              target: RATIO,
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const validateSlo = new Ajv({ allErrors: true, useDefaults: true }).compile(SLO_SCHEMA);
+
+function invalidSlo(file, problems) {
+  const err = new Error(`SLOs inválidos (${file}): ${problems.join('; ')}`);
+  err.code = 'INVALID_SLO';
+  err.problems = problems;
+  return err;
+}
+
+// Chequeos que el schema no puede expresar: nombres únicos, algún SLI por objetivo, ventanas que entran en el budget
+
+function checkSlo(config) {
+  const problems = [];
+  const names = new Set();
+
+  config.objectives.forEach((objective) => {
+    if (names.has(objective.name)) problems.push(`objetivo repetido: ${objective.name}`);
+    names.add(objective.name);
+
+    if (!objective.availability && !objective.latency) {
+      problems.push(`el objetivo ${objective.name} necesita availability o latency`);
+    }
+  });
+
+  config.alerts.forEach((alert) => {
+    if (alert.short_minutes >= alert.long_minutes) problems.push(`la alerta ${alert.name} necesita short_minutes < long_minutes`);
+    if (alert.long_minutes > config.budget_window_minutes) {
+      problems.push(`la alerta ${alert.name} mira más atrás que budget_window_minutes`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Valida una configuración de SLOs (ya parseada) y la devuelve con los defaults. Tira INVALID_SLO.
+ */
+
+function parseSlo(raw, { file = 'inline' } = {}) {
+  const config = JSON.parse(JSON.stringify(raw));
+
+  if (!validateSlo(config)) {
+    throw invalidSlo(file, validateSlo.errors.map((error) => `${error.instancePath || '/'} ${error.message}`));
+  }
+
+  const problems = checkSlo(config);
+  if (problems.length) throw invalidSlo(file, problems);
+
+  return config;
+}
+
+function loadSlo(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw invalidSlo(file, [err.message]);
+  }
+
+  return parseSlo(raw, { file });
+}
+
+// "60" -> "1h", "30" -> "30m": el nombre de la ventana en /slo y en el label window
+
+function windowName(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+/**
+ * Contadores por minuto en un anillo de `size` minutos, con la suma de todo el anillo al día.
+ * Avanzar el reloj limpia los minutos que salen de la ventana.
+ */
+
+function createMinuteRing(size) {
+  const slots = Array.from({ length: size }, () => ({ minute: -1, total: 0, errors: 0, slow: 0 }));
+  const sums = { total: 0, errors: 0, slow: 0 };
+  let current = -1;
+
+  function advance(minute) {
+    if (minute <= current) return;
+
+    for (let m = Math.max(current + 1, minute - size + 1); m <= minute; m += 1) {
+      const slot = slots[m % size];
+      sums.total -= slot.total;
+      sums.errors -= slot.errors;
+      sums.slow -= slot.slow;
+      Object.assign(slot, { minute: m, total: 0, errors: 0, slow: 0 });
+    }
+
+    current = minute;
+  }
+
+  function add(minute, { error, slow }) {
+    advance(minute);
+    const slot = slots[minute % size];
+
+    slot.total += 1;
+    sums.total += 1;
+    if (error) {
+      slot.errors += 1;
+      sums.errors += 1;
+    }
+    if (slow) {
+      slot.slow += 1;
+      sums.slow += 1;
+    }
+  }
+
+  // Suma de los últimos `minutes` minutos, contando el minuto en curso
+
+  function window(minute, minutes) {
+    advance(minute);
+    if (minutes >= size) return { ...sums };
+
+    const total = { total: 0, errors: 0, slow: 0 };
+    for (let m = minute - minutes + 1; m <= minute; m += 1) {
+      const slot = slots[((m % size) + size) % size];
+      if (slot.minute === m) {
+        total.total += slot.total;
+        total.errors += slot.errors;
+        total.slow += slot.slow;
+      }
+    }
+    return total;
+  }
+
+  return { add, window };
+}
+
+function matchesRoute(pattern, route) {
+  return pattern.endsWith('*') ? route.startsWith(pattern.slice(0, -1)) : pattern === route;
+}
+
+/**
+ * Lleva la cuenta de los requests de cada objetivo. record se llama al terminar cada request con
+ * el template de la ruta, y report arma el estado de todos los objetivos.
+ */
+
+function createSloTracker(config, { now = Date.now } = {}) {
+  const objectives = config.objectives.map((objective) => ({
+    ...objective,
+    ring: createMinuteRing(config.budget_window_minutes),
+  }));
+
+  const slis = (objective) => [
+    ...(objective.availability ? [{ sli: 'availability', target: objective.availability, bad: 'errors' }] : []),
+    ...(objective.latency ? [{ sli: 'latency', target: objective.latency.target, bad: 'slow' }] : []),
+  ];
+
+  const minuteOf = (at) => Math.floor(at / MINUTE_MS);
+
+  function record({ route, method, statusCode, durationMs }, at = now()) {
+    objectives
+      .filter((objective) => objective.routes.some((pattern) => matchesRoute(pattern, route)))
+      .filter((objective) => !objective.methods || objective.methods.includes(method))
+      .forEach((objective) => {
+        objective.ring.add(minuteOf(at), {
+          error: statusCode >= 500,
+          slow: Boolean(objective.latency) && durationMs > objective.latency.threshold_ms,
+        });
+      });
+  }
+
+  const burnRate = (counts, bad, target) => (counts.total ? counts[bad] / counts.total / (1 - target) : 0);
+
+  function statusOf(objective, { sli, target, bad }, minute) {
+    const budget = objective.ring.window(minute, config.budget_window_minutes);
+    const remaining = 1 - burnRate(budget, bad, target);
+    const windows = {};
+    const rateFor = (minutes) => {
+      const name = windowName(minutes);
+      if (windows[name] === undefined) windows[name] = burnRate(objective.ring.window(minute, minutes), bad, target);
+      return windows[name];
+    };
+
+    const alerts = Object.fromEntries(config.alerts.map((alert) => [
+      alert.name,
+      rateFor(alert.long_minutes) >= alert.burn_rate && rateFor(alert.short_minutes) >= alert.burn_rate,
+    ]));
+
+    return {
+      sli,
+      target,
+      requests: budget.total,
+      bad_requests: budget[bad],
+      error_budget_remaining: remaining,
+      budget_exhausted: budget.total >= config.min_requests && remaining <= 0,
+      burn_rates: windows,
+      alerts,
+    };
+  }
+
+  function report(at = now()) {
+    const minute = minuteOf(at);
+
+    return objectives.map((objective) => ({
+      name: objective.name,
+      routes: objective.routes,
+      methods: objective.methods || METHODS,
+      ...(objective.latency ? { latency_threshold_ms: objective.latency.threshold_ms } : {}),
+      slis: slis(objective).map((sli) => statusOf(objective, sli, minute)),
+    }));
+  }
+
+  /**
+   * "objetivo/sli" de los SLIs sin budget, para el header o el readiness. Solo mira la ventana del budget.
+   */
+
+  function exhausted(at = now()) {
+    const minute = minuteOf(at);
+
+    return objectives.flatMap((objective) => slis(objective)
+      .filter(({ target, bad }) => {
+        const budget = objective.ring.window(minute, config.budget_window_minutes);
+        return budget.total >= config.min_requests && burnRate(budget, bad, target) >= 1;
+      })
+      .map(({ sli }) => `${objective.name}/${sli}`));
+  }
+
+  return { record, report, exhausted, budgetWindowMinutes: config.budget_window_minutes };
+}
+
+module.exports = { loadSlo, parseSlo, createSloTracker };
@@ -0,0 +1,157 @@
+'use strict';
+
+const fs = require('fs');
+const { trace, context, propagation, isSpanContextValid, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { ExportResultCode, hrTimeToMilliseconds } = require('@opentelemetry/core');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { BatchSpanProcessor, SimpleSpanProcessor, ConsoleSpanExporter } = require('@opentelemetry/sdk-trace-base');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { registerInstrumentations } = require('@opentelemetry/instrumentation');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+
+/**
+ * Tracing distribuido con OpenTelemetry, el mismo esquema en todos los servicios.
+ *
+ * Hay un span por request entrante (http + express) y uno por cada llamada HTTP saliente; el contexto viaja
+ * en los headers W3C traceparent/tracestate. Cada servicio llama a startTracing desde su tracing.js, que se
+ * carga antes que express y http porque las instrumentaciones parchean los módulos cuando se requieren.
+ *
+ * OTEL_TRACES_EXPORTER elige a dónde van los spans: otlp (a OTEL_EXPORTER_OTLP_ENDPOINT), console, file
+ * (un JSON por línea en OTEL_TRACES_FILE) o none. Con none los spans se crean igual, así los logs y los
+ * exemplars de las métricas siguen llevando trace_id.
+ */
+
+const TRACES_EXPORTER = process.env.OTEL_TRACES_EXPORTER || 'none';
+const TRACES_FILE = process.env.OTEL_TRACES_FILE || 'traces.jsonl';
+
+// Health checks y scrapes de Prometheus no aportan a las trazas
+
+const UNTRACED_PATHS = /^\/(health|metrics)/;
+
+/**
+ * Exporter a archivo para pruebas locales: un span por línea, con lo justo para seguir una traza a mano
+ */
+
+class FileSpanExporter {
+  constructor(file, serviceName) {
+    this.file = file;
+    this.serviceName = serviceName;
+  }
+
+  export(spans, resultCallback) {
+    try {
+      const lines = spans.map((span) => JSON.stringify({
+        service: this.serviceName,
+        trace_id: span.spanContext().traceId,
+        span_id: span.spanContext().spanId,
+        parent_span_id: span.parentSpanContext?.spanId,
+        name: span.name,
+        kind: span.kind,
+        duration_ms: hrTimeToMilliseconds(span.duration),
+        status: span.status,
+        attributes: span.attributes,
+      }));
+      fs.appendFileSync(this.file, `${lines.join('\n')}\n`);
+      resultCallback({ code: ExportResultCode.SUCCESS });
+    } catch (error) {
+      resultCallback({ code: ExportResultCode.FAILED, error });
+    }
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+function spanProcessors(serviceName) {
+  if (TRACES_EXPORTER === 'otlp') return [new BatchSpanProcessor(new OTLPTraceExporter())];
+  if (TRACES_EXPORTER === 'console') return [new SimpleSpanProcessor(new ConsoleSpanExporter())];
+  if (TRACES_EXPORTER === 'file') return [new SimpleSpanProcessor(new FileSpanExporter(TRACES_FILE, serviceName))];
+  return [];
+}
+
+/**
+ * trace_id y span_id del span activo, para logs y exemplars. Vacío si no hay span.
+ */
+
+function currentTraceIds() {
+  const span = trace.getSpan(context.active());
+  if (!span || !isSpanContextValid(span.spanContext())) return {};
+
+  const { traceId, spanId } = span.spanContext();
+  return { trace_id: traceId, span_id: spanId };
+}
+
+/**
+ * Agrega traceparent/tracestate del contexto activo a los headers de una llamada saliente
+ */
+
+function injectTraceHeaders(headers) {
+  propagation.inject(context.active(), headers);
+  return headers;
+}
+
+/**
+ * Registra el provider y las instrumentaciones de http y express, más las propias del servicio
+ * (instrumentations, por ejemplo la de Redis en el user-service).
+ */
+
+function startTracing({ serviceName, instrumentations = [] }) {
+  const provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: serviceName,
+      [ATTR_SERVICE_VERSION]: process.env.APP_VERSION || '1.0.0',
+    }),
+    spanProcessors: spanProcessors(serviceName),
+  });
+
+  // Registra el context manager (AsyncLocalStorage) y el propagador W3C (traceparent, tracestate y baggage)
+
+  provider.register();
+
+  registerInstrumentations({
+    instrumentations: [
+      new HttpInstrumentation({
+        ignoreIncomingRequestHook: (req) => UNTRACED_PATHS.test(req.url),
+      }),
+      new ExpressInstrumentation(),
+      ...instrumentations,
+    ],
+  });
+
+  const tracer = trace.getTracer(serviceName);
+
+  /**
+   * Span del request entrante cuando la instrumentación de http no lo creó (http ya estaba cargado antes que
+   * este módulo, como pasa en Jest). Si ya hay un span activo no hace nada, así no se duplica.
+   */
+
+  function traceRequests(req, res, next) {
+    if (UNTRACED_PATHS.test(req.path) || trace.getSpan(context.active())) return next();
+
+    const parent = propagation.extract(context.active(), req.headers);
+    const span = tracer.startSpan(req.method, {
+      kind: SpanKind.SERVER,
+      attributes: { 'http.request.method': req.method, 'url.path': req.path },
+    }, parent);
+
+    res.on('finish', () => {
+      span.setAttribute('http.response.status_code', res.statusCode);
+      if (res.statusCode >= 500) span.setStatus({ code: SpanStatusCode.ERROR });
+      span.end();
+    });
+
+    context.with(trace.setSpan(parent, span), next);
+  }
+
+  function shutdownTracing() {
+    return provider.shutdown();
+  }
+
+  return { tracer, currentTraceIds, injectTraceHeaders, traceRequests, shutdownTracing };
+}
+
+module.exports = { startTracing, currentTraceIds, injectTraceHeaders };